@@ -1,5 +1,6 @@
 // controllers/adminListingsController.js
 import { pool } from "../db.js";
+import { ACTORS, ListingStatusError, transitionListingStatus } from "../services/listingLifecycle.js";
 
 export const adminListPending = async (req, res) => {
   try {
@@ -17,15 +18,14 @@ export const adminUpdateStatus = async (req, res) => {
     const { action, admin_note } = req.body; // action: 'approve' | 'decline'
     if (!['approve', 'decline'].includes(action)) return res.status(400).json({ success: false, message: "Invalid action" });
 
-    const newStatus = action === 'approve' ? 'approved' : 'declined';
-    const updateQ = `
-      UPDATE listings SET status=$1, updated_at=NOW()
-      WHERE id=$2
-      RETURNING *;
-    `;
-    const { rows } = await pool.query(updateQ, [newStatus, id]);
-    if (!rows[0]) return res.status(404).json({ success: false, message: "Listing not found" });
-    const updated = rows[0];
+    const newStatus = action === 'approve' ? 'approved' : 'rejected';
+    const found = await pool.query("SELECT product_id FROM listings WHERE id=$1", [id]);
+    if (!found.rows[0]) return res.status(404).json({ success: false, message: "Listing not found" });
+
+    const updated = await transitionListingStatus({
+      productId: found.rows[0].product_id, to: newStatus, actor: ACTORS.ADMIN,
+      actorId: req.user?.unique_id, reason: admin_note || null
+    });
 
     // emit to agent room
     try {
@@ -39,6 +39,9 @@ export const adminUpdateStatus = async (req, res) => {
 
     res.json({ success: true, listing: updated });
   } catch (err) {
+    if (err instanceof ListingStatusError) {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+    }
     console.error("[adminUpdateStatus] Error:", err);
     res.status(500).json({ success: false, message: "Update failed", error: err.message });
   }
@@ -20,6 +20,7 @@ export const getReceivedApplications = async (req, res) => {
         l.photos as listing_photos, 
         l.price as listing_price, 
         l.price_currency,
+        l.status as listing_status,
         p.full_name as buyer_name, 
         p.avatar_url as buyer_avatar, 
         p.email as buyer_email, 
@@ -143,6 +144,12 @@ export const createApplication = async (req, res) => {
       move_in_date, occupants_count, message 
     } = req.body;
 
+    // 0. Deleted (archived) listings take no new applications
+    const listingCheck = await pool.query("SELECT status FROM listings WHERE product_id = $1", [listing_id]);
+    if (!listingCheck.rows.length || listingCheck.rows[0].status === "archived") {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
     // 1. Check Duplicate
     const existing = await pool.query(
       "SELECT id FROM applications WHERE listing_id = $1 AND buyer_id = $2",
@@ -237,6 +244,7 @@ export const getBuyerApplications = async (req, res) => {
         l.address, 
         l.city,
         l.photos,
+        l.status as listing_status,
         p.full_name as agent_name,
         p.agency_name
       FROM applications a
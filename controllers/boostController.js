@@ -0,0 +1,249 @@
+import axios from "axios";
+import crypto from "crypto";
+import { pool } from "../db.js";
+import { convertFromUSD, convertToUSD } from "../utils/exchangeRates.js";
+import {
+  BOOST_PLANS,
+  FEATURED_SLOTS,
+  BoostError,
+  getBoostPlan,
+  isBoostLapsed,
+  quoteBoost,
+  bookBoost,
+  getAgentBoosts,
+  getBoostsOverview
+} from "../services/boostService.js";
+
+const FLW_PUBLIC_KEY = process.env.FLW_PUBLIC_KEY;
+const FLW_SECRET_KEY = process.env.FLW_SECRET_KEY;
+const FLW_BASE = process.env.FLW_BASE_URL || "https://api.flutterwave.com/v3";
+
+const handleBoostError = (res, err, label) => {
+  if (err instanceof BoostError) return res.status(err.status).json({ message: err.message });
+  console.error(`[${label}] Error:`, err);
+  return res.status(500).json({ message: "Server error" });
+};
+
+const loadOwnListing = async (db, listingId, agentId, lock = false) => {
+  const result = await db.query(
+    `SELECT product_id, title, city, category, status, is_active, expires_at, agent_unique_id
+     FROM listings WHERE product_id = $1 ${lock ? "FOR UPDATE" : ""}`,
+    [listingId]
+  );
+  const listing = result.rows[0];
+  if (!listing) throw new BoostError("Listing not found", 404);
+  if (listing.agent_unique_id !== agentId) throw new BoostError("Forbidden", 403);
+  return listing;
+};
+
+/* -------------------------------------------------------
+   ✅ PLANS (Public)
+------------------------------------------------------- */
+export const getBoostPlans = async (req, res) => {
+  res.json({
+    slots_per_city_category: FEATURED_SLOTS,
+    plans: Object.entries(BOOST_PLANS).map(([id, plan]) => ({ id, ...plan })),
+  });
+};
+
+/* -------------------------------------------------------
+   ✅ QUOTE — GET /api/boosts/quote?listingId=&plan=
+   Shows when the boost would start if bought now.
+------------------------------------------------------- */
+export const getBoostQuote = async (req, res) => {
+  try {
+    const listing = await loadOwnListing(pool, req.query.listingId, req.user.unique_id);
+    res.json(await quoteBoost(listing, req.query.plan));
+  } catch (err) {
+    handleBoostError(res, err, "BoostQuote");
+  }
+};
+
+/* -------------------------------------------------------
+   ✅ BUY WITH WALLET — Body: { listingId, plan }
+------------------------------------------------------- */
+export const boostViaWallet = async (req, res) => {
+  const userId = req.user.unique_id;
+  const { listingId, plan: planId } = req.body;
+
+  const client = await pool.connect();
+  try {
+    const plan = getBoostPlan(planId);
+    await client.query("BEGIN");
+
+    const listing = await loadOwnListing(client, listingId, userId, true);
+
+    const walletRes = await client.query(
+      "SELECT balance FROM wallets WHERE agent_id = $1 FOR UPDATE", [userId]
+    );
+    const balance = Number(walletRes.rows[0]?.balance || 0);
+    if (balance < plan.price_usd) {
+      throw new BoostError(`Insufficient wallet balance. You need $${plan.price_usd}.`);
+    }
+
+    const ref = `W-BOOST-${listingId}-${crypto.randomBytes(2).toString("hex")}`;
+    const boost = await bookBoost(client, {
+      listing, planId: plan.id, agentId: userId, method: "wallet", txRef: ref, amountUsd: plan.price_usd
+    });
+
+    await client.query("UPDATE wallets SET balance = balance - $1 WHERE agent_id = $2", [plan.price_usd, userId]);
+    await client.query(
+      `INSERT INTO payments (agent_unique_id, listing_product_id, tx_ref, amount, currency, status, purpose)
+       VALUES ($1, $2, $3, $4, 'USD', 'successful', 'listing_boost')`,
+      [userId, listingId, ref, plan.price_usd]
+    );
+
+    await client.query("COMMIT");
+    res.status(201).json({ success: true, message: "Listing boosted via wallet!", boost });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    handleBoostError(res, err, "BoostViaWallet");
+  } finally {
+    client.release();
+  }
+};
+
+/* -------------------------------------------------------
+   ✅ DIRECT PAYMENT — INITIALIZE
+   Body: { listingId, plan, currency? }
+------------------------------------------------------- */
+export const initializeBoostPayment = async (req, res) => {
+  try {
+    const userId = req.user.unique_id;
+    const { listingId, plan: planId, currency = "USD" } = req.body;
+
+    const listing = await loadOwnListing(pool, listingId, userId);
+    const quote = await quoteBoost(listing, planId);
+    if (!quote.available) {
+      return res.status(409).json({ message: "All featured slots in this area are booked for now", quote });
+    }
+
+    const tx_ref = `BOOST-${listingId}-${quote.plan}-${crypto.randomBytes(4).toString("hex")}`;
+    res.json({
+      public_key: FLW_PUBLIC_KEY,
+      tx_ref,
+      amount: convertFromUSD(quote.price_usd, currency),
+      currency,
+      customer: {
+        email: req.user?.email,
+        name: req.user?.name,
+      },
+      meta: { listingId, agentId: userId, plan: quote.plan, type: "listing_boost" },
+      quote,
+    });
+  } catch (err) {
+    handleBoostError(res, err, "InitBoostPayment");
+  }
+};
+
+/* -------------------------------------------------------
+   ✅ DIRECT PAYMENT — VERIFY & BOOK
+   Body: { transaction_id }. Idempotent per tx_ref.
+   If the listing was archived or expired meanwhile, the
+   payment is credited to the agent's wallet instead.
+------------------------------------------------------- */
+export const verifyBoostPayment = async (req, res) => {
+  const userId = req.user.unique_id;
+  const { transaction_id } = req.body;
+
+  let data;
+  try {
+    const flwRes = await axios.get(`${FLW_BASE}/transactions/${transaction_id}/verify`, {
+      headers: { Authorization: `Bearer ${FLW_SECRET_KEY}` },
+    });
+    data = flwRes.data.data;
+  } catch (err) {
+    console.error("[VerifyBoostPayment] Flutterwave error:", err.message);
+    return res.status(502).json({ message: "Could not verify payment" });
+  }
+
+  if (data.status !== "successful" || data.meta?.type !== "listing_boost") {
+    return res.status(400).json({ success: false, message: "Payment failed" });
+  }
+
+  const client = await pool.connect();
+  try {
+    const { listingId, plan: planId } = data.meta;
+    const plan = getBoostPlan(planId);
+    const paidUsd = parseFloat(convertToUSD(data.amount, data.currency));
+    // Small tolerance for exchange-rate rounding
+    if (!(paidUsd >= plan.price_usd * 0.98)) {
+      throw new BoostError("Amount paid does not match the boost plan");
+    }
+
+    await client.query("BEGIN");
+    const listing = await loadOwnListing(client, listingId, userId, true);
+    const refund = isBoostLapsed(listing);
+
+    const logged = await client.query(
+      `INSERT INTO payments (agent_unique_id, listing_product_id, tx_ref, transaction_id, amount, currency, status, purpose)
+       VALUES ($1, $2, $3, $4, $5, 'USD', $6, 'listing_boost')
+       ON CONFLICT (tx_ref) DO NOTHING`,
+      [userId, listingId, data.tx_ref, transaction_id, plan.price_usd, refund ? "refunded_to_wallet" : "successful"]
+    );
+
+    let boost = null;
+    let refunded = false;
+    if (logged.rowCount && refund) {
+      const credited = await client.query(
+        "UPDATE wallets SET balance = balance + $1 WHERE agent_id = $2", [plan.price_usd, userId]
+      );
+      if (!credited.rowCount) {
+        await client.query("INSERT INTO wallets (agent_id, balance) VALUES ($1, $2)", [userId, plan.price_usd]);
+      }
+      refunded = true;
+    } else if (logged.rowCount) {
+      boost = await bookBoost(client, {
+        listing, planId: plan.id, agentId: userId, method: "direct",
+        txRef: data.tx_ref, amountUsd: plan.price_usd, prepaid: true
+      });
+    } else {
+      const existing = await client.query(
+        `SELECT p.status as payment_status, b.* FROM payments p
+         LEFT JOIN listing_boosts b ON b.tx_ref = p.tx_ref
+         WHERE p.tx_ref = $1`,
+        [data.tx_ref]
+      );
+      const { payment_status, ...row } = existing.rows[0] || {};
+      refunded = payment_status === "refunded_to_wallet";
+      boost = row.id ? row : null;
+    }
+
+    await client.query("COMMIT");
+    if (refunded) {
+      return res.status(409).json({
+        success: false,
+        message: `This listing is archived or expired and can't be featured. $${plan.price_usd} was credited to your wallet.`,
+        refunded_usd: plan.price_usd,
+      });
+    }
+    res.json({ success: true, boost });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    handleBoostError(res, err, "VerifyBoostPayment");
+  } finally {
+    client.release();
+  }
+};
+
+/* -------------------------------------------------------
+   ✅ MY BOOSTS (Agent)
+------------------------------------------------------- */
+export const getMyBoosts = async (req, res) => {
+  try {
+    res.json(await getAgentBoosts(req.user.unique_id));
+  } catch (err) {
+    handleBoostError(res, err, "GetMyBoosts");
+  }
+};
+
+/* -------------------------------------------------------
+   ✅ ADMIN — active/queued boosts and revenue
+------------------------------------------------------- */
+export const getBoostsAdmin = async (req, res) => {
+  try {
+    res.json(await getBoostsOverview());
+  } catch (err) {
+    handleBoostError(res, err, "GetBoostsAdmin");
+  }
+};
@@ -0,0 +1,249 @@
+import { pool } from "../db.js";
+import { enqueueJob } from "../services/jobQueue.js";
+import { LISTING_JOBS } from "../services/listingJobs.js";
+import { listingMediaAssets } from "../services/listingArchiveService.js";
+import { recordListingRevision } from "../services/listingRevisionService.js";
+import { detectDuplicateListings } from "../services/duplicateListingService.js";
+import {
+  BuildingError,
+  generateBuildingId,
+  parseBuildingFields,
+  loadOwnedBuilding,
+  moveBuildingUnits,
+  presentBuilding,
+  getBuildingWithUnits,
+} from "../services/buildingService.js";
+
+const BUILDING_COLUMNS = [
+  "name", "description", "address", "city", "state", "country", "zip_code",
+  "latitude", "longitude", "year_built", "floors",
+];
+
+function isAdminUser(user) {
+  return !!user && (user.role === "admin" || user.is_admin === true || user.is_super_admin === true);
+}
+
+const parsePhotos = (photos) => {
+  if (!photos) return [];
+  if (typeof photos !== "string") return photos;
+  try { return JSON.parse(photos); } catch { return []; }
+};
+
+const addressData = (fields) => ({
+  address: fields.address, city: fields.city, state: fields.state, country: fields.country, zip: fields.zip_code,
+});
+
+const sendBuildingError = (res, err, label) => {
+  if (err instanceof BuildingError) return res.status(err.status).json({ message: err.message });
+  console.error(`[${label}] Error:`, err);
+  res.status(500).json({ message: "Server error" });
+};
+
+/* -------------------------------------------------------
+   🏢 CREATE BUILDING (multipart: fields + photos)
+   Body: { name, address, city, state, country, zip_code,
+           latitude?, longitude?, description, year_built,
+           floors, amenities }
+   Photos upload and geocoding (when no pin is sent) run
+   in the background like a listing's.
+------------------------------------------------------- */
+export const createBuilding = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { fields, hasPin } = parseBuildingFields(req.body);
+    const buildingId = generateBuildingId();
+    const hasPhotos = !!req.files?.photos?.length;
+
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO buildings (building_id, owner_unique_id, ${BUILDING_COLUMNS.join(", ")}, amenities)
+       VALUES ($1, $2, ${BUILDING_COLUMNS.map((_, i) => `$${i + 3}`).join(", ")}, $${BUILDING_COLUMNS.length + 3})
+       RETURNING *`,
+      [buildingId, req.user.unique_id, ...BUILDING_COLUMNS.map((c) => fields[c]), JSON.stringify(fields.amenities)]
+    );
+
+    let job = null;
+    if (hasPhotos || !hasPin) {
+      job = await enqueueJob(LISTING_JOBS.PROCESS_BUILDING, {
+        listingId: buildingId,
+        payload: { buildingId, addressData: addressData(fields), geocode: !hasPin },
+        files: hasPhotos ? { photos: req.files.photos } : null,
+        client,
+      });
+    }
+    await client.query("COMMIT");
+
+    res.status(201).json({ building: presentBuilding(result.rows[0]), job_id: job?.id ?? null });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    sendBuildingError(res, err, "CreateBuilding");
+  } finally {
+    client.release();
+  }
+};
+
+/* -------------------------------------------------------
+   🏢 MY BUILDINGS (with unit counts)
+------------------------------------------------------- */
+export const getMyBuildings = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT b.*,
+              (SELECT COUNT(*)::int FROM listings l
+               WHERE l.building_id = b.building_id AND l.status <> 'archived') as unit_count
+       FROM buildings b
+       WHERE b.owner_unique_id = $1
+       ORDER BY b.created_at DESC`,
+      [req.user.unique_id]
+    );
+    res.json(result.rows.map(presentBuilding));
+  } catch (err) {
+    sendBuildingError(res, err, "GetMyBuildings");
+  }
+};
+
+/* -------------------------------------------------------
+   🏢 GET BUILDING (public: live units only;
+   owner/admin: every unit with its occupancy)
+------------------------------------------------------- */
+export const getBuilding = async (req, res) => {
+  try {
+    const found = await pool.query(
+      `SELECT owner_unique_id FROM buildings WHERE building_id = $1`,
+      [req.params.building_id]
+    );
+    if (!found.rows.length) return res.status(404).json({ message: "Building not found" });
+
+    const includeAll = found.rows[0].owner_unique_id === req.user?.unique_id || isAdminUser(req.user);
+    const building = await getBuildingWithUnits(req.params.building_id, { includeAll });
+    if (!building) return res.status(404).json({ message: "Building not found" });
+    res.json(building);
+  } catch (err) {
+    sendBuildingError(res, err, "GetBuilding");
+  }
+};
+
+/* -------------------------------------------------------
+   🏢 UPDATE BUILDING (multipart)
+   Same fields as create, plus removePhotos (public_ids)
+   and new photos. A changed address or pin is copied onto
+   every unit (approved units go back to review, with a
+   revision each); a new address without a pin is re-geocoded.
+------------------------------------------------------- */
+export const updateBuilding = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const existing = await loadOwnedBuilding(req.params.building_id, req.user, { db: client, lock: true });
+    const { fields, addressChanged, hasPin } = parseBuildingFields(req.body, existing);
+
+    let removeList = [];
+    if (req.body.removePhotos) {
+      try {
+        removeList = typeof req.body.removePhotos === "string" ? JSON.parse(req.body.removePhotos) : req.body.removePhotos;
+      } catch {
+        throw new BuildingError("removePhotos must be a JSON array of photo ids");
+      }
+    }
+    const currentPhotos = parsePhotos(existing.photos);
+    const removedPhotos = currentPhotos.filter((p) => removeList.includes(p.public_id));
+    const keptPhotos = currentPhotos.filter((p) => !removeList.includes(p.public_id));
+
+    const needsGeocode = addressChanged && !hasPin;
+    // Re-sending the current pin is not a move
+    const pinMoved = hasPin &&
+      (Number(existing.latitude) !== fields.latitude || Number(existing.longitude) !== fields.longitude);
+    const pinChanged = pinMoved || addressChanged;
+
+    const sets = BUILDING_COLUMNS.map((c, i) => `${c} = $${i + 2}`);
+    const values = [existing.building_id, ...BUILDING_COLUMNS.map((c) => fields[c])];
+    values.push(JSON.stringify(fields.amenities), JSON.stringify(keptPhotos));
+    sets.push(`amenities = $${values.length - 1}`, `photos = $${values.length}`);
+    if (pinChanged) sets.push("geo_precision = NULL", "geo_source = NULL");
+
+    const result = await client.query(
+      `UPDATE buildings SET ${sets.join(", ")}, updated_at = NOW() WHERE building_id = $1 RETURNING *`,
+      values
+    );
+    const building = result.rows[0];
+    const movedUnits = pinChanged ? await moveBuildingUnits(client, building, req.user) : [];
+
+    let job = null;
+    const hasPhotos = !!req.files?.photos?.length;
+    if (hasPhotos || removedPhotos.length || needsGeocode) {
+      job = await enqueueJob(LISTING_JOBS.PROCESS_BUILDING, {
+        listingId: building.building_id,
+        payload: {
+          buildingId: building.building_id,
+          removePhotos: removedPhotos,
+          addressData: addressData(fields),
+          geocode: needsGeocode,
+        },
+        files: hasPhotos ? { photos: req.files.photos } : null,
+        client,
+      });
+    }
+    await client.query("COMMIT");
+
+    for (const { before, after } of movedUnits) {
+      await recordListingRevision({ productId: after.product_id, action: "update", user: req.user, before, after })
+        .catch(e => console.warn("⚠ Revision record failed:", e.message));
+      // A queued geocode re-checks once the units have their new pin
+      if (!needsGeocode) {
+        detectDuplicateListings(after.product_id).catch(e => console.warn("⚠ Duplicate check failed:", e.message));
+      }
+    }
+
+    res.json({
+      building: presentBuilding(building),
+      units_sent_to_review: movedUnits.filter(({ before, after }) => before.status !== after.status).length,
+      job_id: job?.id ?? null,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    sendBuildingError(res, err, "UpdateBuilding");
+  } finally {
+    client.release();
+  }
+};
+
+/* -------------------------------------------------------
+   🏢 DELETE BUILDING
+   Only once it has no units left (archived ones are
+   detached and keep their copy of the address).
+------------------------------------------------------- */
+export const deleteBuilding = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const building = await loadOwnedBuilding(req.params.building_id, req.user, { db: client, lock: true });
+
+    const units = await client.query(
+      `SELECT COUNT(*)::int as count FROM listings WHERE building_id = $1 AND status <> 'archived'`,
+      [building.building_id]
+    );
+    if (units.rows[0].count > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        message: `Delete or move the building's ${units.rows[0].count} unit listing(s) first`,
+        code: "BUILDING_HAS_UNITS",
+      });
+    }
+
+    await client.query(`UPDATE listings SET building_id = NULL WHERE building_id = $1`, [building.building_id]);
+    await client.query(`DELETE FROM buildings WHERE building_id = $1`, [building.building_id]);
+
+    const assets = listingMediaAssets(building);
+    if (assets.length) {
+      await enqueueJob(LISTING_JOBS.CLEANUP_MEDIA, { listingId: building.building_id, payload: { assets }, client });
+    }
+    await client.query("COMMIT");
+
+    res.json({ success: true, message: "Building deleted" });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    sendBuildingError(res, err, "DeleteBuilding");
+  } finally {
+    client.release();
+  }
+};
@@ -1,96 +1,92 @@
 import { pool } from "../db.js";
-import cloudinary from "../utils/cloudinary.js";
 import crypto from "crypto";
-import axios from "axios";
 import { performFullAnalysis } from "../services/analysisService.js";
+import { notifySavedSearchMatches } from "../services/savedSearchService.js";
+import { enqueueJob, getListingJobs, getJobs, retryJob } from "../services/jobQueue.js";
+import { LISTING_JOBS } from "../services/listingJobs.js";
+import { planProcessingSteps, getListingProcessingStatus } from "../services/listingProcessingService.js";
+import { presentPhoto } from "../services/imageDerivatives.js";
+import { isValidCoordinate } from "../services/geocodingService.js";
+import { ACTIVATION_EXPIRY_SQL, parseActiveDays } from "../services/listingExpiryService.js";
+import { ACTIVE_BOOST_SQL, FEATURED_SLOTS, FEATURED_LABEL, buildFeaturedSlotSql } from "../services/boostService.js";
+import { recordPriceChange, notifyPriceDrops, getPriceHistory } from "../services/priceHistoryService.js";
+import {
+  ComparisonError,
+  parseCompareIds,
+  parseCompareCurrency,
+  buildComparison
+} from "../services/listingComparisonService.js";
+import { findSimilarListings, parseSimilarLimit } from "../services/similarListingsService.js";
+import {
+  CLOSING_OUTCOMES,
+  ClosingError,
+  parseClosing,
+  resolveCounterparty,
+  getClosingCandidates,
+  closeListing as recordListingClosing,
+  getRecentClosings
+} from "../services/listingClosingService.js";
+import { MarketStatsError, parseMarketStatsQuery, getMarketStats } from "../services/marketStatsService.js";
+import { RESTORE_WINDOW_DAYS, archiveListing, restoreListing } from "../services/listingArchiveService.js";
+import { BuildingError, parseUnitFields, getBuildingWithUnits, getBuildingGroups } from "../services/buildingService.js";
+import {
+  AttachmentError,
+  parseNewAttachments,
+  parseAttachmentChanges,
+  applyAttachmentChanges,
+  attachmentAssets,
+  getListingAttachments,
+  getAttachmentDelivery
+} from "../services/listingAttachmentService.js";
+import {
+  ACTORS,
+  PUBLIC_STATES,
+  ListingStatusError,
+  actorFor,
+  transitionListingStatus,
+  recordInitialStatus,
+  getStatusHistory
+} from "../services/listingLifecycle.js";
+import {
+  BLOCK_EXACT_DUPLICATES,
+  findExactAgentDuplicate,
+  detectDuplicateListings,
+  getDuplicateFlags,
+  dismissDuplicateFlag
+} from "../services/duplicateListingService.js";
+import { getPhotoDuplicateFlags, dismissPhotoDuplicateFlag } from "../services/photoHashService.js";
+import { recordListingView, getListingTraffic } from "../services/viewTrackingService.js";
+import {
+  recordListingRevision,
+  diffSnapshots,
+  diffMedia,
+  REVISION_FIELDS
+} from "../services/listingRevisionService.js";
 import { COUNTRY_ISO_MAP } from "../utils/countryMap.js";
+import {
+  buildPublicListingWhere,
+  buildSearchSelect,
+  buildDistanceSelect,
+  resolveSort,
+  defaultSort,
+  decodeCursor,
+  encodeCursor,
+  buildCursorClause,
+  parsePageSize,
+  parseZoom,
+  clusterCellSize,
+  CLUSTER_MAX_ZOOM,
+  MAX_MAP_MARKERS,
+  SearchQueryError
+} from "../services/listingSearchService.js";
 
 /* ----------------- helpers ----------------- */
 function generateProductId() {
   return "PRD-" + crypto.randomUUID().split("-")[0].toUpperCase();
 }
 
-function genAssetId(prefix = "asset") {
-  return `${prefix}_${crypto.randomUUID().split("-")[0]}`;
-}
-
-// ✅ HELPER: Sleep function for rate limiting
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-// ✅ ROBUST GEOCODING HELPER (With Retry Logic)
-const processGeolocation = async (address, city, state, country, zip) => {
-  const userAgent = "KeyviaApp/1.0"; 
-  let queryParts = [address, city, state, zip, country].filter(Boolean);
-  if (queryParts.length === 0) return null;
-
-  let query = queryParts.join(", ");
-  
-  for (let attempt = 1; attempt <= 3; attempt++) {
-    try {
-      await sleep(1000 * attempt); // Wait 1s, 2s, 3s
-      let url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&addressdetails=1&limit=1`;
-      let res = await axios.get(url, { headers: { "User-Agent": userAgent } });
-
-      if (res.data && res.data.length > 0) {
-        const result = res.data[0];
-        console.log("✅ Location found:", result.display_name);
-        return { lat: parseFloat(result.lat), lng: parseFloat(result.lon) };
-      }
-      return null; 
-
-    } catch (error) {
-      if (error.response && error.response.status === 429) {
-         console.warn(`⏳ Geocoding rate limit hit. Retrying in ${attempt}s...`);
-      } else {
-         console.error("❌ Geocoding API Error:", error.message);
-         if (attempt === 3) return null;
-      }
-    }
-  }
-  return null;
-};
-
-const uploadImageFileToCloudinary = async (file) => {
-  try {
-    const public_id = genAssetId("img");
-    return await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream(
-        { public_id, folder: "listings", resource_type: "image", overwrite: false },
-        (error, result) => {
-          if (error) return reject(error);
-          resolve({ url: result.secure_url, public_id: result.public_id, type: "image" });
-        }
-      );
-      stream.end(file.buffer);
-    });
-  } catch (err) { throw err; }
-};
-
-async function uploadVideoFileToCloudinary(file) {
-  try {
-    const public_id = genAssetId("vid");
-    return await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream(
-        { public_id, folder: "listings", resource_type: "video", overwrite: false },
-        async (error, result) => {
-          if (error) return reject(error);
-          if (result.duration && result.duration > 90) {
-            await cloudinary.uploader.destroy(result.public_id, { resource_type: "video" });
-            return reject(new Error("Video too long. Max allowed is 90 seconds."));
-          }
-          resolve({ url: result.secure_url, public_id: result.public_id, type: "video" });
-        }
-      );
-      stream.end(file.buffer);
-    });
-  } catch (err) { throw err; }
-}
-
-async function deleteCloudinaryAsset(public_id, type = "image") {
-  if (!public_id) return;
-  try {
-    await cloudinary.uploader.destroy(public_id, { resource_type: type === "video" ? "video" : "image" });
-  } catch (e) { console.warn("⚠ Failed to delete Cloudinary asset:", public_id); }
+function isAdminUser(user) {
+  return !!user && (user.role === "admin" || user.is_admin === true || user.is_super_admin === true);
 }
 
 function normalizeExistingPhotos(existing = []) {
@@ -105,82 +101,6 @@ function normalizeExistingPhotos(existing = []) {
     }).filter(Boolean);
 }
 
-// ✅ BACKGROUND PROCESSOR (Handles Uploads & Geocoding)
-const runBackgroundProcessing = async (listingId, photoFiles, addressData, videoFile, virtualFile) => {
-  console.log(`⚙️ Background processing started for ${listingId}...`);
-  
-  try {
-    // 1. Process Photos (Parallel Uploads - 3 at a time)
-    const uploadedPhotos = [];
-    for (let i = 0; i < photoFiles.length; i += 3) {
-        const chunk = photoFiles.slice(i, i + 3);
-        const results = await Promise.all(chunk.map(file => uploadImageFileToCloudinary(file)));
-        uploadedPhotos.push(...results);
-    }
-
-    // 2. Process Video
-    let finalVideoUrl = null, finalVideoPublicId = null;
-    if (videoFile) {
-        try {
-            const vid = await uploadVideoFileToCloudinary(videoFile);
-            finalVideoUrl = vid.url; finalVideoPublicId = vid.public_id;
-        } catch (e) { console.error("Video upload failed", e); }
-    }
-
-    // 3. Process Virtual Tour
-    let finalVirtualUrl = null, finalVirtualPublicId = null;
-    if (virtualFile) {
-        try {
-            const tour = await uploadVideoFileToCloudinary(virtualFile);
-            finalVirtualUrl = tour.url; finalVirtualPublicId = tour.public_id;
-        } catch (e) { console.error("Virtual tour upload failed", e); }
-    }
-
-    // 4. Geocoding
-    let coords = { lat: addressData.lat, lng: addressData.lng };
-    if (!coords.lat || !coords.lng) {
-       const geo = await processGeolocation(
-         addressData.address, addressData.city, addressData.state, 
-         addressData.country, addressData.zip
-       );
-       if (geo) coords = geo;
-    }
-
-    // 5. Update DB -> Set Status to 'Pending' (Ready for Admin)
-    await pool.query(
-      `UPDATE listings 
-       SET photos = $1, latitude = $2, longitude = $3, 
-           video_url = $4, video_public_id = $5,
-           virtual_tour_url = $6, virtual_tour_public_id = $7,
-           status = 'pending' 
-       WHERE product_id = $8`,
-      [
-          JSON.stringify(uploadedPhotos), 
-          coords.lat || 0, coords.lng || 0, 
-          finalVideoUrl, finalVideoPublicId,
-          finalVirtualUrl, finalVirtualPublicId,
-          listingId
-      ]
-    );
-
-    console.log(`✅ Listing ${listingId} processing complete & ready for review.`);
-
-
-  } catch (error) {
-    console.error(`❌ Background processing failed for ${listingId}:`, error);
-    
-    // ✅ CRITICAL FIX: Mark listing as failed so it doesn't stay stuck forever
-    try {
-        await pool.query(
-            `UPDATE listings SET status = 'draft', admin_notes = $1 WHERE product_id = $2`,
-            [`System Error: Upload failed. Please try again. (${error.message})`, listingId]
-        );
-    } catch (dbErr) {
-        console.error("Failed to update listing status to error:", dbErr);
-    }
-  }
-};
-
 /* -------------------------------------------------------
    🚀 CREATE LISTING (Async High Performance)
 ------------------------------------------------------- */
@@ -222,14 +142,63 @@ export const createListing = async (req, res) => {
     lot_size = lot_size || req.body.lotSize;
     zip_code = zip_code || req.body.zipCode;
 
+    // 🏢 Unit of a building: address and pin come from the building
+    let unit;
+    try {
+      unit = await parseUnitFields(req.body, req.user);
+    } catch (err) {
+      if (err instanceof BuildingError) return res.status(err.status).json({ message: err.message });
+      throw err;
+    }
+    if (unit.building) {
+      ({ address, city, state, country, zip_code } = unit.building);
+      if (isValidCoordinate(unit.building.latitude, unit.building.longitude)) {
+        latitude = unit.building.latitude;
+        longitude = unit.building.longitude;
+      }
+    }
+
     if (!title || !price || !address) {
        return res.status(400).json({ message: "Missing required fields." });
     }
 
+    // 📎 Floor plans & documents: validated now, uploaded by the job
+    let attachmentMeta;
+    try {
+      attachmentMeta = parseNewAttachments(req.body, req.files);
+    } catch (err) {
+      if (err instanceof AttachmentError) return res.status(err.status).json({ message: err.message });
+      throw err;
+    }
+
+    let activeDays;
+    try {
+      activeDays = parseActiveDays(req.body.active_days ?? req.body.activeDays);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
     if (!product_id) product_id = generateProductId();
 
-    let lat = latitude ? Number(latitude) : 0;
-    let lng = longitude ? Number(longitude) : 0;
+    // 🚫 Optional: refuse an exact copy of one of this agent's own listings
+    if (BLOCK_EXACT_DUPLICATES) {
+      const existing = await findExactAgentDuplicate({
+        agentId: userId, address, city, zip: zip_code, listingType: listing_type,
+        price: Number(price), bedrooms: bedrooms ? Number(bedrooms) : null, unitNumber: unit.unit_number
+      });
+      if (existing) {
+        return res.status(409).json({
+          message: `You already have this property listed (${existing.product_id}). Edit that listing instead.`,
+          code: "DUPLICATE_LISTING",
+          duplicate_of: existing.product_id,
+        });
+      }
+    }
+
+    // Only keep a pin the agent actually dropped; 0,0 is never a real location
+    const hasPin = isValidCoordinate(latitude, longitude);
+    let lat = hasPin ? Number(latitude) : null;
+    let lng = hasPin ? Number(longitude) : null;
 
     let featuresArr = [];
     try {
@@ -252,7 +221,8 @@ export const createListing = async (req, res) => {
         bedrooms, bathrooms, parking,
         year_built, square_footage, furnishing, lot_size,
         features, photos, video_url, virtual_tour_url,
-        contact_name, contact_email, contact_phone, contact_method,
+        contact_name, contact_email, contact_phone, contact_method, active_days,
+        building_id, unit_number, floor, available_from,
         status, is_active, payment_status, created_at, updated_at
       )
       VALUES (
@@ -261,7 +231,8 @@ export const createListing = async (req, res) => {
         $18, $19,
         $20, $21, $22, $23, $24, $25, $26, $27, 
         '[]', null, null,
-        $28, $29, $30, $31,
+        $28, $29, $30, $31, $32,
+        $33, $34, $35, $36,
         'processing', false, 'unpaid', NOW(), NOW()
       )
       RETURNING *;
@@ -277,34 +248,59 @@ export const createListing = async (req, res) => {
       bedrooms ? Number(bedrooms) : null, bathrooms ? Number(bathrooms) : null, parking || null,
       year_built ? Number(year_built) : null, square_footage ? Number(square_footage) : null, furnishing || null, lot_size ? Number(lot_size) : null,
       JSON.stringify(featuresArr),
-      contact_name || null, contact_email || null, contact_phone || null, contact_method || null
+      contact_name || null, contact_email || null, contact_phone || null, contact_method || null,
+      activeDays ?? null,
+      unit.building_id, unit.unit_number, unit.floor, unit.available_from
     ];
 
     const result = await pool.query(query, params);
     const listing = result.rows[0];
 
-    // ⚡ RESPOND IMMEDIATELY
+    await recordInitialStatus(product_id, "processing", { actor: ACTORS.OWNER, actorId: userId })
+      .catch(e => console.warn("⚠ Status history record failed:", e.message));
+
+    // 📜 Revision #1 (media is attached once uploads finish)
+    const revision = await recordListingRevision({
+        productId: product_id, action: "create", user: req.user, before: null, after: listing
+    }).catch(e => { console.warn("⚠ Revision record failed:", e.message); return null; });
+
+    await recordPriceChange({ productId: product_id, before: null, after: listing, source: "create", changedBy: userId })
+      .catch(e => console.warn("⚠ Price history record failed:", e.message));
+
+    // ⚙️ QUEUE BACKGROUND WORK (survives restarts; retried on failure)
+    let job;
+    try {
+      job = await enqueueJob(LISTING_JOBS.PROCESS_CREATE, {
+        listingId: product_id,
+        payload: {
+          addressData: { address, city, state, country, zip: zip_code, lat, lng },
+          revisionId: revision?.id || null,
+          attachments: attachmentMeta,
+          uploadedBy: userId,
+          steps: planProcessingSteps({ files: req.files, geocode: !hasPin })
+        },
+        files: req.files
+      });
+    } catch (err) {
+      await transitionListingStatus({
+        productId: product_id, to: "draft", actor: ACTORS.SYSTEM, reason: "processing could not be queued",
+        onlyFrom: ["processing"],
+        set: { admin_notes: `System Error: Upload failed. Please try again. (${err.message})` }
+      }).catch(() => {});
+      throw err;
+    }
+
     res.status(201).json({
       success: true,
       message: "Listing created! Media processing in background...",
       listing: { ...listing, status: 'processing', photos: [] },
+      job_id: job.id,
     });
 
-    // ⚙️ TRIGGER BACKGROUND WORK
-    const photoFiles = req.files?.photos || [];
-    const videoFile = req.files?.video_file?.[0] || null;
-    const virtualFile = req.files?.virtual_file?.[0] || null;
-    
-    // This runs AFTER response is sent
-    runBackgroundProcessing(
-        product_id, 
-        photoFiles, 
-        { address, city, state, country, zip: zip_code, lat, lng },
-        videoFile,
-        virtualFile
-    );
-
   } catch (err) {
+    if (err.code === "23505" && err.constraint === "idx_listings_building_unit" && !res.headersSent) {
+      return res.status(409).json({ message: "This building already has a listing for that unit", code: "DUPLICATE_UNIT" });
+    }
     console.error("CreateListing Error:", err);
     if (!res.headersSent) {
         res.status(500).json({ message: "Server Error", code: "CREATE_LISTING_FAIL", details: err?.message });
@@ -317,99 +313,6 @@ export const createListing = async (req, res) => {
    Returns immediately, processes media/geo in background.
 ------------------------------------------------------- */
 
-// ✅ BACKGROUND WORKER FOR UPDATES
-const runUpdateBackgroundProcessing = async (listingId, data) => {
-  const { 
-      photoFiles, videoFile, virtualFile, 
-      removeList, 
-      addressData, addressChanged 
-  } = data;
-
-  console.log(`⚙️ Background Update started for ${listingId}...`);
-
-  try {
-      // 1. Cloudinary Deletions (Parallel & Non-blocking)
-      if (removeList.length > 0) {
-          Promise.all(removeList.map(pid => deleteCloudinaryAsset(pid, "image"))).catch(e => console.warn("Del failed", e));
-      }
-
-      // 2. Upload New Photos
-      const uploadedPhotos = [];
-      for (let i = 0; i < photoFiles.length; i += 3) {
-          const chunk = photoFiles.slice(i, i + 3);
-          const results = await Promise.all(chunk.map(file => uploadImageFileToCloudinary(file)));
-          uploadedPhotos.push(...results);
-      }
-
-      // 3. Upload Video/Virtual Tour
-      let vidUpdates = {};
-      if (videoFile) {
-          try {
-              const up = await uploadVideoFileToCloudinary(videoFile);
-              vidUpdates.video_url = up.url;
-              vidUpdates.video_public_id = up.public_id;
-          } catch (e) { console.error("Video update failed", e); }
-      }
-      if (virtualFile) {
-          try {
-              const up = await uploadVideoFileToCloudinary(virtualFile);
-              vidUpdates.virtual_tour_url = up.url;
-              vidUpdates.virtual_tour_public_id = up.public_id;
-          } catch (e) { console.error("Virtual update failed", e); }
-      }
-
-      // 4. Geocoding (Only if address changed)
-      let geoUpdates = {};
-      if (addressChanged) {
-           console.log("📍 Address changed, recalculating coordinates...");
-           const coords = await processGeolocation(
-               addressData.address, addressData.city, addressData.state, 
-               addressData.country, addressData.zip
-           );
-           if (coords) {
-               geoUpdates.latitude = coords.lat;
-               geoUpdates.longitude = coords.lng;
-           }
-      }
-
-      // 5. Final DB Update
-      // Fetch current photos to append new ones
-      const currentRes = await pool.query("SELECT photos FROM listings WHERE product_id=$1", [listingId]);
-      let currentPhotos = currentRes.rows[0]?.photos || [];
-      if (typeof currentPhotos === 'string') currentPhotos = JSON.parse(currentPhotos);
-      
-      const finalPhotos = [...currentPhotos, ...uploadedPhotos];
-
-      // Dynamic SQL Building
-      let fields = ["photos=$1", "updated_at=NOW()"];
-      let values = [JSON.stringify(finalPhotos)];
-      let idx = 2;
-
-      if (geoUpdates.latitude) {
-          fields.push(`latitude=$${idx++}`, `longitude=$${idx++}`);
-          values.push(geoUpdates.latitude, geoUpdates.longitude);
-      }
-      if (vidUpdates.video_url) {
-          fields.push(`video_url=$${idx++}`, `video_public_id=$${idx++}`);
-          values.push(vidUpdates.video_url, vidUpdates.video_public_id);
-      }
-      if (vidUpdates.virtual_tour_url) {
-          fields.push(`virtual_tour_url=$${idx++}`, `virtual_tour_public_id=$${idx++}`);
-          values.push(vidUpdates.virtual_tour_url, vidUpdates.virtual_tour_public_id);
-      }
-
-      values.push(listingId);
-      
-      // We explicitly DO NOT set status='approved' here. It stays 'pending' from the main controller.
-      await pool.query(`UPDATE listings SET ${fields.join(", ")} WHERE product_id=$${idx}`, values);
-
-      console.log(`✅ Listing ${listingId} background update complete.`);
-
-  } catch (err) {
-      console.error(`❌ Background update failed for ${listingId}`, err);
-  }
-};
-
 export const updateListing = async (req, res) => {
   try {
     const product_id = req.params.product_id || req.params.id || req.params.productId;
@@ -421,14 +324,25 @@ export const updateListing = async (req, res) => {
     const listing = found.rows[0];
     if (!listing) return res.status(404).json({ message: "Listing not found" });
     if (listing.agent_unique_id !== userId) return res.status(403).json({ message: "Forbidden" });
+    if (listing.status === "archived") {
+      return res.status(409).json({ message: "Restore this listing before editing it", code: "LISTING_ARCHIVED" });
+    }
 
     // 2. Prepare Data (Helpers)
     const b = req.body;
     const toNum = (v, prev) => (v ? Number(v) : prev);
 
+    // Active period applies from the next activation/renewal
+    let activeDays;
+    try {
+      activeDays = parseActiveDays(b.active_days ?? b.activeDays) ?? listing.active_days;
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
     // 3. Handle Photos (Reordering & Deletion)
     // We handle deletions *immediately* in the DB record to make the UI snappy.
-    // The actual Cloudinary deletion happens in background.
+    // The actual storage deletion happens in background.
     let currentPhotos = typeof listing.photos === "string" ? JSON.parse(listing.photos || "[]") : listing.photos || [];
     
     // Process removals logic
@@ -438,6 +352,8 @@ export const updateListing = async (req, res) => {
     } catch { removeList = []; }
 
     // Filter out removed photos from the array we will save immediately
+    // Only photos that belong to this listing are deleted from storage
+    const removedPhotos = currentPhotos.filter(p => removeList.includes(p.public_id));
     currentPhotos = currentPhotos.filter(p => !removeList.includes(p.public_id));
 
     // Handle reordering (if existingPhotos sent)
@@ -463,19 +379,40 @@ export const updateListing = async (req, res) => {
         if (!Array.isArray(featuresArr)) featuresArr = Object.keys(featuresArr).filter((k) => featuresArr[k]);
     } catch { featuresArr = []; }
 
-    // 5. Detect Address Change
-    const newAddr = b.address ?? listing.address;
-    const newCity = b.city ?? listing.city;
-    const newState = b.state ?? listing.state;
-    const newCountry = b.country ?? listing.country;
-    const newZip = b.zip_code || b.zipCode || listing.zip_code;
+    // 5. Detect Address Change (a building's units take the building's address)
+    let unit;
+    try {
+      unit = await parseUnitFields(b, req.user, listing);
+    } catch (err) {
+      if (err instanceof BuildingError) return res.status(err.status).json({ message: err.message });
+      throw err;
+    }
+    const shared = unit.building || {};
+    const newAddr = shared.address ?? b.address ?? listing.address;
+    const newCity = shared.city ?? b.city ?? listing.city;
+    const newState = shared.state ?? b.state ?? listing.state;
+    const newCountry = shared.country ?? b.country ?? listing.country;
+    const newZip = shared.zip_code ?? (b.zip_code || b.zipCode || listing.zip_code);
 
     const addressChanged = 
         (newAddr !== listing.address) || (newCity !== listing.city) || 
         (newState !== listing.state) || (newCountry !== listing.country) || (newZip !== listing.zip_code);
+    // The building's pin is reused instead of geocoding the unit
+    const buildingPin = unit.building && isValidCoordinate(unit.building.latitude, unit.building.longitude);
+    const needsGeocode = addressChanged && !buildingPin;
+
+    // 📎 Attachments: new files (uploaded by the job), removals and metadata edits
+    let attachmentMeta, attachmentChanges;
+    try {
+      attachmentMeta = parseNewAttachments(b, req.files);
+      attachmentChanges = parseAttachmentChanges(b);
+    } catch (err) {
+      if (err instanceof AttachmentError) return res.status(err.status).json({ message: err.message });
+      throw err;
+    }
 
     // 6. Immediate DB Update (Text & Status Only)
-    // We set status='pending' and is_active=false immediately.
+    // The listing goes back to review ('pending', inactive) in the same transaction.
     // We KEEP old lat/long/video for now until background worker updates them.
     const query = `
       UPDATE listings SET
@@ -486,7 +423,9 @@ export const updateListing = async (req, res) => {
         year_built=$17, square_footage=$18, furnishing=$19, lot_size=$20,
         features=$21, photos=$22,
         contact_name=$23, contact_email=$24, contact_phone=$25, contact_method=$26,
-        status='pending', is_active=false, updated_at=NOW()
+        active_days=$28,
+        building_id=$29, unit_number=$30, floor=$31, available_from=$32,
+        updated_at=NOW()
       WHERE product_id=$27
       RETURNING *;
     `;
@@ -502,32 +441,93 @@ export const updateListing = async (req, res) => {
       JSON.stringify(featuresArr), JSON.stringify(currentPhotos),
       b.contact_name || b.contactName || listing.contact_name, b.contact_email || b.contactEmail || listing.contact_email,
       b.contact_phone || b.contactPhone || listing.contact_phone, b.contact_method || b.contactMethod || listing.contact_method,
-      product_id
+      product_id, activeDays ?? null,
+      unit.building_id, unit.unit_number, unit.floor, unit.available_from
     ];
 
-    const result = await pool.query(query, params);
-    const updatedListing = result.rows[0];
+    const client = await pool.connect();
+    let updatedListing, removedAttachments;
+    try {
+      await client.query("BEGIN");
+      await transitionListingStatus({
+        productId: product_id, to: "pending", actor: ACTORS.OWNER, actorId: userId, reason: "edited",
+        set: { is_active: false }, db: client
+      });
+      removedAttachments = await applyAttachmentChanges(client, product_id, attachmentChanges, attachmentMeta.length);
+      let result = await client.query(query, params);
+      if (addressChanged && buildingPin) {
+        result = await client.query(
+          `UPDATE listings SET latitude=$2, longitude=$3, geo_precision=$4, geo_source=$5
+           WHERE product_id=$1 RETURNING *`,
+          [product_id, unit.building.latitude, unit.building.longitude, unit.building.geo_precision, unit.building.geo_source]
+        );
+      }
+      updatedListing = result.rows[0];
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
 
-    // 7. ⚡ RESPOND IMMEDIATELY
-    res.json({ 
-        success: true, 
-        message: "Update received! Media processing in background...", 
-        listing: updatedListing 
-    });
+    // 📜 Store what changed as a revision
+    const revision = await recordListingRevision({
+        productId: product_id, action: "update", user: req.user, before: listing, after: updatedListing
+    }).catch(e => { console.warn("⚠ Revision record failed:", e.message); return null; });
+
+    // 📉 Price history (favoriters hear about a drop once it is live again)
+    recordPriceChange({ productId: product_id, before: listing, after: updatedListing, source: "update", changedBy: userId })
+      .catch(e => console.warn("⚠ Price history failed:", e.message));
+
+    // 7. ⚙️ QUEUE BACKGROUND WORK (only when there is media or geo work to do)
+    const hasFiles = ["photos", "video_file", "virtual_file", "attachments"].some(f => req.files?.[f]?.length);
+    let job = null;
+    if (hasFiles || removedPhotos.length || removedAttachments.length || needsGeocode) {
+        const removeAssets = attachmentAssets(removedAttachments);
+        job = await enqueueJob(LISTING_JOBS.PROCESS_UPDATE, {
+            listingId: product_id,
+            payload: {
+                removePhotos: removedPhotos,
+                removeAttachments: removeAssets,
+                attachments: attachmentMeta,
+                uploadedBy: userId,
+                addressData: { address: newAddr, city: newCity, state: newState, country: newCountry, zip: newZip },
+                addressChanged: needsGeocode,
+                revisionId: revision?.id || null,
+                steps: planProcessingSteps({
+                    files: req.files,
+                    removeList: [...removedPhotos, ...removeAssets].map(p => p.public_id),
+                    geocode: needsGeocode
+                })
+            },
+            files: req.files
+        });
+    }
 
-    // 8. ⚙️ TRIGGER BACKGROUND WORK
-    const photoFiles = req.files?.photos || [];
-    const videoFile = req.files?.video_file?.[0] || null;
-    const virtualFile = req.files?.virtual_file?.[0] || null;
+    // Re-check for duplicates now; a queued job re-checks after geocoding
+    if (!job) {
+        detectDuplicateListings(product_id).catch(e => console.warn("⚠ Duplicate check failed:", e.message));
+    }
 
-    runUpdateBackgroundProcessing(product_id, {
-        photoFiles, videoFile, virtualFile,
-        removeList,
-        addressData: { address: newAddr, city: newCity, state: newState, country: newCountry, zip: newZip },
-        addressChanged
+    // 8. ⚡ RESPOND
+    res.json({ 
+        success: true, 
+        message: job ? "Update received! Media processing in background..." : "Update received!", 
+        listing: updatedListing,
+        job_id: job?.id || null
     });
 
   } catch (err) {
+    if (err instanceof ListingStatusError && !res.headersSent) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    if (err instanceof AttachmentError && !res.headersSent) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    if (err.code === "23505" && err.constraint === "idx_listings_building_unit" && !res.headersSent) {
+      return res.status(409).json({ message: "This building already has a listing for that unit", code: "DUPLICATE_UNIT" });
+    }
     console.error("UpdateListing Error:", err);
     if (!res.headersSent) {
         res.status(500).json({ message: "Server Error", code: "UPDATE_FAIL", details: err?.message });
@@ -538,27 +538,12 @@ export const updateListing = async (req, res) => {
 
 
 /* -------------------------------------------------------
-   DELETE LISTING (High Performance)
-   1. Removes from DB immediately.
-   2. Cleans up Cloudinary assets in background.
+   DELETE LISTING (Soft delete)
+   1. Archives the listing: out of search and dashboards, but
+      favorites and applications still resolve.
+   2. Restorable for RESTORE_WINDOW_DAYS via POST /:product_id/restore;
+      the scheduled purge then deletes its media.
 ------------------------------------------------------- */
-
-// ✅ BACKGROUND WORKER FOR DELETION
-const runDeleteBackgroundCleanup = async (assets) => {
-  console.log(`🗑️ Starting background cleanup for ${assets.length} assets...`);
-  
-  // We don't want to crash the server if this fails, just log it
-  try {
-    await Promise.all(assets.map(async (asset) => {
-        if (!asset.public_id) return;
-        await deleteCloudinaryAsset(asset.public_id, asset.type);
-    }));
-    console.log("✅ Background cleanup complete.");
-  } catch (err) {
-    console.error("❌ Background cleanup error:", err);
-  }
-};
-
 export const deleteListing = async (req, res) => {
   try {
     const product_id = req.params.product_id || req.params.id || req.params.productId;
@@ -566,68 +551,49 @@ export const deleteListing = async (req, res) => {
 
     if (!userId) return res.status(401).json({ message: "Unauthorized", code: "UNAUTHORIZED" });
 
-    // 1. Fetch listing to verify ownership & get asset IDs BEFORE deleting
+    // 1. Verify ownership (admins may archive too)
     const found = await pool.query(
-      "SELECT photos, video_public_id, virtual_tour_public_id, agent_unique_id FROM listings WHERE product_id=$1",
+      "SELECT product_id, agent_unique_id FROM listings WHERE product_id=$1",
       [product_id]
     );
     const listing = found.rows[0];
 
     if (!listing) return res.status(404).json({ message: "Listing not found", code: "LISTING_NOT_FOUND" });
 
-    if (listing.agent_unique_id !== userId) {
+    const actor = actorFor(req.user, listing);
+    if (!actor) {
       return res.status(403).json({ message: "Not authorized", code: "FORBIDDEN" });
     }
 
-    // 2. Collect Assets for Background Deletion
-    const assetsToDelete = [];
-
-    // Parse Photos
-    let photos = [];
-    try {
-      photos = typeof listing.photos === "string" ? JSON.parse(listing.photos || "[]") : listing.photos || [];
-    } catch { photos = []; }
-    
-    // Add Photos to delete list
-    photos.forEach(p => {
-        if (p.public_id) assetsToDelete.push({ public_id: p.public_id, type: "image" });
+    // 2. Archive
+    const archived = await archiveListing({
+      productId: product_id, actor, actorId: userId, reason: req.body?.reason || null
     });
 
-    // Add Video
-    if (listing.video_public_id) {
-        assetsToDelete.push({ public_id: listing.video_public_id, type: "video" });
-    }
-
-    // Add Virtual Tour
-    if (listing.virtual_tour_public_id) {
-        assetsToDelete.push({ public_id: listing.virtual_tour_public_id, type: "video" });
+    if (req.io && actor === ACTORS.ADMIN) {
+      req.io.to(listing.agent_unique_id).emit("listingStatusUpdated", {
+        product_id, status: archived.status, is_active: archived.is_active
+      });
     }
 
-    // 3. Delete from DB (Immediate)
-    // Clear notifications first (Foreign Key constraint)
-    await pool.query("DELETE FROM notifications WHERE product_id=$1", [product_id]);
-    // Delete the Listing
-    await pool.query("DELETE FROM listings WHERE product_id=$1", [product_id]);
-
-    // 4. Fetch updated agent stats (Optional, useful for UI refresh)
+    // 3. Fetch updated agent stats (Optional, useful for UI refresh)
     const profileRes = await pool.query(
       "SELECT unique_id, email, full_name, username, avatar_url, agency_name FROM profiles WHERE unique_id=$1",
       [userId]
     );
     
-    // 5. ⚡ SEND RESPONSE IMMEDIATELY
+    // 4. ⚡ SEND RESPONSE
     res.json({
       success: true,
-      message: "Listing deleted successfully",
+      message: `Listing deleted. You can restore it within ${RESTORE_WINDOW_DAYS} days.`,
+      restore_until: archived.purge_after,
       agent: profileRes.rows[0] || null,
     });
 
-    // 6. ⚙️ TRIGGER BACKGROUND CLEANUP
-    if (assetsToDelete.length > 0) {
-        runDeleteBackgroundCleanup(assetsToDelete);
-    }
-
   } catch (err) {
+    if (err instanceof ListingStatusError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
     console.error("[DeleteListing] Error:", err);
     res.status(500).json({
       message: "Delete failed",
@@ -637,35 +603,140 @@ export const deleteListing = async (req, res) => {
   }
 };
 
+/* -------------------------------------------------------
+   RESTORE LISTING (Owner / Admin)
+   POST /:product_id/restore
+   Back to the state it was archived from (expired if its paid
+   period ran out meanwhile). Owners: within the restore window.
+   Admins: until the media purge has run.
+------------------------------------------------------- */
+export const restoreArchivedListing = async (req, res) => {
+  try {
+    const found = await pool.query(
+      "SELECT product_id, agent_unique_id FROM listings WHERE product_id=$1",
+      [req.params.product_id]
+    );
+    const listing = found.rows[0];
+    if (!listing) return res.status(404).json({ message: "Listing not found", code: "LISTING_NOT_FOUND" });
+
+    const actor = actorFor(req.user, listing);
+    if (!actor) return res.status(403).json({ message: "Forbidden", code: "FORBIDDEN" });
+
+    const restored = await restoreListing({
+      productId: listing.product_id, actor, actorId: req.user.unique_id, isAdmin: actor === ACTORS.ADMIN
+    });
+
+    if (req.io && actor === ACTORS.ADMIN) {
+      req.io.to(listing.agent_unique_id).emit("listingStatusUpdated", {
+        product_id: listing.product_id, status: restored.status, is_active: restored.is_active
+      });
+    }
+
+    res.json({ success: true, message: "Listing restored", listing: restored });
+  } catch (err) {
+    if (err instanceof ListingStatusError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    console.error("[RestoreListing] Error:", err);
+    res.status(500).json({ message: "Restore failed", code: "RESTORE_LISTING_FAIL" });
+  }
+};
+
 
 /* -------------------------------------------------------
    1. GET LISTINGS (Public - /buy, /rent, Homepage)
-   UPDATED: With DEEP LOGGING for Debugging
+   Cursor paginated. Query params:
+   - filters: category, type, city, minPrice, maxPrice, search,
+     polygon (GeoJSON) or viewport (minLat/maxLat/minLng/maxLng),
+     near=lat,lng&radius_km=N (adds distance_km to every result)
+   - search is full-text over title, description, features and
+     location; results carry search_rank and <mark> highlights
+   - sort: relevance | newest | price_asc | price_desc |
+     price_per_sqft | distance (distance needs near=lat,lng).
+     Defaults to relevance when searching, newest otherwise.
+   - limit, cursor (the next_cursor from the previous page)
+   - group_by=building: one result per building (its top unit),
+     with the building's matching units and price range attached
 ------------------------------------------------------- */
 export const getListings = async (req, res) => {
   try {
-    console.log("\n========================================");
-    console.log("🚀 GET /listings/public HIT");
-    console.log("========================================");
-
-    const { 
-      category, search, minLat, maxLat, minLng, maxLng, 
-      type, minPrice, maxPrice, city, polygon 
-    } = req.query;
-
-    // Log Incoming Params
-    console.log("📥 Query Params:", { 
-        category, type, city, 
-        hasPolygon: !!polygon, 
-        hasViewport: (!!minLat && !!maxLat) 
+    const sort = req.query.sort || defaultSort(req.query);
+    const limit = parsePageSize(req.query.limit);
+    const currentUserId = req.user?.unique_id || null;
+    // ?group_by=building: one result per building (its best-ranked matching unit)
+    const groupByBuilding = req.query.group_by === "building";
+
+    console.log("📥 GET /listings/public:", {
+        sort, limit,
+        hasCursor: !!req.query.cursor,
+        hasPolygon: !!req.query.polygon,
+        hasViewport: (!!req.query.minLat && !!req.query.maxLat),
+        radiusKm: req.query.near ? req.query.radius_km || null : null
     });
 
-    let currentUserId = null;
-    if (req.user && req.user.unique_id) {
-        currentUserId = req.user.unique_id;
+    // --- 1. FILTERS (shared by the page query and the total count) ---
+    const params = [];
+    const where = buildPublicListingWhere(req.query, params);
+    const countParams = [...params];
+
+    // --- 2. RANK, SORT & CURSOR ---
+    const searchSelect = buildSearchSelect(req.query, params);
+    const distanceSelect = buildDistanceSelect(req.query, params);
+    const sortSpec = resolveSort(sort, req.query, params);
+    let cursorClause = "";
+    if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor, sort);
+        cursorClause = `AND ${buildCursorClause(cursor, sortSpec, params)}`;
+    }
+
+    // Paid "Featured" slots above the results (first page only), from the
+    // boost slot(s) of the searched city/category. Slots are capped when
+    // sold, so this only picks among them; picked listings are left out of
+    // the page below so they don't show twice.
+    const featuredParams = [...countParams];
+    const featuredSlot = req.query.cursor ? null : buildFeaturedSlotSql(req.query, featuredParams);
+    featuredParams.push(currentUserId);
+    const featuredText = `
+      SELECT
+        l.*,
+        p.full_name as agent_name,
+        p.avatar_url as agent_avatar,
+        p.agency_name,
+        p.username as agent_username,
+        p.role as agent_role,
+        p.phone as agent_phone,
+        CASE WHEN f.product_id IS NOT NULL THEN true ELSE false END as is_favorited,
+        true as is_featured
+      FROM listings l
+      JOIN profiles p ON l.agent_unique_id = p.unique_id
+      LEFT JOIN favorites f ON l.product_id = f.product_id AND f.user_id = $${featuredParams.length}
+      WHERE ${where} AND ${featuredSlot}
+      ORDER BY random()
+      LIMIT ${FEATURED_SLOTS}
+    `;
+    const featuredRes = featuredSlot ? await pool.query(featuredText, featuredParams) : { rows: [] };
+    const featuredIds = featuredRes.rows.map((l) => l.product_id);
+
+    params.push(currentUserId);
+    const userParam = `$${params.length}`;
+    let featuredClause = "";
+    if (featuredIds.length) {
+      params.push(featuredIds);
+      featuredClause = `AND l.product_id <> ALL($${params.length}::text[])`;
     }
 
-    let queryText = `
+    const listingSource = groupByBuilding
+      ? `(
+          SELECT l.*, ROW_NUMBER() OVER (
+            PARTITION BY COALESCE(l.building_id, l.product_id)
+            ORDER BY ${sortSpec.expr} ${sortSpec.dir}, l.product_id ${sortSpec.dir}
+          ) as building_rank
+          FROM listings l
+          WHERE ${where}
+        ) l`
+      : "listings l";
+
+    const queryText = `
       SELECT 
         l.*, 
         p.full_name as agent_name, 
@@ -675,124 +746,43 @@ export const getListings = async (req, res) => {
         p.role as agent_role, 
         p.phone as agent_phone,
         CASE WHEN f.product_id IS NOT NULL THEN true ELSE false END as is_favorited,
-        -- DEBUG: Return the location as text to verify it exists
-        ST_AsText(l.location) as debug_location
-      FROM listings l
+        ${ACTIVE_BOOST_SQL} as is_featured,
+        (${sortSpec.expr})::text as sort_key${searchSelect}${distanceSelect}
+      FROM ${listingSource}
       JOIN profiles p ON l.agent_unique_id = p.unique_id
-      LEFT JOIN favorites f ON l.product_id = f.product_id AND f.user_id = $1
-      WHERE l.status = 'approved' 
-      AND l.is_active = true
+      LEFT JOIN favorites f ON l.product_id = f.product_id AND f.user_id = ${userParam}
+      WHERE ${where}
+      ${groupByBuilding ? "AND l.building_rank = 1" : ""}
+      ${featuredClause}
+      ${cursorClause}
+      ORDER BY ${sortSpec.expr} ${sortSpec.dir}, l.product_id ${sortSpec.dir}
+      LIMIT ${limit + 1}
     `;
-    
-    const queryParams = [currentUserId];
-    let paramCounter = 2; 
-
-    // --- 1. POLYGON SEARCH ---
-    if (polygon) {
-        try {
-            console.log("🔹 Parsing Polygon JSON...");
-            const geoJson = JSON.parse(polygon);
-            
-            // Log the coordinates to ensure they look right (Lat/Lng vs Lng/Lat)
-            // GeoJSON expects [Longitude, Latitude]
-            if (geoJson.coordinates && geoJson.coordinates.length > 0) {
-                console.log("📍 First Point in Polygon:", geoJson.coordinates[0][0]);
-            }
-
-            queryText += ` 
-                AND l.location IS NOT NULL 
-                AND ST_Intersects(
-                    ST_SetSRID(ST_GeomFromGeoJSON($${paramCounter}), 4326), 
-                    l.location
-                )`;
-            
-            queryParams.push(JSON.stringify(geoJson));
-            paramCounter++;
-            console.log("✅ Polygon Filter Added to SQL");
 
-        } catch (e) {
-            console.error("❌ Invalid Polygon JSON received:", e.message);
-        }
-    }
-
-    // --- 2. STANDARD FILTERS ---
-    if (category && category !== 'undefined') {
-      queryText += ` AND (category ILIKE $${paramCounter} OR listing_type ILIKE $${paramCounter})`;
-      queryParams.push(category);
-      paramCounter++;
-    }
-
-    if (type) {
-      queryText += ` AND l.listing_type = $${paramCounter}`;
-      queryParams.push(type.toLowerCase());
-      paramCounter++;
-    }
-
-    if (city) {
-      queryText += ` AND l.city ILIKE $${paramCounter}`;
-      queryParams.push(`%${city}%`);
-      paramCounter++;
-    }
-
-    if (minPrice) {
-      queryText += ` AND l.price >= $${paramCounter}`;
-      queryParams.push(minPrice);
-      paramCounter++;
-    }
-
-    if (maxPrice) {
-      queryText += ` AND l.price <= $${paramCounter}`;
-      queryParams.push(maxPrice);
-      paramCounter++;
-    }
-
-    if (search) {
-      queryText += ` AND (
-        l.city ILIKE $${paramCounter} OR 
-        l.address ILIKE $${paramCounter} OR 
-        l.state ILIKE $${paramCounter} OR
-        l.country ILIKE $${paramCounter} OR
-        l.zip_code ILIKE $${paramCounter} 
-      )`;
-      queryParams.push(`%${search}%`);
-      paramCounter++;
-    }
-
-    // Viewport Search (Fallback)
-    if (!polygon && minLat && maxLat && minLng && maxLng && !isNaN(Number(minLat))) {
-      console.log("🔹 Using Viewport (Bounds) Search");
-      queryText += ` 
-        AND l.latitude::numeric >= $${paramCounter} 
-        AND l.latitude::numeric <= $${paramCounter + 1}
-        AND l.longitude::numeric >= $${paramCounter + 2} 
-        AND l.longitude::numeric <= $${paramCounter + 3}
-      `;
-      queryParams.push(minLat, maxLat, minLng, maxLng);
-      paramCounter += 4;
-    }
+    // --- 3. EXECUTE ---
+    const [result, countRes] = await Promise.all([
+      pool.query(queryText, params),
+      pool.query(
+        `SELECT ${groupByBuilding ? "COUNT(DISTINCT COALESCE(l.building_id, l.product_id))" : "COUNT(*)"}::int AS total
+         FROM listings l WHERE ${where}`,
+        countParams
+      ),
+    ]);
 
-    queryText += " ORDER BY l.activated_at DESC NULLS LAST LIMIT 500";
+    // Fetched one extra row to know whether another page exists
+    const hasMore = result.rows.length > limit;
+    const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+    const last = rows[rows.length - 1];
 
-    // --- 3. EXECUTE & LOG ---
-    console.log("📝 Executing SQL:", queryText);
-    console.log("📦 With Params:", JSON.stringify(queryParams));
-
-    const result = await pool.query(queryText, queryParams);
-
-    console.log(`✅ Database returned ${result.rows.length} rows`);
-    if (result.rows.length > 0) {
-        console.log("🔎 First Match Location:", result.rows[0].debug_location);
-    } else {
-        console.log("⚠️ No matches found. Check if your Polygon covers the Listing Location.");
-    }
+    console.log(`✅ Returned ${rows.length} of ${countRes.rows[0].total} listings`);
 
     // --- 4. FORMAT RESPONSE ---
-    const listings = result.rows.map(l => {
+    const formatListing = ({ sort_key, search_vector, title_highlight, description_highlight, building_rank, ...l }) => {
       let photos = [], features = [];
       try { photos = typeof l.photos === 'string' ? JSON.parse(l.photos) : (l.photos || []); } catch (e) {}
       try { features = typeof l.features === 'string' ? JSON.parse(l.features) : (l.features || []); } catch (e) {}
 
-      photos = photos.map(p => ({ url: p.url || p, type: 'image' }));
+      photos = photos.map(presentPhoto);
 
       return {
         ...l,
@@ -800,6 +790,10 @@ export const getListings = async (req, res) => {
         features,
         latitude: l.latitude ? parseFloat(l.latitude) : null,
         longitude: l.longitude ? parseFloat(l.longitude) : null,
+        featured_label: l.is_featured ? FEATURED_LABEL : null,
+        ...(req.query.search && title_highlight !== undefined && {
+            highlights: { title: title_highlight, description: description_highlight }
+        }),
         agent: {
             name: l.agent_name,
             avatar: l.agent_avatar,
@@ -808,23 +802,220 @@ export const getListings = async (req, res) => {
             agency: l.agency_name
         }
       };
-    });
+    };
+
+    const listings = rows.map(formatListing);
+
+    // 🏢 Grouped: attach each building's matching units and ranges
+    if (groupByBuilding) {
+      const buildingIds = [...new Set(rows.map(r => r.building_id).filter(Boolean))];
+      const groups = await getBuildingGroups(buildingIds, where, countParams);
+      listings.forEach(l => {
+        if (l.building_id) l.building = groups.get(l.building_id) || null;
+      });
+    }
 
-    res.json(listings);
+    res.json({
+      featured: featuredRes.rows.map(formatListing),
+      listings,
+      total: countRes.rows[0].total,
+      sort,
+      group_by: groupByBuilding ? "building" : null,
+      next_cursor: hasMore && last ? encodeCursor(sort, last.sort_key, last.product_id) : null,
+    });
 
   } catch (err) {
+    if (err instanceof SearchQueryError) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("❌ CRITICAL ERROR in getListings:", err);
     res.status(500).json({ error: "Server error" });
   }
 };
 
 
+/* -------------------------------------------------------
+   MAP CLUSTERS (Public - listings map)
+   Needs a viewport (minLat/maxLat/minLng/maxLng) and a zoom.
+   Accepts every getListings filter. Zoomed out it returns
+   clusters (count, centroid, price range); past the threshold
+   it returns lightweight markers instead of full listings.
+------------------------------------------------------- */
+export const getListingClusters = async (req, res) => {
+  try {
+    const { minLat, maxLat, minLng, maxLng } = req.query;
+    if ([minLat, maxLat, minLng, maxLng].some(v => v === undefined || isNaN(Number(v)))) {
+      return res.status(400).json({ message: "A viewport (minLat, maxLat, minLng, maxLng) is required" });
+    }
+    const zoom = parseZoom(req.query.zoom);
+
+    const params = [];
+    const where = buildPublicListingWhere(req.query, params);
+
+    // --- ZOOMED IN: individual markers ---
+    if (zoom > CLUSTER_MAX_ZOOM) {
+      const result = await pool.query(
+        `SELECT l.product_id, l.title, l.price, l.price_currency, l.price_period,
+                l.listing_type, l.property_type, l.bedrooms, l.bathrooms,
+                ST_Y(l.location::geometry) as lat, ST_X(l.location::geometry) as lng,
+                COALESCE(
+                  (l.photos::jsonb)->0->'variants'->'thumbnail'->'jpeg'->>'url',
+                  (l.photos::jsonb)->0->>'url', (l.photos::jsonb)->>0
+                ) as thumbnail
+         FROM listings l
+         WHERE ${where} AND l.location IS NOT NULL
+         ORDER BY COALESCE(l.activated_at, l.created_at) DESC
+         LIMIT ${MAX_MAP_MARKERS}`,
+        params
+      );
+
+      return res.json({
+        zoom,
+        mode: "markers",
+        markers: result.rows.map(m => ({ ...m, price: m.price !== null ? Number(m.price) : null })),
+      });
+    }
+
+    // --- ZOOMED OUT: grid clusters computed in PostGIS ---
+    params.push(clusterCellSize(zoom));
+    const cellParam = `$${params.length}`;
+
+    const result = await pool.query(
+      `SELECT COUNT(*)::int as count,
+              ST_Y(ST_Centroid(ST_Collect(l.location::geometry))) as lat,
+              ST_X(ST_Centroid(ST_Collect(l.location::geometry))) as lng,
+              MIN(l.price)::float8 as min_price,
+              MAX(l.price)::float8 as max_price,
+              ARRAY_AGG(DISTINCT l.price_currency) FILTER (WHERE l.price_currency IS NOT NULL) as currencies,
+              CASE WHEN COUNT(*) = 1 THEN MIN(l.product_id) END as product_id
+       FROM listings l
+       WHERE ${where} AND l.location IS NOT NULL
+       GROUP BY ST_SnapToGrid(l.location::geometry, ${cellParam})`,
+      params
+    );
+
+    res.json({
+      zoom,
+      mode: "clusters",
+      total: result.rows.reduce((sum, c) => sum + c.count, 0),
+      clusters: result.rows,
+    });
+  } catch (err) {
+    if (err instanceof SearchQueryError) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("[GetListingClusters] Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+
+/* -------------------------------------------------------
+   SEARCH FACETS (Public - filter sidebar)
+   Counts per property_type, listing_type, bedrooms, bathrooms,
+   furnishing and feature, plus a price histogram, all computed
+   under the filters currently applied (same params as getListings,
+   including polygon and viewport). ?bins= sets histogram buckets.
+------------------------------------------------------- */
+const FACET_COLUMNS = ["property_type", "listing_type", "bedrooms", "bathrooms", "furnishing"];
+const DEFAULT_PRICE_BINS = 20;
+const MAX_PRICE_BINS = 50;
+
+export const getListingFacets = async (req, res) => {
+  try {
+    const bins = Math.min(Math.max(parseInt(req.query.bins, 10) || DEFAULT_PRICE_BINS, 1), MAX_PRICE_BINS);
+
+    const params = [];
+    const where = buildPublicListingWhere(req.query, params);
+
+    // Each facet is a [{ value, count }] array built from the filtered set
+    const facetSelect = (column) => `
+        (SELECT COALESCE(json_agg(json_build_object('value', value, 'count', count) ORDER BY count DESC, value), '[]')
+         FROM (SELECT ${column} as value, COUNT(*)::int as count
+               FROM filtered WHERE ${column} IS NOT NULL GROUP BY ${column}) x) as ${column}`;
+
+    params.push(bins);
+    const binsParam = `$${params.length}`;
+
+    const result = await pool.query(
+      `WITH filtered AS (
+         SELECT l.* FROM listings l WHERE ${where}
+       ),
+       price_range AS (
+         SELECT MIN(price)::float8 as min_price, MAX(price)::float8 as max_price FROM filtered
+       )
+       SELECT
+         (SELECT COUNT(*)::int FROM filtered) as total,
+         ${FACET_COLUMNS.map(facetSelect).join(",")},
+         (SELECT COALESCE(json_agg(json_build_object('value', value, 'count', count) ORDER BY count DESC, value), '[]')
+          FROM (SELECT feature as value, COUNT(DISTINCT f.product_id)::int as count
+                FROM filtered f, jsonb_array_elements_text(
+                  CASE WHEN jsonb_typeof(f.features::jsonb) = 'array' THEN f.features::jsonb ELSE '[]'::jsonb END
+                ) as feature
+                GROUP BY feature) x) as features,
+         (SELECT min_price FROM price_range) as min_price,
+         (SELECT max_price FROM price_range) as max_price,
+         (SELECT COALESCE(json_agg(json_build_object('bucket', bucket, 'count', count)), '[]')
+          FROM (SELECT LEAST(width_bucket(f.price::float8, r.min_price, r.max_price, ${binsParam}), ${binsParam}) as bucket,
+                       COUNT(*)::int as count
+                FROM filtered f, price_range r
+                WHERE f.price IS NOT NULL AND r.max_price > r.min_price
+                GROUP BY bucket) x) as price_buckets`,
+      params
+    );
+
+    const row = result.rows[0];
+
+    // Expand sparse buckets into a full histogram (empty buckets included)
+    let histogram = [];
+    if (row.min_price !== null && row.max_price !== null) {
+      if (row.max_price === row.min_price) {
+        histogram = [{ from: row.min_price, to: row.max_price, count: row.total }];
+      } else {
+        const width = (row.max_price - row.min_price) / bins;
+        const counts = new Map(row.price_buckets.map(b => [b.bucket, b.count]));
+        histogram = Array.from({ length: bins }, (_, i) => ({
+          from: row.min_price + width * i,
+          to: i === bins - 1 ? row.max_price : row.min_price + width * (i + 1),
+          count: counts.get(i + 1) || 0,
+        }));
+      }
+    }
+
+    res.json({
+      total: row.total,
+      facets: {
+        property_type: row.property_type,
+        listing_type: row.listing_type,
+        bedrooms: row.bedrooms,
+        bathrooms: row.bathrooms,
+        furnishing: row.furnishing,
+        features: row.features,
+      },
+      price: {
+        min: row.min_price,
+        max: row.max_price,
+        histogram,
+      },
+    });
+  } catch (err) {
+    if (err instanceof SearchQueryError) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("[GetListingFacets] Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+
 /* -------------------------------------------------------
    GET AGENT LISTINGS
 ------------------------------------------------------- */
 export const getAgentListings = async (req, res) => {
   try {
     const userId = req.user?.unique_id;
+    // ?archived=true lists deleted listings that can still be restored
+    const archived = ["true", "1"].includes(String(req.query.archived).toLowerCase());
     const query = `
       SELECT l.*, 
              p.full_name, p.username, p.avatar_url, p.bio, 
@@ -833,15 +1024,17 @@ export const getAgentListings = async (req, res) => {
       FROM listings l
       LEFT JOIN profiles p ON l.agent_unique_id = p.unique_id
       WHERE l.agent_unique_id=$1
+        AND (l.status = 'archived') = $2
+        AND l.media_purged_at IS NULL
       ORDER BY l.created_at DESC;
     `;
-    const result = await pool.query(query, [userId]);
+    const result = await pool.query(query, [userId, archived]);
 
     const rows = result.rows.map((r) => {
       let photos = [];
       try {
         photos = typeof r.photos === "string" ? JSON.parse(r.photos || "[]") : r.photos || [];
-        photos = photos.map((p) => ({ url: p.url || p, type: 'image' }));
+        photos = photos.map(presentPhoto);
       } catch {}
 
       return {
@@ -877,44 +1070,90 @@ export const getAgentListings = async (req, res) => {
    2. GET LISTING BY ID (Public Details Page)
    UPDATED: Now returns 'role'
 ------------------------------------------------------- */
+// Live listings are public; anything else is visible to its owner only (but see hasArchivedAccess)
+const isPublicReady = (row) => PUBLIC_STATES.includes(row.status) && row.is_active === true;
+// Sold/rented pages stay reachable from the agent's "recently sold" track record
+const canViewListing = (row, userUniqueId) =>
+  isPublicReady(row) || CLOSING_OUTCOMES.includes(row.status) ||
+  (!!userUniqueId && row.agent_unique_id === userUniqueId);
+// Archived (deleted) listings stay readable to users who favorited or applied for them
+const hasArchivedAccess = async (row, userUniqueId) => {
+  if (row.status !== "archived" || !userUniqueId) return false;
+  const found = await pool.query(
+    `SELECT 1 FROM favorites WHERE product_id = $1 AND user_id = $2
+     UNION ALL
+     SELECT 1 FROM applications WHERE listing_id = $1 AND buyer_id = $2
+     LIMIT 1`,
+    [row.product_id, userUniqueId]
+  );
+  return found.rows.length > 0;
+};
+
+// ✅ ADDED: p.role
+const LISTING_DETAIL_SELECT = `
+  SELECT l.*, 
+         p.full_name, p.username, p.avatar_url, p.bio, 
+         p.agency_name, p.experience, p.country as agent_country, p.city as agent_city,
+         p.email as agent_email, p.phone as agent_phone,
+         p.role as agent_role
+  FROM listings l
+  LEFT JOIN profiles p ON l.agent_unique_id = p.unique_id
+`;
+
 export const getListingByProductId = async (req, res) => {
   try {
     const { product_id } = req.params;
     const userUniqueId = req.user?.unique_id || null;
 
-    // ✅ ADDED: p.role
-    const query = `
-      SELECT l.*, 
-             p.full_name, p.username, p.avatar_url, p.bio, 
-             p.agency_name, p.experience, p.country as agent_country, p.city as agent_city,
-             p.email as agent_email, p.phone as agent_phone,
-             p.role as agent_role
-      FROM listings l
-      LEFT JOIN profiles p ON l.agent_unique_id = p.unique_id
-      WHERE l.product_id = $1;
-    `;
-
-    const result = await pool.query(query, [product_id]);
+    const result = await pool.query(`${LISTING_DETAIL_SELECT} WHERE l.product_id = $1`, [product_id]);
     const row = result.rows[0];
 
     if (!row) return res.status(404).json({ message: "Listing not found" });
 
-    const isOwner = row.agent_unique_id === userUniqueId;
-    const isPublicReady = row.status === "approved" && row.is_active === true;
-
-    if (!isPublicReady && !isOwner) {
+    if (!canViewListing(row, userUniqueId) && !(await hasArchivedAccess(row, userUniqueId))) {
       return res.status(403).json({ message: "This listing is not currently active." });
     }
 
+    // 👁️ Count the view (owner's own views are skipped inside)
+    if (isPublicReady(row)) {
+      recordListingView(req, row).catch(e => console.warn("⚠ View tracking failed:", e.message));
+    }
+
     let photos = [];
     try {
       photos = typeof row.photos === "string" ? JSON.parse(row.photos || "[]") : row.photos || [];
-      photos = photos.map((p) => ({ url: p.url || p, type: 'image' }));
+      photos = photos.map(presentPhoto);
     } catch {}
 
+    const priceHistory = await getPriceHistory(row.product_id).catch(e => {
+      console.warn("⚠ Price history lookup failed:", e.message);
+      return [];
+    });
+
+    // 🏢 A unit shows its building's amenities, photos and other units
+    const building = row.building_id
+      ? await getBuildingWithUnits(row.building_id).catch(e => {
+          console.warn("⚠ Building lookup failed:", e.message);
+          return null;
+        })
+      : null;
+
+    // 📎 Documents the viewer may open (others are listed as locked)
+    const attachments = await getListingAttachments(row.product_id, {
+      user: req.user,
+      privileged: row.agent_unique_id === userUniqueId || isAdminUser(req.user)
+    }).catch(e => {
+      console.warn("⚠ Attachment lookup failed:", e.message);
+      return [];
+    });
+
     res.json({
       ...row,
       photos,
+      price_history: priceHistory,
+      building,
+      attachments,
+      is_archived: row.status === "archived",
       latitude: row.latitude ? parseFloat(row.latitude) : null,
       longitude: row.longitude ? parseFloat(row.longitude) : null,
       agent: {
@@ -940,18 +1179,489 @@ export const getListingByProductId = async (req, res) => {
 
 
 /* -------------------------------------------------------
-   UPDATE LISTING STATUS (Admin)
-   Fixed: Checks payment_status to avoid double charging
+   📎 OPEN AN ATTACHMENT
+   GET /:product_id/attachments/:id
+   Checks listing and attachment visibility on every open,
+   then redirects to a short-lived signed URL or streams
+   the file from private storage.
 ------------------------------------------------------- */
-export const updateListingStatus = async (req, res) => {
+export const getListingAttachmentFile = async (req, res) => {
+  try {
+    const { product_id, id } = req.params;
+    const userUniqueId = req.user?.unique_id || null;
+
+    const found = await pool.query(
+      `SELECT product_id, status, is_active, agent_unique_id FROM listings WHERE product_id = $1`,
+      [product_id]
+    );
+    const row = found.rows[0];
+    if (!row) return res.status(404).json({ message: "Listing not found" });
+
+    const privileged = row.agent_unique_id === userUniqueId || isAdminUser(req.user);
+    if (!privileged && !canViewListing(row, userUniqueId) && !(await hasArchivedAccess(row, userUniqueId))) {
+      return res.status(403).json({ message: "This listing is not currently active." });
+    }
+
+    const delivery = await getAttachmentDelivery(product_id, id, { user: req.user, privileged });
+    res.set("Cache-Control", "private, no-store");
+    if (delivery.redirect) return res.redirect(delivery.redirect);
+
+    const { attachment } = delivery;
+    res.type(attachment.mime_type || "application/octet-stream");
+    if (attachment.original_name) {
+      res.set("Content-Disposition", `inline; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`);
+    }
+    res.sendFile(delivery.file, (err) => {
+      if (err && !res.headersSent) res.status(404).json({ message: "Attachment file not found" });
+    });
+  } catch (err) {
+    if (err instanceof AttachmentError) return res.status(err.status).json({ message: err.message });
+    console.error("[GetListingAttachmentFile] Error:", err);
+    res.status(500).json({ message: "Failed to open attachment" });
+  }
+};
+
+/* -------------------------------------------------------
+   ⚖️ COMPARE LISTINGS (Public)
+   GET /compare?ids=a,b,c,d&currency=USD
+   2–4 listings, same visibility rules as the details page.
+------------------------------------------------------- */
+export const compareListings = async (req, res) => {
+  try {
+    const ids = parseCompareIds(req.query.ids ?? req.query.product_ids);
+    const currency = parseCompareCurrency(req.query.currency);
+    const userUniqueId = req.user?.unique_id || null;
+
+    const result = await pool.query(`${LISTING_DETAIL_SELECT} WHERE l.product_id = ANY($1)`, [ids]);
+    const byId = new Map(result.rows.map(r => [r.product_id, r]));
+
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length) {
+      return res.status(404).json({ message: "Listing not found", product_ids: missing });
+    }
+    const hidden = [];
+    for (const id of ids) {
+      const row = byId.get(id);
+      if (!canViewListing(row, userUniqueId) && !(await hasArchivedAccess(row, userUniqueId))) hidden.push(id);
+    }
+    if (hidden.length) {
+      return res.status(403).json({ message: "This listing is not currently active.", product_ids: hidden });
+    }
+
+    res.json(buildComparison(ids.map(id => byId.get(id)), currency));
+  } catch (err) {
+    if (err instanceof ComparisonError) return res.status(400).json({ message: err.message });
+    console.error("[CompareListings] Error:", err);
+    res.status(500).json({ message: "Failed to compare listings" });
+  }
+};
+
+
+/* -------------------------------------------------------
+   🏡 SIMILAR HOMES (Public)
+   GET /:product_id/similar?limit=6&exclude_same_agent=true
+   Each result carries a score and its match reasons.
+------------------------------------------------------- */
+export const getSimilarListings = async (req, res) => {
+  try {
+    const found = await pool.query(
+      `SELECT product_id, agent_unique_id, status, is_active, listing_type, property_type,
+              price, price_currency, bedrooms, city, features
+       FROM listings WHERE product_id = $1`,
+      [req.params.product_id]
+    );
+    const listing = found.rows[0];
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+    if (!canViewListing(listing, req.user?.unique_id || null)) {
+      return res.status(403).json({ message: "This listing is not currently active." });
+    }
+
+    const results = await findSimilarListings(listing, {
+      limit: parseSimilarLimit(req.query.limit),
+      excludeAgent: ["true", "1"].includes(String(req.query.exclude_same_agent).toLowerCase()),
+    });
+
+    res.json({ product_id: listing.product_id, results });
+  } catch (err) {
+    console.error("[GetSimilarListings] Error:", err);
+    res.status(500).json({ message: "Failed to load similar listings" });
+  }
+};
+
+
+/* -------------------------------------------------------
+   📈 MARKET STATISTICS (Public)
+   GET /public/market-stats?city=&country=&property_type=&category=
+       &bedrooms=&outcome=sold|rented&currency=USD&months=12
+   Built from recorded closings (see closeListing below).
+------------------------------------------------------- */
+export const getListingMarketStats = async (req, res) => {
+  try {
+    res.json(await getMarketStats(parseMarketStatsQuery(req.query)));
+  } catch (err) {
+    if (err instanceof MarketStatsError) return res.status(400).json({ message: err.message });
+    console.error("[GetMarketStats] Error:", err);
+    res.status(500).json({ message: "Failed to load market statistics" });
+  }
+};
+
+
+/* -------------------------------------------------------
+   LISTING TRAFFIC ANALYTICS (Owner / Admin)
+   ?days=30 (max 365): daily views, unique visitors, referrers
+------------------------------------------------------- */
+export const getListingAnalytics = async (req, res) => {
   try {
     const { product_id } = req.params;
-    const { status } = req.body;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+    const found = await pool.query(
+      "SELECT product_id, agent_unique_id, views FROM listings WHERE product_id=$1",
+      [product_id]
+    );
+    const listing = found.rows[0];
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+
+    if (listing.agent_unique_id !== req.user.unique_id && !isAdminUser(req.user)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const traffic = await getListingTraffic(product_id, days);
+    res.json({ product_id, lifetime_views: listing.views || 0, ...traffic });
+  } catch (err) {
+    console.error("[GetListingAnalytics] Error:", err);
+    res.status(500).json({ message: "Failed to load analytics" });
+  }
+};
+
+
+/* -------------------------------------------------------
+   📜 LISTING REVISIONS (Owner / Admin)
+   - GET  /:product_id/revisions             history, newest first
+   - GET  /:product_id/revisions/diff?from=&to=   compare two
+   - POST /:product_id/revisions/:revision/revert (owner only)
+------------------------------------------------------- */
+const loadManagedListing = async (req, res) => {
+  const found = await pool.query("SELECT * FROM listings WHERE product_id=$1", [req.params.product_id]);
+  const listing = found.rows[0];
+  if (!listing) {
+    res.status(404).json({ message: "Listing not found" });
+    return null;
+  }
+  if (listing.agent_unique_id !== req.user?.unique_id && !isAdminUser(req.user)) {
+    res.status(403).json({ message: "Forbidden" });
+    return null;
+  }
+  return listing;
+};
+
+export const getListingRevisions = async (req, res) => {
+  try {
+    const listing = await loadManagedListing(req, res);
+    if (!listing) return;
+
+    const result = await pool.query(
+      `SELECT r.id, r.revision_number, r.action, r.actor_id, r.actor_role,
+              r.changes, r.media_added, r.media_removed, r.reverted_from, r.created_at,
+              p.full_name as actor_name
+       FROM listing_revisions r
+       LEFT JOIN profiles p ON p.unique_id = r.actor_id
+       WHERE r.product_id = $1
+       ORDER BY r.revision_number DESC`,
+      [listing.product_id]
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error("[GetListingRevisions] Error:", err);
+    res.status(500).json({ message: "Failed to load revisions" });
+  }
+};
 
-    if (!["approved", "rejected", "pending"].includes(status)) {
-      return res.status(400).json({ message: "Invalid status value" });
+export const diffListingRevisions = async (req, res) => {
+  try {
+    const listing = await loadManagedListing(req, res);
+    if (!listing) return;
+
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    if (!from || !to) return res.status(400).json({ message: "from and to revision numbers are required" });
+
+    const result = await pool.query(
+      `SELECT revision_number, snapshot, created_at FROM listing_revisions
+       WHERE product_id = $1 AND revision_number = ANY($2::int[])`,
+      [listing.product_id, [from, to]]
+    );
+    const fromRev = result.rows.find(r => r.revision_number === from);
+    const toRev = result.rows.find(r => r.revision_number === to);
+    if (!fromRev || !toRev) return res.status(404).json({ message: "Revision not found" });
+
+    res.json({
+      from: { revision_number: from, created_at: fromRev.created_at },
+      to: { revision_number: to, created_at: toRev.created_at },
+      changes: diffSnapshots(fromRev.snapshot, toRev.snapshot),
+      media: diffMedia(fromRev.snapshot, toRev.snapshot),
+    });
+  } catch (err) {
+    console.error("[DiffListingRevisions] Error:", err);
+    res.status(500).json({ message: "Failed to diff revisions" });
+  }
+};
+
+// Restores the listing's fields from a revision snapshot. Media is left
+// as-is (removed files are already gone from storage). Goes back to review.
+export const revertListingRevision = async (req, res) => {
+  try {
+    const { product_id, revision } = req.params;
+    const userId = req.user?.unique_id;
+
+    const found = await pool.query("SELECT * FROM listings WHERE product_id=$1", [product_id]);
+    const listing = found.rows[0];
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+    if (listing.agent_unique_id !== userId) return res.status(403).json({ message: "Only the owner can revert a listing" });
+    if (listing.status === "archived") {
+      return res.status(409).json({ message: "Restore this listing before reverting it", code: "LISTING_ARCHIVED" });
     }
 
+    const revRes = await pool.query(
+      `SELECT * FROM listing_revisions WHERE product_id = $1 AND revision_number = $2`,
+      [product_id, parseInt(revision, 10)]
+    );
+    const target = revRes.rows[0];
+    if (!target) return res.status(404).json({ message: "Revision not found" });
+
+    const values = REVISION_FIELDS.map(f =>
+      f === "features" ? JSON.stringify(target.snapshot.features || []) : target.snapshot[f] ?? null
+    );
+    const assignments = REVISION_FIELDS.map((f, i) => `${f}=$${i + 1}`).join(", ");
+    values.push(product_id);
+
+    const client = await pool.connect();
+    let updatedListing;
+    try {
+      await client.query("BEGIN");
+      await transitionListingStatus({
+        productId: product_id, to: "pending", actor: ACTORS.OWNER, actorId: userId,
+        reason: `reverted to revision #${target.revision_number}`, set: { is_active: false }, db: client
+      });
+      const result = await client.query(
+        `UPDATE listings SET ${assignments}, updated_at=NOW()
+         WHERE product_id=$${values.length}
+         RETURNING *`,
+        values
+      );
+      updatedListing = result.rows[0];
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const newRevision = await recordListingRevision({
+      productId: product_id, action: "revert", user: req.user,
+      before: listing, after: updatedListing, revertedFrom: target.revision_number
+    });
+
+    recordPriceChange({ productId: product_id, before: listing, after: updatedListing, source: "revert", changedBy: userId })
+      .catch(e => console.warn("⚠ Price history failed:", e.message));
+
+    // Address came back with the revert -> re-geocode in background
+    const addressChanged = ["address", "city", "state", "country", "zip_code"].some(f => listing[f] !== updatedListing[f]);
+    let job = null;
+    if (addressChanged) {
+      job = await enqueueJob(LISTING_JOBS.PROCESS_UPDATE, {
+        listingId: product_id,
+        payload: {
+          addressData: {
+            address: updatedListing.address, city: updatedListing.city, state: updatedListing.state,
+            country: updatedListing.country, zip: updatedListing.zip_code
+          },
+          addressChanged,
+          steps: planProcessingSteps({ geocode: true })
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Reverted to revision #${target.revision_number}. The listing is back in review.`,
+      listing: updatedListing,
+      revision: newRevision,
+      job_id: job?.id || null,
+    });
+  } catch (err) {
+    if (err instanceof ListingStatusError && !res.headersSent) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    console.error("[RevertListingRevision] Error:", err);
+    if (!res.headersSent) res.status(500).json({ message: "Failed to revert listing" });
+  }
+};
+
+
+/* -------------------------------------------------------
+   ⚙️ BACKGROUND JOBS
+   - GET  /:product_id/processing    per-step media/geocode status (Owner / Admin)
+   - GET  /:product_id/jobs          jobs for one listing (Owner / Admin)
+   - GET  /admin/jobs?status=dead    queue overview (Admin)
+   - POST /admin/jobs/:id/retry      re-queue a dead job (Admin)
+------------------------------------------------------- */
+const JOB_STATUSES = ["queued", "running", "completed", "dead"];
+
+export const getListingProcessing = async (req, res) => {
+  try {
+    const listing = await loadManagedListing(req, res);
+    if (!listing) return;
+
+    res.json(await getListingProcessingStatus(listing));
+  } catch (err) {
+    console.error("[GetListingProcessing] Error:", err);
+    res.status(500).json({ message: "Failed to load processing status" });
+  }
+};
+
+export const getListingJobStatus = async (req, res) => {
+  try {
+    const listing = await loadManagedListing(req, res);
+    if (!listing) return;
+
+    const jobs = await getListingJobs(listing.product_id);
+    res.json({ product_id: listing.product_id, status: listing.status, jobs });
+  } catch (err) {
+    console.error("[GetListingJobStatus] Error:", err);
+    res.status(500).json({ message: "Failed to load processing status" });
+  }
+};
+
+export const getJobsAdmin = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${JOB_STATUSES.join(", ")}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    res.json(await getJobs({ status: status || null, limit }));
+  } catch (err) {
+    console.error("[GetJobsAdmin] Error:", err);
+    res.status(500).json({ message: "Failed to load jobs" });
+  }
+};
+
+export const retryDeadJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(jobId)) return res.status(400).json({ message: "Invalid job id" });
+
+    const job = await retryJob(jobId);
+    if (!job) return res.status(404).json({ message: "No dead job with that id" });
+
+    // A retried create job puts the listing back into processing. The job
+    // is already re-queued, so a listing that can't move (e.g. deleted
+    // meanwhile) is reported with the retry rather than as a failure.
+    let listingWarning = null;
+    if (job.type === LISTING_JOBS.PROCESS_CREATE && job.listing_id) {
+      try {
+        await transitionListingStatus({
+          productId: job.listing_id, to: "processing", actor: ACTORS.ADMIN, actorId: req.user?.unique_id,
+          reason: `job #${job.id} retried`, onlyFrom: ["draft"], set: { admin_notes: null }
+        });
+      } catch (err) {
+        if (!(err instanceof ListingStatusError)) throw err;
+        listingWarning = { message: err.message, code: err.code };
+      }
+    }
+
+    res.json({ success: true, job, ...(listingWarning && { listing_warning: listingWarning }) });
+  } catch (err) {
+    console.error("[RetryDeadJob] Error:", err);
+    res.status(500).json({ message: "Failed to retry job" });
+  }
+};
+
+
+/* -------------------------------------------------------
+   👯 POSSIBLE DUPLICATES (Admin)
+   - GET /:product_id/duplicates?include_dismissed=true
+     (possible duplicate listings + photos re-used from other agents)
+   - PUT /admin/duplicates/:id/dismiss
+   - PUT /admin/photo-duplicates/:id/dismiss
+------------------------------------------------------- */
+export const getListingDuplicates = async (req, res) => {
+  try {
+    const { product_id } = req.params;
+    const found = await pool.query("SELECT product_id FROM listings WHERE product_id=$1", [product_id]);
+    if (!found.rows.length) return res.status(404).json({ message: "Listing not found" });
+
+    // ?refresh=true re-runs detection first
+    if (req.query.refresh === "true") await detectDuplicateListings(product_id);
+
+    const includeDismissed = req.query.include_dismissed === "true";
+    const [duplicates, photoDuplicates] = await Promise.all([
+      getDuplicateFlags(product_id, { includeDismissed }),
+      getPhotoDuplicateFlags(product_id, { includeDismissed }),
+    ]);
+    res.json({ product_id, possible_duplicate_of: duplicates, duplicate_photos_of: photoDuplicates });
+  } catch (err) {
+    console.error("[GetListingDuplicates] Error:", err);
+    res.status(500).json({ message: "Failed to load duplicates" });
+  }
+};
+
+export const dismissListingDuplicate = async (req, res) => {
+  try {
+    const flagId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(flagId)) return res.status(400).json({ message: "Invalid flag id" });
+
+    const flag = await dismissDuplicateFlag(flagId, req.user.unique_id);
+    if (!flag) return res.status(404).json({ message: "Open duplicate flag not found" });
+
+    res.json({ success: true, flag });
+  } catch (err) {
+    console.error("[DismissListingDuplicate] Error:", err);
+    res.status(500).json({ message: "Failed to dismiss duplicate" });
+  }
+};
+
+export const dismissPhotoDuplicate = async (req, res) => {
+  try {
+    const flagId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(flagId)) return res.status(400).json({ message: "Invalid flag id" });
+
+    const flag = await dismissPhotoDuplicateFlag(flagId, req.user.unique_id);
+    if (!flag) return res.status(404).json({ message: "Open photo duplicate flag not found" });
+
+    res.json({ success: true, flag });
+  } catch (err) {
+    console.error("[DismissPhotoDuplicate] Error:", err);
+    res.status(500).json({ message: "Failed to dismiss photo duplicate" });
+  }
+};
+
+
+// Archiving and restoring keep their own bookkeeping (restore window, media purge)
+const rejectArchiveMove = (res, from, to) => {
+  if (to !== "archived" && from !== "archived") return false;
+  res.status(400).json({
+    message: to === "archived"
+      ? "Use DELETE /api/listings/:product_id to archive a listing"
+      : "Use POST /api/listings/:product_id/restore to restore an archived listing",
+    code: "USE_ARCHIVE_ENDPOINTS"
+  });
+  return true;
+};
+
+/* -------------------------------------------------------
+   UPDATE LISTING STATUS (Admin)
+   Fixed: Checks payment_status to avoid double charging
+------------------------------------------------------- */
+export const updateListingStatus = async (req, res) => {
+  try {
+    const { product_id } = req.params;
+    const { status, reason } = req.body;
+
     const existing = await pool.query(
       `SELECT * FROM listings WHERE product_id=$1`,
       [product_id]
@@ -959,6 +1669,7 @@ export const updateListingStatus = async (req, res) => {
 
     const listing = existing.rows[0];
     if (!listing) return res.status(404).json({ message: "Listing not found" });
+    if (rejectArchiveMove(res, listing.status, status)) return;
 
     const agentId = listing.agent_unique_id;
 
@@ -968,22 +1679,16 @@ export const updateListingStatus = async (req, res) => {
     if (status === "approved") {
         // If already paid, Go LIVE immediately. If not paid, stay inactive.
         isActiveValue = listing.payment_status === 'paid' ? true : false;
-    } else if (status === "rejected" || status === "pending") {
-        // If rejected/pending, always turn off visibility
+    } else if (!PUBLIC_STATES.includes(status)) {
+        // Anything that isn't buyer-visible turns visibility off
         isActiveValue = false;
     }
 
-    const updateQuery = `
-      UPDATE listings 
-      SET status=$1,
-          is_active=$2,
-          updated_at=NOW()
-      WHERE product_id=$3
-      RETURNING *;
-    `;
-
-    const result = await pool.query(updateQuery, [status, isActiveValue, product_id]);
-    const updatedListing = result.rows[0];
+    // Legal moves only (see services/listingLifecycle.js)
+    const updatedListing = await transitionListingStatus({
+      productId: product_id, to: status, actor: ACTORS.ADMIN, actorId: req.user?.unique_id,
+      reason: reason || null, set: { is_active: isActiveValue }
+    });
 
     // Notification Logic
     let notifyMsg = `Your listing was ${status}.`;
@@ -1007,36 +1712,189 @@ export const updateListingStatus = async (req, res) => {
         });
     }
 
+    // Went live -> alert matching saved searches and price-drop watchers (background)
+    if (updatedListing.status === "approved" && updatedListing.is_active) {
+        notifySavedSearchMatches(product_id, req.io)
+          .catch(e => console.error("Saved search matching failed:", e.message));
+        notifyPriceDrops(product_id, req.io)
+          .catch(e => console.error("Price drop alert failed:", e.message));
+    }
+
     res.json({ success: true, message: "Listing status updated", listing: updatedListing });
   } catch (err) {
+    if (err instanceof ListingStatusError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
     console.error("UpdateListingStatus Error:", err);
     res.status(500).json({ message: "Failed to update listing status" });
   }
 };
 
 
+/* -------------------------------------------------------
+   🔁 LISTING LIFECYCLE (Owner / Admin)
+   - POST /:product_id/transition      { status, reason? }
+   - GET  /:product_id/status-history
+   Legal moves per actor live in services/listingLifecycle.js.
+------------------------------------------------------- */
+export const transitionListing = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (CLOSING_OUTCOMES.includes(status)) {
+      // Closings need a price and date for the track record and market stats
+      return res.status(400).json({
+        message: `Use POST /api/listings/${req.params.product_id}/close to mark a listing ${status}`,
+        code: "CLOSING_DETAILS_REQUIRED"
+      });
+    }
+    const found = await pool.query(
+      "SELECT product_id, agent_unique_id, status FROM listings WHERE product_id=$1",
+      [req.params.product_id]
+    );
+    const listing = found.rows[0];
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+
+    const actor = actorFor(req.user, listing);
+    if (!actor) return res.status(403).json({ message: "Forbidden" });
+    if (rejectArchiveMove(res, listing.status, status)) return;
+
+    const updated = await transitionListingStatus({
+      productId: listing.product_id, to: status, actor, actorId: req.user.unique_id, reason: reason || null,
+      // Leaving the buyer-visible states takes the listing offline
+      set: PUBLIC_STATES.includes(status) ? {} : { is_active: false }
+    });
+
+    if (req.io && actor === ACTORS.ADMIN) {
+      req.io.to(listing.agent_unique_id).emit("listingStatusUpdated", {
+        product_id: listing.product_id, status: updated.status, is_active: updated.is_active
+      });
+    }
+
+    res.json({ success: true, listing: updated });
+  } catch (err) {
+    if (err instanceof ListingStatusError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    console.error("[TransitionListing] Error:", err);
+    res.status(500).json({ message: "Failed to change listing status" });
+  }
+};
+
+export const getListingStatusHistory = async (req, res) => {
+  try {
+    const listing = await loadManagedListing(req, res);
+    if (!listing) return;
+    res.json({ product_id: listing.product_id, status: listing.status, history: await getStatusHistory(listing.product_id) });
+  } catch (err) {
+    console.error("[GetListingStatusHistory] Error:", err);
+    res.status(500).json({ message: "Failed to load status history" });
+  }
+};
+
+/* -------------------------------------------------------
+   🤝 CLOSING CANDIDATES (Owner / Admin)
+   GET /:product_id/closing-candidates
+   Applicants and people who messaged about the listing:
+   the accounts that can be recorded as buyer/tenant.
+------------------------------------------------------- */
+export const getListingClosingCandidates = async (req, res) => {
+  try {
+    const listing = await loadManagedListing(req, res);
+    if (!listing) return;
+    res.json(await getClosingCandidates(listing));
+  } catch (err) {
+    console.error("[ClosingCandidates] Error:", err);
+    res.status(500).json({ message: "Failed to load closing candidates" });
+  }
+};
+
+/* -------------------------------------------------------
+   🤝 MARK SOLD / RENTED (Owner / Admin)
+   POST /:product_id/close
+   { outcome: "sold"|"rented", price, currency?, closed_on?, counterparty? }
+   counterparty: unique_id or username of someone who applied
+   for or messaged about the listing (see closing-candidates).
+   The listing leaves search but stays on the agent's profile
+   under "recently sold" and counts toward market statistics.
+------------------------------------------------------- */
+export const closeListing = async (req, res) => {
+  try {
+    const listing = await loadManagedListing(req, res);
+    if (!listing) return;
+
+    const closing = parseClosing(req.body, listing);
+    const counterpartyId = await resolveCounterparty(req.body.counterparty ?? req.body.counterparty_id, listing);
+
+    const result = await recordListingClosing({
+      listing, closing, counterpartyId,
+      actor: actorFor(req.user, listing), actorId: req.user.unique_id, io: req.io
+    });
+
+    if (req.io && listing.agent_unique_id !== req.user.unique_id) {
+      req.io.to(listing.agent_unique_id).emit("listingStatusUpdated", {
+        product_id: listing.product_id, status: result.listing.status, is_active: result.listing.is_active
+      });
+    }
+
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    if (err instanceof ClosingError || err instanceof ListingStatusError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    console.error("[CloseListing] Error:", err);
+    res.status(500).json({ message: "Failed to record closing" });
+  }
+};
+
+
+/* -------------------------------------------------------
+   ▶️ ACTIVATE LISTING (Owner / Admin)
+   Switches a listing back on inside its paid period. Only the
+   wallet and direct-payment paths start or extend a period, so
+   this never touches expires_at or payment_status.
+------------------------------------------------------- */
 export const activateListing = async (req, res) => {
   try {
-    const { product_id } = req.params;
+    const listing = await loadManagedListing(req, res);
+    if (!listing) return;
+
+    const paidUntil = listing.expires_at ? new Date(listing.expires_at) : null;
+    if (listing.payment_status !== "paid" || !paidUntil || paidUntil <= new Date()) {
+      return res.status(402).json({
+        message: "This listing has no paid period running. Pay with your wallet or a direct payment to activate it.",
+        code: "PAYMENT_REQUIRED"
+      });
+    }
 
-    const result = await pool.query(
-      `
-      UPDATE listings
-SET is_active=true,
-    payment_status='paid',
-    activated_at=NOW()
-WHERE product_id=$1
-RETURNING *;
-
-      `,
-      [product_id]
-    );
+    const activated = await transitionListingStatus({
+      productId: listing.product_id,
+      to: (from) => {
+        if (from === "archived") throw new ListingStatusError("Restore this listing before activating it", 409, "LISTING_ARCHIVED");
+        if (!PUBLIC_STATES.includes(from)) {
+          throw new ListingStatusError("Only approved listings can be activated", 409, "NOT_ACTIVATABLE");
+        }
+        return from;
+      },
+      actor: actorFor(req.user, listing), actorId: req.user.unique_id, reason: "activated",
+      set: { is_active: true },
+      setSql: "activated_at = COALESCE(activated_at, NOW())"
+    });
+
+    if (activated?.status === "approved") {
+      notifySavedSearchMatches(listing.product_id, req.io)
+        .catch(e => console.error("Saved search matching failed:", e.message));
+    }
+    notifyPriceDrops(listing.product_id, req.io)
+      .catch(e => console.error("Price drop alert failed:", e.message));
 
     res.json({
       message: "Listing activated",
-      listing: result.rows[0],
+      listing: activated,
     });
   } catch (err) {
+    if (err instanceof ListingStatusError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
     console.error("Activate error:", err);
     res.status(500).json({ message: "Failed to activate listing" });
   }
@@ -1052,9 +1910,20 @@ export const getAllListingsAdmin = async (req, res) => {
         l.*,
         p.full_name, p.username, p.email AS agent_email, p.phone, p.avatar_url, p.agency_name,
         p.city AS agent_city, p.country AS agent_country,
-        p.role as agent_role -- 👈 ADDED THIS
+        p.role as agent_role, -- 👈 ADDED THIS
+        COALESCE((
+          SELECT json_agg(json_build_object('product_id', f.duplicate_of, 'score', f.score, 'reasons', f.reasons) ORDER BY f.score DESC)
+          FROM listing_duplicate_flags f
+          WHERE f.product_id = l.product_id AND f.dismissed_at IS NULL
+        ), '[]'::json) as possible_duplicate_of,
+        COALESCE((
+          SELECT json_agg(json_build_object('product_id', pf.duplicate_of, 'matched_photos', pf.matched_photos) ORDER BY pf.matched_photos DESC)
+          FROM listing_photo_flags pf
+          WHERE pf.product_id = l.product_id AND pf.dismissed_at IS NULL
+        ), '[]'::json) as duplicate_photos_of
       FROM listings l
       LEFT JOIN profiles p ON l.agent_unique_id = p.unique_id
+      WHERE l.status <> 'archived'
       ORDER BY 
         CASE WHEN l.status = 'pending' THEN 1 ELSE 2 END,
         l.created_at DESC;
@@ -1066,7 +1935,7 @@ export const getAllListingsAdmin = async (req, res) => {
       let photos = [];
       try {
         photos = typeof r.photos === "string" ? JSON.parse(r.photos) : r.photos || [];
-        photos = photos.map(p => ({ url: p.url || p, type: 'image' }));
+        photos = photos.map(presentPhoto);
       } catch {}
 
       return {
@@ -1099,6 +1968,50 @@ export const getAllListingsAdmin = async (req, res) => {
 }; 
 
 
+/* -------------------------------------------------------
+   ARCHIVED LISTINGS (ADMIN ONLY)
+   GET /admin/archived?include_purged=true
+   Soft-deleted listings with their restore deadline and how many
+   favorites/applications still point at them.
+------------------------------------------------------- */
+export const getArchivedListingsAdmin = async (req, res) => {
+  try {
+    const includePurged = ["true", "1"].includes(String(req.query.include_purged).toLowerCase());
+    const result = await pool.query(
+      `SELECT l.product_id, l.title, l.city, l.country, l.price, l.price_currency, l.photos,
+              l.agent_unique_id, l.archived_at, l.archived_by, l.archived_from_status,
+              l.purge_after, l.media_purged_at,
+              p.full_name, p.username, p.email AS agent_email,
+              a.full_name AS archived_by_name,
+              (SELECT COUNT(*)::int FROM favorites f WHERE f.product_id = l.product_id) AS favorites_count,
+              (SELECT COUNT(*)::int FROM applications ap WHERE ap.listing_id = l.product_id) AS applications_count
+       FROM listings l
+       LEFT JOIN profiles p ON p.unique_id = l.agent_unique_id
+       LEFT JOIN profiles a ON a.unique_id = l.archived_by
+       WHERE l.status = 'archived' AND ($1::boolean OR l.media_purged_at IS NULL)
+       ORDER BY l.archived_at DESC NULLS LAST`,
+      [includePurged]
+    );
+
+    const rows = result.rows.map(({ photos, full_name, username, agent_email, ...r }) => {
+      let list = [];
+      try { list = typeof photos === "string" ? JSON.parse(photos || "[]") : photos || []; } catch {}
+      return {
+        ...r,
+        photo: list.length ? presentPhoto(list[0]) : null,
+        restorable: !r.media_purged_at,
+        agent: { unique_id: r.agent_unique_id, full_name, username, email: agent_email },
+      };
+    });
+
+    res.json(rows);
+  } catch (err) {
+    console.error("[GetArchivedListingsAdmin] Error:", err);
+    res.status(500).json({ message: "Failed to fetch archived listings" });
+  }
+};
+
+
 /* -------------------------------------------------------
    GET PUBLIC PROFILE (Agent, Landlord, or Buyer)
 ------------------------------------------------------- */
@@ -1149,27 +2062,32 @@ export const getPublicAgentProfile = async (req, res) => {
 
     // 3. Fetch Listings (ONLY if NOT a buyer)
     let listings = [];
+    let recentlySold = [];
     
     if (agent.role !== 'buyer') {
         const listingsQ = await pool.query(
           `SELECT * FROM listings 
-           WHERE agent_unique_id = $1 AND status = 'approved' AND is_active = true
+           WHERE agent_unique_id = $1 AND status = ANY($2) AND is_active = true
            ORDER BY created_at DESC`,
-          [agent.unique_id]
+          [agent.unique_id, PUBLIC_STATES]
         );
 
         // Normalize photos
         listings = listingsQ.rows.map(l => {
           let photos = [];
           try { photos = typeof l.photos === "string" ? JSON.parse(l.photos) : l.photos || []; } catch {}
-          return { ...l, photos: photos.map(p => ({ url: p.url || p, type: 'image' })) };
+          return { ...l, photos: photos.map(presentPhoto) };
         });
+
+        // Track record: sold/rented in the last 12 months
+        recentlySold = await getRecentClosings(agent.unique_id);
     }
 
     // 4. Send Response
     res.json({ 
         agent, 
         listings,
+        recently_sold: recentlySold,
         // Suggest a cover image for Buyers since they don't have listings
         default_cover: agent.role === 'buyer' 
             ? "https://images.unsplash.com/photo-1560518883-ce09059eeffa?q=80&w=1973&auto=format&fit=crop" 
@@ -1266,11 +2184,13 @@ export const batchAnalyzeListings = async (req, res) => {
                         return; 
                     }
 
-                    // Update Status
-                    await pool.query(
-                        `UPDATE listings SET status = $1, admin_notes = $2, updated_at = NOW() WHERE product_id = $3`,
-                        [newStatus, adminNote, listing.product_id]
-                    );
+                    // Update Status (skipped if someone else moved it meanwhile)
+                    const moved = await transitionListingStatus({
+                        productId: listing.product_id, to: newStatus, actor: ACTORS.SYSTEM,
+                        actorId: req.user?.unique_id, reason: "AI batch analysis",
+                        onlyFrom: ["pending"], set: { admin_notes: adminNote }
+                    });
+                    if (!moved) return;
 
                     // Notify Agent
                     await pool.query(
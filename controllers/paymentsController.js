@@ -1,15 +1,23 @@
 import axios from "axios";
 import { pool } from "../db.js";
 import crypto from "crypto";
-import { convertFromUSD } from "../utils/exchangeRates.js"; // ✅ Import Helper
+import { convertFromUSD, convertToUSD } from "../utils/exchangeRates.js"; // ✅ Import Helper
+import { notifySavedSearchMatches } from "../services/savedSearchService.js";
+import { notifyPriceDrops } from "../services/priceHistoryService.js";
+import { ACTIVATION_EXPIRY_SQL, activationPriceUSD } from "../services/listingExpiryService.js";
+import { ACTORS, transitionListingStatus } from "../services/listingLifecycle.js";
 
 const FLW_PUBLIC_KEY = process.env.FLW_PUBLIC_KEY; 
 const FLW_SECRET_KEY = process.env.FLW_SECRET_KEY;
 const FLW_BASE = process.env.FLW_BASE_URL || "https://api.flutterwave.com/v3";
 
-// ✅ DIRECT PAYMENT COST
+// ✅ DIRECT PAYMENT COST of the default active period (scaled by active_days)
 const DIRECT_FEE_USD = 20; 
 
+// Listings that can no longer be activated; a payment that lands after the
+// listing reached one of these is credited to the agent's wallet instead
+const REFUNDED_STATES = ["archived", "sold", "rented"];
+
 function generateTxRef(listingId, agentId) {
   return `DIRECT-${listingId}-${agentId}-${crypto.randomBytes(4).toString("hex")}`;
 }
@@ -18,9 +26,9 @@ export const getAgentInactiveListings = async (req, res) => {
   try {
     const agentId = req.params.agentId || req.user?.unique_id;
     const q = `
-      SELECT product_id, title, price, price_currency, city, created_at
+      SELECT product_id, title, price, price_currency, city, status, expires_at, created_at
       FROM listings
-      WHERE agent_unique_id = $1 AND status = 'approved' AND (is_active = false OR is_active IS NULL)
+      WHERE agent_unique_id = $1 AND status IN ('approved', 'under_offer', 'expired') AND (is_active = false OR is_active IS NULL)
       ORDER BY created_at DESC;
     `;
     const { rows } = await pool.query(q, [agentId]);
@@ -30,6 +38,19 @@ export const getAgentInactiveListings = async (req, res) => {
   }
 };
 
+// Price of the listing's active period, for the agent who owns it
+const loadPayableListing = async (db, listingId, userId, lock = false) => {
+  const found = await db.query(
+    `SELECT product_id, status, active_days, expires_at IS NOT NULL as renewal
+     FROM listings WHERE product_id = $1 AND agent_unique_id = $2
+     ${lock ? "FOR UPDATE" : ""}`,
+    [listingId, userId]
+  );
+  const listing = found.rows[0];
+  if (!listing) return null;
+  return { ...listing, priceUsd: activationPriceUSD(DIRECT_FEE_USD, listing.active_days) };
+};
+
 // Initialize Direct Payment (Supports Multi-Currency)
 export const initializePayment = async (req, res) => {
   try {
@@ -37,16 +58,23 @@ export const initializePayment = async (req, res) => {
     // Frontend sends preferred currency (e.g. 'NGN' or 'GBP')
     const { listingId, currency = 'USD' } = req.body; 
 
+    const listing = await loadPayableListing(pool, listingId, userId);
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+    if (listing.status === "archived") {
+      return res.status(409).json({ message: "Restore this listing before paying for it", code: "LISTING_ARCHIVED" });
+    }
+
     const tx_ref = generateTxRef(listingId, userId);
 
-    // ✅ Convert $20 to User's Local Currency
-    const chargeAmount = convertFromUSD(DIRECT_FEE_USD, currency);
+    // ✅ Convert the period's USD price to User's Local Currency
+    const chargeAmount = convertFromUSD(listing.priceUsd, currency);
 
     return res.json({
       public_key: FLW_PUBLIC_KEY,
       tx_ref,
       amount: chargeAmount, 
       currency: currency, 
+      amount_usd: listing.priceUsd,
       customer: {
         email: req.user?.email,
         name: req.user?.full_name,
@@ -62,40 +90,121 @@ export const verifyPayment = async (req, res) => {
   try {
     const userId = req.user?.unique_id;
     const { tx_ref, transaction_id } = req.body;
+    if (!tx_ref || !transaction_id) {
+      return res.status(400).json({ status: "failed", message: "tx_ref and transaction_id are required" });
+    }
 
-    const flwRes = await axios.get(`${FLW_BASE}/transactions/${transaction_id}/verify`, {
+    const flwRes = await axios.get(`${FLW_BASE}/transactions/${encodeURIComponent(transaction_id)}/verify`, {
       headers: { Authorization: `Bearer ${FLW_SECRET_KEY}` },
     });
 
     const data = flwRes.data.data;
     
-    // 1. Check Status
+    // 1. Check Status, and that the transaction is the one this tx_ref started
     if (data.status !== "successful") {
        return res.status(400).json({ status: "failed", message: "Payment failed" });
     }
+    if (data.tx_ref !== tx_ref) {
+       return res.status(400).json({ status: "failed", message: "Payment does not match this transaction" });
+    }
+
+    // 2. Listing ID: tx_refs are DIRECT-<listing>-<agent>-<random> (see generateTxRef)
+    const listingId = data.meta?.listingId;
+    if (!listingId || !tx_ref.startsWith(`DIRECT-${listingId}-${userId}-`)) {
+       return res.status(400).json({ status: "failed", message: "Payment does not match this listing" });
+    }
 
-    // 2. Extract Listing ID
-    let listingId = data.meta?.listingId;
-    if (!listingId && tx_ref.startsWith('DIRECT-')) {
-       listingId = tx_ref.split('-')[1];
+    // 3. Log Payment (recorded in USD for consistent reporting) and
+    // 4. Activate / renew Listing. A tx_ref or transaction that was already
+    // recorded must not extend the expiry a second time.
+    const client = await pool.connect();
+    let expiresAt = null;
+    let refunded = null;
+    try {
+      await client.query("BEGIN");
+      const listing = await loadPayableListing(client, listingId, userId, true);
+      if (!listing) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ status: "failed", message: "Listing not found" });
+      }
+
+      const used = await client.query(
+        `SELECT tx_ref FROM payments WHERE transaction_id::text = $1::text LIMIT 1`,
+        [String(transaction_id)]
+      );
+      if (used.rows.length && used.rows[0].tx_ref !== tx_ref) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ status: "failed", message: "This payment was already used" });
+      }
+
+      const paidUsd = parseFloat(convertToUSD(data.amount, data.currency));
+      // Small tolerance for exchange-rate rounding
+      if (!(paidUsd >= listing.priceUsd * 0.98)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ status: "failed", message: "Amount paid does not match the listing fee" });
+      }
+
+      // Archived or closed since checkout (re-checked under the row lock)
+      const refund = REFUNDED_STATES.includes(listing.status);
+      const purpose = listing.renewal ? "direct_renewal" : "direct_activation";
+      const logged = await client.query(
+        `INSERT INTO payments (agent_unique_id, listing_product_id, tx_ref, transaction_id, amount, currency, status, purpose)
+         VALUES ($1, $2, $3, $4, $5, 'USD', $6, $7)
+         ON CONFLICT (tx_ref) DO NOTHING`,
+        [userId, listingId, tx_ref, transaction_id, listing.priceUsd, refund ? "refunded_to_wallet" : "successful", purpose]
+      );
+
+      if (logged.rowCount && refund) {
+        const credited = await client.query(
+          "UPDATE wallets SET balance = balance + $1 WHERE agent_id = $2", [listing.priceUsd, userId]
+        );
+        if (!credited.rowCount) {
+          await client.query("INSERT INTO wallets (agent_id, balance) VALUES ($1, $2)", [userId, listing.priceUsd]);
+        }
+        refunded = listing.priceUsd;
+      } else if (!logged.rowCount) {
+        const previous = await client.query(
+          `SELECT status, amount FROM payments WHERE tx_ref = $1`, [tx_ref]
+        );
+        if (previous.rows[0]?.status === "refunded_to_wallet") {
+          refunded = Number(previous.rows[0].amount);
+        }
+      } else {
+        // Expired -> approved; a listing still in review goes live once approved.
+        // Runs as the system: only a verified payment may un-expire a listing
+        const activated = await transitionListingStatus({
+          productId: listingId,
+          to: (from) => (from === "expired" ? "approved" : from),
+          actor: ACTORS.SYSTEM, actorId: userId, reason: `${purpose} (${tx_ref})`,
+          set: { is_active: true, payment_status: "paid" },
+          setSql: `activated_at = NOW(),${ACTIVATION_EXPIRY_SQL}`,
+          db: client
+        });
+        expiresAt = activated.expires_at ?? null;
+      }
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
     }
 
-    // 3. Activate Listing
-    await pool.query(
-      `UPDATE listings SET is_active=true, payment_status='paid', activated_at=NOW(), status='approved'
-       WHERE product_id=$1`,
-      [listingId]
-    );
-
-    // 4. Log Payment (Record as $20 USD for consistent reporting)
-    await pool.query(
-      `INSERT INTO payments (agent_unique_id, listing_product_id, tx_ref, transaction_id, amount, currency, status, purpose)
-       VALUES ($1, $2, $3, $4, $5, 'USD', 'successful', 'direct_activation')
-       ON CONFLICT (tx_ref) DO NOTHING`,
-      [userId, listingId, tx_ref, transaction_id, DIRECT_FEE_USD]
-    );
-
-    return res.json({ success: true });
+    if (refunded) {
+      return res.status(409).json({
+        success: false,
+        message: `This listing was archived or closed before the payment arrived. $${refunded} was credited to your wallet.`,
+        refunded_usd: refunded,
+      });
+    }
+
+    // 5. Listing is live -> alert matching saved searches and price-drop watchers (background)
+    notifySavedSearchMatches(listingId, req.io)
+      .catch(e => console.error("Saved search matching failed:", e.message));
+    notifyPriceDrops(listingId, req.io)
+      .catch(e => console.error("Price drop alert failed:", e.message));
+
+    return res.json({ success: true, expires_at: expiresAt });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Verification error" });
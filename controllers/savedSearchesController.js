@@ -0,0 +1,155 @@
+import { pool } from "../db.js";
+import { SearchQueryError } from "../services/listingSearchService.js";
+import { sanitizeSavedSearchFilters } from "../services/savedSearchService.js";
+import { presentPhoto } from "../services/imageDerivatives.js";
+import { PUBLIC_STATES } from "../services/listingLifecycle.js";
+
+const MAX_SAVED_SEARCHES = 25;
+
+/* -------------------------------------------------------
+   ✅ GET MY SAVED SEARCHES
+------------------------------------------------------- */
+export const getSavedSearches = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*,
+              (SELECT COUNT(*)::int FROM saved_search_matches m WHERE m.saved_search_id = s.id) as match_count
+       FROM saved_searches s
+       WHERE s.user_id = $1
+       ORDER BY s.created_at DESC`,
+      [req.user.unique_id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("[GetSavedSearches] Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/* -------------------------------------------------------
+   ✅ SAVE A SEARCH
+   Body: { name, filters, alerts_enabled?, email_digest? }
+   `filters` is the query object sent to /api/listings/public.
+------------------------------------------------------- */
+export const createSavedSearch = async (req, res) => {
+  try {
+    const userId = req.user.unique_id;
+    const { name, filters, alerts_enabled = true, email_digest = false } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: "Name is required" });
+    }
+
+    const cleanFilters = sanitizeSavedSearchFilters(filters);
+
+    const countRes = await pool.query(`SELECT COUNT(*)::int FROM saved_searches WHERE user_id = $1`, [userId]);
+    if (countRes.rows[0].count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_SAVED_SEARCHES} searches.` });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO saved_searches (user_id, name, filters, alerts_enabled, email_digest)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, String(name).trim(), JSON.stringify(cleanFilters), !!alerts_enabled, !!email_digest]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err instanceof SearchQueryError) return res.status(400).json({ message: err.message });
+    console.error("[CreateSavedSearch] Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/* -------------------------------------------------------
+   ✅ UPDATE A SAVED SEARCH (name, filters, alert settings)
+------------------------------------------------------- */
+export const updateSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, filters, alerts_enabled, email_digest } = req.body;
+
+    const found = await pool.query(
+      `SELECT * FROM saved_searches WHERE id = $1 AND user_id = $2`,
+      [id, req.user.unique_id]
+    );
+    const existing = found.rows[0];
+    if (!existing) return res.status(404).json({ message: "Saved search not found" });
+
+    const cleanFilters = filters !== undefined ? sanitizeSavedSearchFilters(filters) : existing.filters;
+
+    const result = await pool.query(
+      `UPDATE saved_searches
+       SET name = $1, filters = $2, alerts_enabled = $3, email_digest = $4, updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [
+        name !== undefined && String(name).trim() ? String(name).trim() : existing.name,
+        JSON.stringify(cleanFilters),
+        alerts_enabled !== undefined ? !!alerts_enabled : existing.alerts_enabled,
+        email_digest !== undefined ? !!email_digest : existing.email_digest,
+        id,
+      ]
+    );
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err instanceof SearchQueryError) return res.status(400).json({ message: err.message });
+    console.error("[UpdateSavedSearch] Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/* -------------------------------------------------------
+   ✅ DELETE A SAVED SEARCH
+------------------------------------------------------- */
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id`,
+      [req.params.id, req.user.unique_id]
+    );
+    if (!result.rows.length) return res.status(404).json({ message: "Saved search not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("[DeleteSavedSearch] Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/* -------------------------------------------------------
+   ✅ LISTINGS THAT MATCHED A SAVED SEARCH (newest first)
+------------------------------------------------------- */
+export const getSavedSearchMatches = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const owns = await pool.query(
+      `SELECT id FROM saved_searches WHERE id = $1 AND user_id = $2`,
+      [id, req.user.unique_id]
+    );
+    if (!owns.rows.length) return res.status(404).json({ message: "Saved search not found" });
+
+    const result = await pool.query(
+      `SELECT l.*, m.created_at as matched_at
+       FROM saved_search_matches m
+       JOIN listings l ON l.product_id = m.product_id
+       WHERE m.saved_search_id = $1 AND l.status = ANY($2) AND l.is_active = true
+         AND (l.expires_at IS NULL OR l.expires_at > NOW())
+       ORDER BY m.created_at DESC
+       LIMIT 100`,
+      [id, PUBLIC_STATES]
+    );
+
+    const listings = result.rows.map(({ search_vector, ...l }) => {
+      let photos = [];
+      try { photos = typeof l.photos === "string" ? JSON.parse(l.photos) : l.photos || []; } catch {}
+      return { ...l, photos: photos.map(presentPhoto) };
+    });
+
+    res.json(listings);
+  } catch (err) {
+    console.error("[GetSavedSearchMatches] Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
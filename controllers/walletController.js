@@ -2,13 +2,18 @@ import axios from "axios";
 import { pool } from "../db.js";
 import crypto from "crypto";
 import { convertFromUSD, convertToUSD } from "../utils/exchangeRates.js"; // ✅ Ensure this file exists
+import { notifySavedSearchMatches } from "../services/savedSearchService.js";
+import { notifyPriceDrops } from "../services/priceHistoryService.js";
+import { ACTIVATION_EXPIRY_SQL, activationPriceUSD } from "../services/listingExpiryService.js";
+import { ACTORS, transitionListingStatus } from "../services/listingLifecycle.js";
 
 const FLW_SECRET_KEY = process.env.FLW_SECRET_KEY;
 const FLW_BASE = "https://api.flutterwave.com/v3";
 
 // --- PRICING CONFIG ---
-const DISCOUNTED_COST = 15; // Cost to activate listing using Wallet (USD)
+const DISCOUNTED_COST = 15; // Wallet price (USD) of the default active period; scaled by active_days
 const DEFAULT_FUNDING_AMOUNT = 20; // Default suggested funding (USD)
+const ACTIVATABLE_STATES = ["approved", "under_offer", "expired"]; // Passed review; expired = renewal
 
 // =========================================================
 // 1. GET WALLET BALANCE
@@ -124,7 +129,7 @@ export const verifyWalletFunding = async (req, res) => {
 };
 
 // =========================================================
-// 4. ACTIVATE LISTING VIA WALLET ($15 Deduction)
+// 4. ACTIVATE LISTING VIA WALLET ($15 per default period, pro rata)
 // =========================================================
 export const activateViaWallet = async (req, res) => {
   try {
@@ -135,25 +140,46 @@ export const activateViaWallet = async (req, res) => {
     try {
       await client.query("BEGIN");
 
-      // Check Balance
-      const walletRes = await client.query("SELECT balance FROM wallets WHERE agent_id = $1", [userId]);
+      // Activate (or renew) Listing; a listing that already had an expiry is a renewal
+      const prevRes = await client.query(
+        `SELECT status, active_days, expires_at IS NOT NULL as renewal
+         FROM listings WHERE product_id=$1 AND agent_unique_id=$2
+         FOR UPDATE`,
+        [listingId, userId]
+      );
+      if (!prevRes.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ success: false, message: "Listing not found" });
+      }
+      const { status, active_days, renewal } = prevRes.rows[0];
+      if (!ACTIVATABLE_STATES.includes(status)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ success: false, message: "Only approved or expired listings can be activated." });
+      }
+
+      // Check Balance (the price follows the listing's active period)
+      const cost = activationPriceUSD(DISCOUNTED_COST, active_days);
+      const walletRes = await client.query("SELECT balance FROM wallets WHERE agent_id = $1 FOR UPDATE", [userId]);
       const balance = Number(walletRes.rows[0]?.balance || 0);
 
-      if (balance < DISCOUNTED_COST) {
+      if (balance < cost) {
         await client.query("ROLLBACK");
-        return res.status(400).json({ success: false, message: `Insufficient wallet balance. You need $${DISCOUNTED_COST}.` });
+        return res.status(400).json({ success: false, message: `Insufficient wallet balance. You need $${cost}.` });
       }
 
-      // Deduct $15 (USD)
-      await client.query("UPDATE wallets SET balance = balance - $1 WHERE agent_id = $2", [DISCOUNTED_COST, userId]);
+      // Paid for, so it runs as the system (owners can't un-expire on their own)
+      const { expires_at } = await transitionListingStatus({
+        productId: listingId,
+        to: (from) => (from === "expired" ? "approved" : from),
+        actor: ACTORS.SYSTEM, actorId: userId,
+        reason: renewal ? "renewed via wallet" : "activated via wallet",
+        set: { is_active: true, payment_status: "paid" },
+        setSql: `activated_at = NOW(),${ACTIVATION_EXPIRY_SQL}`,
+        db: client
+      });
 
-      // Activate Listing
-      await client.query(
-        `UPDATE listings 
-         SET is_active=true, payment_status='paid', activated_at=NOW(), status='approved' 
-         WHERE product_id=$1 AND agent_unique_id=$2`,
-        [listingId, userId]
-      );
+      // Deduct (USD)
+      await client.query("UPDATE wallets SET balance = balance - $1 WHERE agent_id = $2", [cost, userId]);
 
       // Log Usage
       const ref = `W-ACTV-${listingId}-${crypto.randomBytes(2).toString("hex")}`;
@@ -166,12 +192,23 @@ export const activateViaWallet = async (req, res) => {
             currency, 
             status, 
             purpose
-         ) VALUES ($1, $2, $3, $4, 'USD', 'successful', 'listing_activation')`,
-        [userId, listingId, ref, DISCOUNTED_COST]
+         ) VALUES ($1, $2, $3, $4, 'USD', 'successful', $5)`,
+        [userId, listingId, ref, cost, renewal ? "listing_renewal" : "listing_activation"]
       );
 
       await client.query("COMMIT");
-      res.json({ success: true, message: "Listing activated via wallet!" });
+      res.json({
+        success: true,
+        message: renewal ? "Listing renewed via wallet!" : "Listing activated via wallet!",
+        amount_usd: cost,
+        expires_at,
+      });
+
+      // Listing is live -> alert matching saved searches and price-drop watchers (background)
+      notifySavedSearchMatches(listingId, req.io)
+        .catch(e => console.error("Saved search matching failed:", e.message));
+      notifyPriceDrops(listingId, req.io)
+        .catch(e => console.error("Price drop alert failed:", e.message));
     } catch (e) {
       await client.query("ROLLBACK");
       throw e;
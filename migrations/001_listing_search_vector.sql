@@ -0,0 +1,40 @@
+-- Full-text search for listings.
+-- Keeps a weighted tsvector on every listing:
+--   A: title
+--   B: property/listing type, category, bedroom & bathroom counts, features
+--   C: description
+--   D: address, city, state, country, zip code
+-- so "3 bedroom duplex with pool" matches on structured fields as well as text.
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+CREATE OR REPLACE FUNCTION listings_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english',
+      concat_ws(' ',
+        NEW.property_type,
+        NEW.listing_type,
+        NEW.category,
+        NEW.bedrooms || ' bedroom',
+        NEW.bathrooms || ' bathroom',
+        NEW.features::text
+      )), 'B') ||
+    setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'C') ||
+    setweight(to_tsvector('english',
+      concat_ws(' ', NEW.address, NEW.city, NEW.state, NEW.country, NEW.zip_code)
+    ), 'D');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS listings_search_vector_trigger ON listings;
+CREATE TRIGGER listings_search_vector_trigger
+  BEFORE INSERT OR UPDATE ON listings
+  FOR EACH ROW EXECUTE FUNCTION listings_search_vector_update();
+
+-- Backfill existing rows (the trigger recomputes the vector)
+UPDATE listings SET search_vector = NULL;
+
+CREATE INDEX IF NOT EXISTS idx_listings_search_vector ON listings USING GIN (search_vector);
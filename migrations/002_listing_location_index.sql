@@ -0,0 +1,5 @@
+-- Radius search and distance sorting cast listings.location to geography
+-- (metres). Index the cast so ST_DWithin can use it.
+
+CREATE INDEX IF NOT EXISTS idx_listings_location_geography
+  ON listings USING GIST ((location::geography));
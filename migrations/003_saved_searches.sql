@@ -0,0 +1,28 @@
+-- Saved searches: a user's /api/listings/public filter set (including a
+-- drawn polygon) plus the listings that have matched it since it was saved.
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id             SERIAL PRIMARY KEY,
+  user_id        TEXT NOT NULL,
+  name           TEXT NOT NULL,
+  filters        JSONB NOT NULL DEFAULT '{}'::jsonb,
+  alerts_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  email_digest   BOOLEAN NOT NULL DEFAULT FALSE,
+  last_digest_at TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches (user_id);
+
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+  id              SERIAL PRIMARY KEY,
+  saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  product_id      TEXT NOT NULL,
+  emailed_at      TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (saved_search_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending
+  ON saved_search_matches (saved_search_id) WHERE emailed_at IS NULL;
@@ -0,0 +1,16 @@
+-- Listing view events. One row per de-duplicated view (same viewer within
+-- 30 minutes counts once); listings.views is the running total.
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS views INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS listing_views (
+  id          BIGSERIAL PRIMARY KEY,
+  product_id  TEXT NOT NULL,
+  viewer_key  TEXT NOT NULL,          -- "u:<unique_id>" or "s:<hashed session>"
+  user_id     TEXT,
+  referrer    TEXT NOT NULL DEFAULT 'direct',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_views_product_time ON listing_views (product_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_listing_views_viewer ON listing_views (product_id, viewer_key, created_at DESC);
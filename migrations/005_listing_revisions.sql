@@ -0,0 +1,21 @@
+-- Listing revision history. Each row stores who changed what, the per-field
+-- old/new values, media added/removed, and a snapshot of the tracked fields
+-- after the change (so any two revisions can be diffed or reverted to).
+
+CREATE TABLE IF NOT EXISTS listing_revisions (
+  id              SERIAL PRIMARY KEY,
+  product_id      TEXT NOT NULL,
+  revision_number INTEGER NOT NULL,
+  action          TEXT NOT NULL,              -- baseline | create | update | revert
+  actor_id        TEXT,
+  actor_role      TEXT,                       -- owner | admin | system
+  changes         JSONB NOT NULL DEFAULT '{}'::jsonb,
+  media_added     JSONB NOT NULL DEFAULT '[]'::jsonb,
+  media_removed   JSONB NOT NULL DEFAULT '[]'::jsonb,
+  snapshot        JSONB NOT NULL,
+  reverted_from   INTEGER,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_revisions_product ON listing_revisions (product_id, revision_number DESC);
@@ -0,0 +1,39 @@
+-- Durable background job queue (see services/jobQueue.js).
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id              BIGSERIAL PRIMARY KEY,
+  type            TEXT NOT NULL,
+  listing_id      TEXT,
+  payload         JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status          TEXT NOT NULL DEFAULT 'queued',   -- queued | running | completed | dead
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  max_attempts    INTEGER NOT NULL DEFAULT 5,
+  run_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by       TEXT,
+  locked_at       TIMESTAMPTZ,
+  last_error      TEXT,
+  progress        JSONB NOT NULL DEFAULT '{}'::jsonb, -- ctx.step() checkpoints
+  result          JSONB,
+  idempotency_key TEXT UNIQUE,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at    TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_ready ON jobs (run_at, id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_listing ON jobs (listing_id, id);
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs (locked_at) WHERE status = 'running';
+
+-- Uploaded files waiting to be processed. Deleted when the job completes.
+CREATE TABLE IF NOT EXISTS job_files (
+  id            BIGSERIAL PRIMARY KEY,
+  job_id        BIGINT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  field         TEXT NOT NULL,
+  position      INTEGER NOT NULL DEFAULT 0,
+  original_name TEXT,
+  mime_type     TEXT,
+  size          INTEGER,
+  data          BYTEA NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_files_job ON job_files (job_id);
@@ -0,0 +1,5 @@
+-- Last error per ctx.step() key, so a listing's processing status can
+-- say which step failed and why (see services/listingProcessingService.js).
+-- Cleared for a key once that step succeeds on a retry.
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS step_errors JSONB NOT NULL DEFAULT '{}'::jsonb;
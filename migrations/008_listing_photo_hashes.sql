@@ -0,0 +1,16 @@
+-- Perceptual hash (64-bit dHash) of every listing photo, used to spot the
+-- same photo re-posted on another agent's listing. Compared with
+-- bit_count(a # b) (Hamming distance), so this needs PostgreSQL 14+.
+
+CREATE TABLE IF NOT EXISTS listing_photo_hashes (
+  id          BIGSERIAL PRIMARY KEY,
+  product_id  TEXT NOT NULL,
+  agent_id    TEXT NOT NULL,
+  public_id   TEXT NOT NULL,
+  photo_url   TEXT,
+  phash       BIGINT NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, public_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_photo_hashes_agent ON listing_photo_hashes (agent_id);
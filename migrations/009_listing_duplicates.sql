@@ -0,0 +1,59 @@
+-- Duplicate listing detection (see services/duplicateListingService.js).
+-- normalized_address is maintained by trigger so "12 Main Street, Apt 4"
+-- and "12 main st #4" compare equal. Detection results are stored in
+-- listing_duplicate_flags for admins to review.
+
+CREATE OR REPLACE FUNCTION normalize_listing_address(address TEXT, city TEXT, zip TEXT) RETURNS TEXT AS $$
+DECLARE
+  s TEXT;
+BEGIN
+  s := lower(concat_ws(' ', address, city, zip));
+  s := regexp_replace(s, '[^a-z0-9]+', ' ', 'g');
+  s := regexp_replace(s, '\mstreet\M', 'st', 'g');
+  s := regexp_replace(s, '\mavenue\M', 'ave', 'g');
+  s := regexp_replace(s, '\mroad\M', 'rd', 'g');
+  s := regexp_replace(s, '\mdrive\M', 'dr', 'g');
+  s := regexp_replace(s, '\mboulevard\M', 'blvd', 'g');
+  s := regexp_replace(s, '\mlane\M', 'ln', 'g');
+  s := regexp_replace(s, '\mcrescent\M', 'cres', 'g');
+  s := regexp_replace(s, '\mclose\M', 'cl', 'g');
+  s := regexp_replace(s, '\mcourt\M', 'ct', 'g');
+  s := regexp_replace(s, '\m(apartment|apt|unit|suite|ste|flat)\M', '', 'g');
+  s := btrim(regexp_replace(s, '\s+', ' ', 'g'));
+  RETURN NULLIF(s, '');
+END
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS normalized_address TEXT;
+
+CREATE OR REPLACE FUNCTION listings_normalized_address_update() RETURNS trigger AS $$
+BEGIN
+  NEW.normalized_address := normalize_listing_address(NEW.address, NEW.city, NEW.zip_code);
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS listings_normalized_address_trigger ON listings;
+CREATE TRIGGER listings_normalized_address_trigger
+  BEFORE INSERT OR UPDATE OF address, city, zip_code ON listings
+  FOR EACH ROW EXECUTE FUNCTION listings_normalized_address_update();
+
+UPDATE listings SET normalized_address = normalize_listing_address(address, city, zip_code);
+
+CREATE INDEX IF NOT EXISTS idx_listings_normalized_address ON listings (normalized_address);
+
+CREATE TABLE IF NOT EXISTS listing_duplicate_flags (
+  id            BIGSERIAL PRIMARY KEY,
+  product_id    TEXT NOT NULL,            -- the newer listing
+  duplicate_of  TEXT NOT NULL,            -- the existing listing it resembles
+  score         INTEGER NOT NULL,         -- 0-100
+  reasons       JSONB NOT NULL DEFAULT '[]'::jsonb,
+  same_agent    BOOLEAN NOT NULL DEFAULT false,
+  dismissed_at  TIMESTAMPTZ,
+  dismissed_by  TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, duplicate_of)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_duplicate_flags_open ON listing_duplicate_flags (product_id) WHERE dismissed_at IS NULL;
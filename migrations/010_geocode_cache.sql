@@ -0,0 +1,24 @@
+-- Geocoding results cached by normalized address (see services/geocodingService.js),
+-- and the precision of each listing's coordinates.
+-- precision: address | street | neighbourhood | postcode | city | region | country | manual
+-- A row with NULL lat/lng records "not found" until expires_at.
+
+CREATE TABLE IF NOT EXISTS geocode_cache (
+  query_key     TEXT PRIMARY KEY,
+  provider      TEXT NOT NULL,
+  lat           DOUBLE PRECISION,
+  lng           DOUBLE PRECISION,
+  precision     TEXT,
+  display_name  TEXT,
+  hits          INTEGER NOT NULL DEFAULT 0,
+  expires_at    TIMESTAMPTZ,               -- NULL = keep forever
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS geo_precision TEXT;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS geo_source TEXT;
+
+-- 0,0 was written whenever geocoding failed; it is not a real location
+UPDATE listings SET latitude = NULL, longitude = NULL
+WHERE latitude::numeric = 0 AND longitude::numeric = 0;
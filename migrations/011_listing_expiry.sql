@@ -0,0 +1,17 @@
+-- Listing expiry (see services/listingExpiryService.js).
+-- active_days: paid period chosen for the listing (NULL = LISTING_ACTIVE_DAYS)
+-- expires_at:  set/extended on every activation or renewal
+-- expiry_reminder_stage: 0 none sent, 1 "7 days left" sent, 2 "1 day left" sent
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS active_days INTEGER;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS expiry_reminder_stage SMALLINT NOT NULL DEFAULT 0;
+
+-- Listings that are live today get a full period from their activation,
+-- but never less than two weeks from now so nothing drops off on deploy.
+UPDATE listings
+SET expires_at = GREATEST(COALESCE(activated_at, NOW()) + INTERVAL '60 days', NOW() + INTERVAL '14 days')
+WHERE is_active = true AND expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_listings_expires_at ON listings (expires_at) WHERE is_active = true;
@@ -0,0 +1,27 @@
+-- Paid "Featured" placements (see services/boostService.js).
+-- A boost occupies one of the FEATURED_SLOTS top slots for its
+-- city/category between starts_at and ends_at. Boosts bought while
+-- every slot is taken are queued: starts_at is the next free slot.
+
+CREATE TABLE IF NOT EXISTS listing_boosts (
+  id              SERIAL PRIMARY KEY,
+  product_id      TEXT NOT NULL,
+  agent_unique_id TEXT NOT NULL,
+  slot_city       TEXT NOT NULL,          -- lower(city), '' when unknown
+  slot_category   TEXT NOT NULL,          -- lower(category), '' when unknown
+  plan            TEXT NOT NULL,
+  starts_at       TIMESTAMPTZ NOT NULL,
+  ends_at         TIMESTAMPTZ NOT NULL,
+  amount_usd      NUMERIC(10, 2) NOT NULL,
+  payment_method  TEXT NOT NULL,          -- 'wallet' | 'direct'
+  tx_ref          TEXT UNIQUE,
+  status          TEXT NOT NULL DEFAULT 'active', -- 'active' | 'cancelled'
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_boosts_slot
+  ON listing_boosts (slot_city, slot_category, ends_at) WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_listing_boosts_product
+  ON listing_boosts (product_id, ends_at) WHERE status = 'active';
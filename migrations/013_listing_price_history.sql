@@ -0,0 +1,26 @@
+-- Listing price history (see services/priceHistoryService.js).
+-- One row per price/currency change; the first row for a listing has
+-- no old_price. notified_at is set once favoriters were told about a drop.
+
+CREATE TABLE IF NOT EXISTS listing_price_history (
+  id            SERIAL PRIMARY KEY,
+  product_id    TEXT NOT NULL,
+  old_price     NUMERIC,
+  old_currency  TEXT,
+  new_price     NUMERIC,
+  new_currency  TEXT,
+  source        TEXT NOT NULL,             -- initial | create | update | revert
+  changed_by    TEXT,
+  changed_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  notified_at   TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_price_history_product
+  ON listing_price_history (product_id, changed_at DESC);
+
+-- Existing listings start their history with the price they have today
+INSERT INTO listing_price_history (product_id, new_price, new_currency, source, changed_by, changed_at)
+SELECT l.product_id, l.price, COALESCE(l.price_currency, 'USD'), 'initial', l.agent_unique_id, COALESCE(l.created_at, NOW())
+FROM listings l
+WHERE l.price IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM listing_price_history h WHERE h.product_id = l.product_id);
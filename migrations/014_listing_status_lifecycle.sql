@@ -0,0 +1,32 @@
+-- Listing status lifecycle (see services/listingLifecycle.js).
+
+-- Old spellings written by earlier code paths
+UPDATE listings SET status = 'rejected' WHERE status = 'declined';
+UPDATE listings SET status = 'approved' WHERE status IN ('active', 'Vacant');
+UPDATE listings SET status = 'rented'   WHERE status = 'Occupied';
+UPDATE listings SET status = 'pending'  WHERE status IS NULL;
+
+-- Listings switched off by the expiry sweep before 'expired' existed
+UPDATE listings SET status = 'expired'
+WHERE status = 'approved' AND is_active = false AND expired_at IS NOT NULL;
+
+-- NOT VALID: enforced for every new write without failing on odd legacy rows
+ALTER TABLE listings DROP CONSTRAINT IF EXISTS listings_status_check;
+ALTER TABLE listings ADD CONSTRAINT listings_status_check CHECK (status IN (
+  'processing', 'draft', 'pending', 'approved', 'rejected',
+  'under_offer', 'sold', 'rented', 'expired', 'archived'
+)) NOT VALID;
+
+CREATE TABLE IF NOT EXISTS listing_status_history (
+  id          SERIAL PRIMARY KEY,
+  product_id  TEXT NOT NULL,
+  from_status TEXT,                 -- NULL for the initial state
+  to_status   TEXT NOT NULL,
+  actor       TEXT NOT NULL,        -- system | owner | admin
+  actor_id    TEXT,
+  reason      TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_status_history_product
+  ON listing_status_history (product_id, created_at);
@@ -0,0 +1,30 @@
+-- Closed deals (see services/listingClosingService.js).
+-- One row each time a listing is marked sold or rented; a listing that is
+-- re-let later gets another row. Feeds the agent's "recently sold" track
+-- record and the public market statistics.
+
+CREATE TABLE IF NOT EXISTS listing_closings (
+  id               SERIAL PRIMARY KEY,
+  product_id       TEXT NOT NULL,
+  agent_unique_id  TEXT NOT NULL,
+  outcome          TEXT NOT NULL CHECK (outcome IN ('sold', 'rented')),
+  closing_price    NUMERIC NOT NULL CHECK (closing_price > 0),
+  closing_currency TEXT NOT NULL,
+  closed_on        DATE NOT NULL,
+  counterparty_id  TEXT,               -- buyer's / tenant's unique_id, when on Keyvia
+  -- Snapshot for stats, so later edits to the listing don't rewrite history
+  city             TEXT,
+  country          TEXT,
+  category         TEXT,
+  property_type    TEXT,
+  bedrooms         INTEGER,
+  square_footage   NUMERIC,
+  list_price       NUMERIC,
+  list_currency    TEXT,
+  listed_at        TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_closings_product ON listing_closings (product_id, closed_on DESC);
+CREATE INDEX IF NOT EXISTS idx_listing_closings_agent ON listing_closings (agent_unique_id, closed_on DESC);
+CREATE INDEX IF NOT EXISTS idx_listing_closings_market ON listing_closings (lower(city), outcome, closed_on DESC);
@@ -0,0 +1,21 @@
+-- Soft delete (see services/listingArchiveService.js).
+-- Deleting a listing moves it to 'archived' instead of dropping the row, so
+-- favorites, applications and notifications keep pointing at it. It can be
+-- restored until purge_after; then the scheduled purge removes its media
+-- and stamps media_purged_at (the row itself stays as a tombstone).
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS archived_by TEXT;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS archived_from_status TEXT;  -- restored to this
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS archived_was_active BOOLEAN;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS purge_after TIMESTAMPTZ;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS media_purged_at TIMESTAMPTZ;
+
+-- Listings archived through the lifecycle before this migration
+UPDATE listings
+SET archived_at = updated_at,
+    purge_after = GREATEST(updated_at + INTERVAL '30 days', NOW() + INTERVAL '7 days')
+WHERE status = 'archived' AND archived_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_listings_purge_after ON listings (purge_after)
+  WHERE status = 'archived' AND media_purged_at IS NULL;
@@ -0,0 +1,42 @@
+-- Multi-unit buildings (see services/buildingService.js).
+-- A building holds what its flats share: address, pin, amenities and
+-- photos. Unit listings point at it with building_id and keep their own
+-- price, bedrooms, floor and availability; the shared address/pin is
+-- copied onto every unit so search, geo and duplicate checks work as-is.
+
+CREATE TABLE IF NOT EXISTS buildings (
+  id               SERIAL PRIMARY KEY,
+  building_id      TEXT NOT NULL UNIQUE,
+  owner_unique_id  TEXT NOT NULL,
+  name             TEXT NOT NULL,
+  description      TEXT,
+  address          TEXT NOT NULL,
+  city             TEXT,
+  state            TEXT,
+  country          TEXT,
+  zip_code         TEXT,
+  latitude         NUMERIC,
+  longitude        NUMERIC,
+  geo_precision    TEXT,
+  geo_source       TEXT,
+  year_built       INTEGER,
+  floors           INTEGER,
+  amenities        JSONB NOT NULL DEFAULT '[]'::jsonb,
+  photos           JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_buildings_owner ON buildings (owner_unique_id, created_at DESC);
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS building_id TEXT;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS unit_number TEXT;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS floor INTEGER;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS available_from DATE;  -- NULL = available now
+
+CREATE INDEX IF NOT EXISTS idx_listings_building ON listings (building_id) WHERE building_id IS NOT NULL;
+
+-- One listing per unit number and listing type within a building (archived ones excepted)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_listings_building_unit
+  ON listings (building_id, lower(unit_number), listing_type)
+  WHERE building_id IS NOT NULL AND unit_number IS NOT NULL AND status <> 'archived';
@@ -0,0 +1,27 @@
+-- Typed document attachments (see services/listingAttachmentService.js).
+-- Floor plans, surveys, brochures and title documents uploaded with a
+-- listing. Kept out of the listings row so search results (l.*) never
+-- carry the URL of a document the viewer isn't allowed to see; each
+-- attachment has its own visibility.
+
+CREATE TABLE IF NOT EXISTS listing_attachments (
+  id              SERIAL PRIMARY KEY,
+  product_id      TEXT NOT NULL,
+  kind            TEXT NOT NULL
+                  CHECK (kind IN ('floor_plan', 'survey', 'brochure', 'title_document')),
+  title           TEXT,
+  visibility      TEXT NOT NULL DEFAULT 'public'
+                  CHECK (visibility IN ('public', 'logged_in', 'approved_applicants')),
+  url             TEXT NOT NULL,
+  public_id       TEXT NOT NULL UNIQUE,  -- also makes job retries idempotent
+  resource_type   TEXT NOT NULL,         -- storage type: image | raw
+  mime_type       TEXT,
+  original_name   TEXT,
+  size_bytes      INTEGER,
+  position        INTEGER NOT NULL DEFAULT 0,
+  uploaded_by     TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_attachments_listing ON listing_attachments (product_id, position, id);
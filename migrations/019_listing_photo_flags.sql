@@ -0,0 +1,23 @@
+-- Photos re-used from other agents' listings (see services/photoHashService.js).
+-- Matches used to be written into listings.admin_notes, which overwrote
+-- rejection reasons and showed the agent other agents' product ids. They are
+-- now kept here for admins, like listing_duplicate_flags.
+
+CREATE TABLE IF NOT EXISTS listing_photo_flags (
+  id                BIGSERIAL PRIMARY KEY,
+  product_id        TEXT NOT NULL,            -- the listing being checked
+  duplicate_of      TEXT NOT NULL,            -- the other agent's listing
+  matched_photos    INTEGER NOT NULL,
+  closest_distance  INTEGER NOT NULL,         -- Hamming distance, of 64 bits
+  matches           JSONB NOT NULL DEFAULT '[]'::jsonb,
+  dismissed_at      TIMESTAMPTZ,
+  dismissed_by      TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, duplicate_of)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_photo_flags_open ON listing_photo_flags (product_id) WHERE dismissed_at IS NULL;
+
+-- Notes written by the old check (the next processing job re-flags them here)
+UPDATE listings SET admin_notes = NULL WHERE admin_notes LIKE 'Possible stolen photos:%';
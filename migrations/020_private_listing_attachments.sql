@@ -0,0 +1,7 @@
+-- Listing attachments move to private storage (see services/mediaStorage.js).
+-- New uploads have no public URL: they are served through
+-- GET /api/listings/:product_id/attachments/:id after the visibility
+-- check. Rows that still have a url were uploaded publicly before this;
+-- the "attachment-privatize" scheduled task moves them and clears url.
+
+ALTER TABLE listing_attachments ALTER COLUMN url DROP NOT NULL;
@@ -0,0 +1,14 @@
+-- Which listings a chat conversation is about (see routes/messages.js).
+-- Conversations are one per pair of users, so a conversation opened from
+-- several listings of the same agent is linked to each of them. Used to
+-- offer people who messaged about a listing as its buyer/tenant
+-- (services/listingClosingService.js).
+
+CREATE TABLE IF NOT EXISTS conversation_listings (
+  conversation_id TEXT NOT NULL,           -- conversations.conversation_id as text
+  product_id      TEXT NOT NULL,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (conversation_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_listings_product ON conversation_listings (product_id);
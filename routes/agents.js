@@ -1,6 +1,7 @@
 import express from "express";
 import { pool } from "../db.js";
 import { authenticateToken } from "../middleware/authMiddleware.js"; 
+import { PUBLIC_STATES } from "../services/listingLifecycle.js";
 
 const router = express.Router();
 
@@ -16,10 +17,14 @@ router.get("/stats", async (req, res) => {
   try {
     const [listRes, activeRes, viewRes, spentRes] = await Promise.all([
       // 1. Total Listings
-      pool.query(`SELECT COUNT(*)::int as count FROM listings WHERE agent_unique_id = $1`, [agentId]),
+      pool.query(`SELECT COUNT(*)::int as count FROM listings WHERE agent_unique_id = $1 AND status <> 'archived'`, [agentId]),
       
-      // 2. Active Listings
-      pool.query(`SELECT COUNT(*)::int as count FROM listings WHERE agent_unique_id = $1 AND status = 'active'`, [agentId]),
+      // 2. Active Listings (live to buyers)
+      pool.query(
+        `SELECT COUNT(*)::int as count FROM listings
+         WHERE agent_unique_id = $1 AND status = ANY($2) AND is_active = true`,
+        [agentId, PUBLIC_STATES]
+      ),
       
       // 3. Total Views
       pool.query(`SELECT COALESCE(SUM(views), 0)::int as total FROM listings WHERE agent_unique_id = $1`, [agentId]),
@@ -93,7 +98,7 @@ router.get("/charts/types", async (req, res) => {
     const result = await pool.query(
       `SELECT property_type, COUNT(*)::int as count 
        FROM listings 
-       WHERE agent_unique_id = $1 
+       WHERE agent_unique_id = $1 AND status <> 'archived'
        GROUP BY property_type`, 
       [agentId]
     );
@@ -121,7 +126,7 @@ router.get("/charts/status", async (req, res) => {
     const result = await pool.query(
       `SELECT status, COUNT(*)::int as count 
        FROM listings 
-       WHERE agent_unique_id = $1 
+       WHERE agent_unique_id = $1 AND status <> 'archived'
        GROUP BY status`, 
       [agentId]
     );
@@ -151,7 +156,7 @@ router.get("/listings", async (req, res) => {
       `SELECT 
          id, product_id, title, city, price, status, views, photos 
        FROM listings 
-       WHERE agent_unique_id = $1 
+       WHERE agent_unique_id = $1 AND status <> 'archived'
        ORDER BY created_at DESC 
        LIMIT $2`,
       [agentId, limit]
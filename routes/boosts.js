@@ -0,0 +1,28 @@
+import express from "express";
+import { authenticateToken, verifyAdmin } from "../middleware/authMiddleware.js";
+import {
+  getBoostPlans,
+  getBoostQuote,
+  boostViaWallet,
+  initializeBoostPayment,
+  verifyBoostPayment,
+  getMyBoosts,
+  getBoostsAdmin
+} from "../controllers/boostController.js";
+
+const router = express.Router();
+
+// Public: plans & slot count
+router.get("/plans", getBoostPlans);
+
+// Agent
+router.get("/quote", authenticateToken, getBoostQuote);
+router.get("/mine", authenticateToken, getMyBoosts);
+router.post("/wallet", authenticateToken, boostViaWallet);
+router.post("/initialize", authenticateToken, initializeBoostPayment);
+router.post("/verify", authenticateToken, verifyBoostPayment);
+
+// Admin: active/queued boosts and revenue
+router.get("/admin", authenticateToken, verifyAdmin, getBoostsAdmin);
+
+export default router;
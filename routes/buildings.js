@@ -0,0 +1,25 @@
+import express from "express";
+import { authenticateToken, optionalAuth } from "../middleware/authMiddleware.js";
+import { upload } from "../middleware/upload.js";
+import {
+  createBuilding,
+  getMyBuildings,
+  getBuilding,
+  updateBuilding,
+  deleteBuilding
+} from "../controllers/buildingsController.js";
+
+const router = express.Router();
+
+// Owner: my buildings
+router.get("/mine", authenticateToken, getMyBuildings);
+
+// Public: building with its live units (owner/admin see every unit)
+router.get("/:building_id", optionalAuth, getBuilding);
+
+// Owner
+router.post("/", authenticateToken, upload.fields([{ name: "photos", maxCount: 15 }]), createBuilding);
+router.put("/:building_id", authenticateToken, upload.fields([{ name: "photos", maxCount: 15 }]), updateBuilding);
+router.delete("/:building_id", authenticateToken, deleteBuilding);
+
+export default router;
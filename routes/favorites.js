@@ -48,8 +48,9 @@ router.get("/my-favorites", authenticateToken, async (req, res) => {
     const user_id = req.user.unique_id;
     
     // Join favorites with listings to get full property details
+    // (deleted listings are archived, so they still resolve here)
     const result = await pool.query(`
-      SELECT l.*, true as is_favorited 
+      SELECT l.*, true as is_favorited, (l.status = 'archived') as is_archived
       FROM favorites f
       JOIN listings l ON f.product_id = l.product_id
       WHERE f.user_id = $1
@@ -1,15 +1,38 @@
 import express from "express";
 import {
   getListings,
+  getListingClusters,
+  getListingFacets,
+  getListingAnalytics,
+  getListingRevisions,
+  diffListingRevisions,
+  revertListingRevision,
+  getListingProcessing,
+  getListingJobStatus,
+  getJobsAdmin,
+  retryDeadJob,
+  getListingDuplicates,
+  dismissListingDuplicate,
+  dismissPhotoDuplicate,
   getListingByProductId,
+  getListingAttachmentFile,
+  compareListings,
+  getSimilarListings,
+  getListingMarketStats,
   getAgentListings,
   getAllListingsAdmin,
+  getArchivedListingsAdmin,
   createListing,
   updateListing,
   deleteListing,
+  restoreArchivedListing,
   updateListingStatus,
   getPublicAgentProfile,
   activateListing,
+  transitionListing,
+  getListingStatusHistory,
+  closeListing,
+  getListingClosingCandidates,
   analyzeListing,
   batchAnalyzeListings
 } from "../controllers/listingsController.js";
@@ -30,6 +53,19 @@ const router = express.Router();
 // If a token IS present, it attaches the user so 'is_favorited' works.
 router.get("/public", optionalAuth, getListings); 
 
+// ✅ 1b. Map Clusters (viewport + zoom, same filters as /public)
+router.get("/public/clusters", getListingClusters);
+
+// ✅ 1c. Sidebar Facets (counts + price histogram under current filters)
+router.get("/public/facets", getListingFacets);
+
+// ✅ 1d. Side-by-side comparison (?ids=a,b,c,d&currency=USD)
+// optionalAuth so owners can include their own not-yet-live listings
+router.get("/compare", optionalAuth, compareListings);
+
+// ✅ 1e. Market Statistics from sold/rented closings (?city=&outcome=&currency=)
+router.get("/public/market-stats", getListingMarketStats);
+
 // ✅ 2. Agent Portfolio (Protected - Agent viewing their own)
 router.get("/agent", authenticateToken, getAgentListings);
 
@@ -38,23 +74,34 @@ router.get("/public/agent/:unique_id", getPublicAgentProfile);
 
 // ✅ 4. Admin Dashboard
 router.get("/admin/all", authenticateToken, verifyAdmin, getAllListingsAdmin);
+router.get("/admin/archived", authenticateToken, verifyAdmin, getArchivedListingsAdmin);
 
 // ✅ 5. AI Analysis (Admin)
 router.post("/admin/analyze-all", authenticateToken, verifyAdmin, batchAnalyzeListings);
 
+// ✅ 6. Background Job Queue (Admin)
+router.get("/admin/jobs", authenticateToken, verifyAdmin, getJobsAdmin);
+router.post("/admin/jobs/:id/retry", authenticateToken, verifyAdmin, retryDeadJob);
+
+// ✅ 7. Duplicate Listing Review (Admin)
+router.put("/admin/duplicates/:id/dismiss", authenticateToken, verifyAdmin, dismissListingDuplicate);
+router.put("/admin/photo-duplicates/:id/dismiss", authenticateToken, verifyAdmin, dismissPhotoDuplicate);
+
 
 /* ============================================================
    2. CRUD OPERATIONS (Create, Read, Update, Delete)
 ============================================================ */
 
 // ✅ Create Listing (Async)
+// attachments: floor plans / documents, described by the attachments_meta field
 router.post(
   "/",
   authenticateToken,
   upload.fields([
     { name: "photos", maxCount: 15 },
     { name: "video_file", maxCount: 1 },
-    { name: "virtual_file", maxCount: 1 }
+    { name: "virtual_file", maxCount: 1 },
+    { name: "attachments", maxCount: 10 }
   ]),
   createListing
 );
@@ -64,6 +111,26 @@ router.post(
 // Guests should be able to see property details too!
 router.get("/:product_id", optionalAuth, getListingByProductId);
 
+// ✅ Attachment download (visibility re-checked on every open)
+router.get("/:product_id/attachments/:id", optionalAuth, getListingAttachmentFile);
+
+// ✅ Similar Homes (Details Page)
+// ?limit=&exclude_same_agent=true
+router.get("/:product_id/similar", optionalAuth, getSimilarListings);
+
+// ✅ Traffic Analytics (Owner / Admin)
+router.get("/:product_id/analytics", authenticateToken, getListingAnalytics);
+
+// ✅ Revision History (Owner / Admin), Revert (Owner)
+router.get("/:product_id/revisions", authenticateToken, getListingRevisions);
+router.get("/:product_id/revisions/diff", authenticateToken, diffListingRevisions);
+router.post("/:product_id/revisions/:revision/revert", authenticateToken, revertListingRevision);
+
+// ✅ Media / Geocoding Processing Status (Owner / Admin)
+// Live updates arrive as listing_processing_* socket events
+router.get("/:product_id/processing", authenticateToken, getListingProcessing);
+router.get("/:product_id/jobs", authenticateToken, getListingJobStatus);
+
 // ✅ Update Listing
 router.put(
   "/:product_id",
@@ -71,17 +138,27 @@ router.put(
   upload.fields([
     { name: "photos", maxCount: 15 },
     { name: "video_file", maxCount: 1 },
-    { name: "virtual_file", maxCount: 1 }
+    { name: "virtual_file", maxCount: 1 },
+    { name: "attachments", maxCount: 10 }
   ]),
   updateListing
 );
 
-// ✅ Delete Listing
+// ✅ Delete Listing (archives it; restorable until the scheduled media purge)
 router.delete("/:product_id", authenticateToken, deleteListing);
+router.post("/:product_id/restore", authenticateToken, restoreArchivedListing);
 
 // ✅ Activate Listing (After Payment)
 router.put("/:product_id/activate", authenticateToken, activateListing);
 
+// ✅ Lifecycle: owner/admin status changes (under offer, back on market, ...) + history
+router.post("/:product_id/transition", authenticateToken, transitionListing);
+router.get("/:product_id/status-history", authenticateToken, getListingStatusHistory);
+
+// ✅ Mark Sold / Rented with closing details (Owner / Admin)
+router.get("/:product_id/closing-candidates", authenticateToken, getListingClosingCandidates);
+router.post("/:product_id/close", authenticateToken, closeListing);
+
 
 /* ============================================================
    3. ADMIN & ANALYSIS ACTIONS
@@ -90,6 +167,9 @@ router.put("/:product_id/activate", authenticateToken, activateListing);
 // Single Analysis
 router.post("/:product_id/analyze", authenticateToken, verifyAdmin, analyzeListing);
 
+// Possible Duplicates
+router.get("/:product_id/duplicates", authenticateToken, verifyAdmin, getListingDuplicates);
+
 // Status Updates
 router.put("/:product_id/status", authenticateToken, verifyAdmin, updateListingStatus);
 
@@ -3,11 +3,26 @@ import { pool } from "../db.js";
 import { authenticate } from "../middleware/authMiddleware.js";
 const router = express.Router();
 
+// Links a conversation to the listing it was opened from, when one of
+// its two users is that listing's agent (see conversation_listings)
+const linkConversationListing = async (conv, productId) => {
+  if (!productId) return;
+  await pool.query(
+    `INSERT INTO conversation_listings (conversation_id, product_id)
+     SELECT $1::text, l.product_id FROM listings l
+     WHERE l.product_id = $2 AND l.agent_unique_id IN ($3, $4)
+     ON CONFLICT DO NOTHING`,
+    [conv.conversation_id, productId, conv.user1_id, conv.user2_id]
+  );
+};
+
 // ==========================================================
 // 1. Create or Get Conversation
+//    product_id (optional): the listing the chat was started from
 // ==========================================================
 router.post("/conversation", authenticate, async (req, res) => {
   const { user1_id, user2_id } = req.body;
+  const productId = req.body.product_id ?? req.body.productId ?? null;
   if (!user1_id || !user2_id) return res.status(400).json({ error: "Missing user IDs" });
 
   try {
@@ -34,6 +49,7 @@ router.post("/conversation", authenticate, async (req, res) => {
           [user1_id, conv.conversation_id]
         );
       }
+      await linkConversationListing(conv, productId);
       return res.json(existing.rows[0]);
     }
 
@@ -41,6 +57,7 @@ router.post("/conversation", authenticate, async (req, res) => {
       `INSERT INTO conversations (user1_id, user2_id) VALUES ($1, $2) RETURNING *`,
       [user1_id, user2_id]
     );
+    await linkConversationListing(newConv.rows[0], productId);
     res.json(newConv.rows[0]);
   } catch (err) {
     console.error(err);
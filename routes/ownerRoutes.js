@@ -1,6 +1,7 @@
 import express from "express";
 import { pool } from "../db.js";
 import { authenticateToken } from "../middleware/authMiddleware.js"; 
+import { getOwnerOccupancy } from "../services/buildingService.js";
 
 const router = express.Router();
 
@@ -14,12 +15,12 @@ router.get("/stats", async (req, res) => {
   const ownerId = req.user.unique_id; 
 
   try {
-    const [propRes, tenantRes, revRes] = await Promise.all([
-      // 1. Total Properties
-      pool.query(`SELECT COUNT(*)::int as count FROM listings WHERE agent_unique_id = $1`, [ownerId]),
+    const [occupancy, tenantRes, revRes] = await Promise.all([
+      // 1. Total Properties (a building counts once) and units
+      getOwnerOccupancy(ownerId),
       
-      // 2. Active Tenants (Assuming 'Occupied' status tracks this)
-      pool.query(`SELECT COUNT(*)::int as count FROM listings WHERE agent_unique_id = $1 AND status = 'Occupied'`, [ownerId]),
+      // 2. Active Tenants (listings marked 'rented')
+      pool.query(`SELECT COUNT(*)::int as count FROM listings WHERE agent_unique_id = $1 AND status = 'rented'`, [ownerId]),
       
       // 3. Total Revenue (Removed 'purpose' filter to fix crash)
       pool.query(
@@ -31,7 +32,8 @@ router.get("/stats", async (req, res) => {
     ]);
 
     res.json({
-      properties: propRes.rows[0].count || 0,
+      properties: occupancy.properties,
+      units: occupancy.units,
       tenants: tenantRes.rows[0].count || 0,
       revenue: revRes.rows[0].total || 0,
       maintenance: 0 
@@ -73,27 +75,18 @@ router.get("/charts/revenue", async (req, res) => {
 });
 
 // ==========================================
-// 3. OCCUPANCY CHART (Unchanged)
+// 3. OCCUPANCY CHART (per unit; see buildingService)
 // ==========================================
 router.get("/charts/occupancy", async (req, res) => {
   const ownerId = req.user.unique_id;
 
   try {
-    const result = await pool.query(
-      `SELECT status, COUNT(*)::int as count 
-       FROM listings 
-       WHERE agent_unique_id = $1 
-       GROUP BY status`, 
-      [ownerId]
-    );
-
-    const occupied = result.rows.find(r => r.status === 'Occupied')?.count || 0;
-    // Group 'Vacant' and 'Active' together as vacancies
-    const vacant = result.rows.find(r => r.status === 'Vacant' || r.status === 'Active')?.count || 0;
+    const occupancy = await getOwnerOccupancy(ownerId);
 
     res.json({
-      series: [occupied, vacant],
-      labels: ["Occupied", "Vacant"]
+      series: [occupancy.occupied, occupancy.vacant],
+      labels: ["Occupied", "Vacant"],
+      ...occupancy
     });
   } catch (err) {
     console.error("Occupancy Chart Error:", err.message);
@@ -112,7 +105,7 @@ router.get("/properties", async (req, res) => {
     const result = await pool.query(
       `SELECT id, title, city as location, price as rent, status 
        FROM listings 
-       WHERE agent_unique_id = $1 
+       WHERE agent_unique_id = $1 AND status <> 'archived'
        ORDER BY created_at DESC 
        LIMIT $2`,
       [ownerId, limit]
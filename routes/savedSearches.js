@@ -0,0 +1,21 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+import {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchMatches
+} from "../controllers/savedSearchesController.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", getSavedSearches);
+router.post("/", createSavedSearch);
+router.put("/:id", updateSavedSearch);
+router.delete("/:id", deleteSavedSearch);
+router.get("/:id/matches", getSavedSearchMatches);
+
+export default router;
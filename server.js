@@ -26,6 +26,13 @@ import favoriteRoutes from "./routes/favorites.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import superAdminRoutes from "./routes/superAdminRoutes.js";
 import applicationRoutes from "./routes/applicationRoutes.js"; // ✅ Correct Import
+import savedSearchRoutes from "./routes/savedSearches.js";
+import boostRoutes from "./routes/boosts.js";
+import buildingRoutes from "./routes/buildings.js";
+import { startScheduler } from "./services/scheduler.js";
+import { startJobWorker } from "./services/jobQueue.js";
+import "./services/listingJobs.js"; // Registers the listing job handlers
+import { startListingProcessingEvents } from "./services/listingProcessingService.js";
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -90,6 +97,9 @@ app.use("/owners", ownerRoutes);
 app.use("/api/favorites", favoriteRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/super-admin", superAdminRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/boosts", boostRoutes);
+app.use("/api/buildings", buildingRoutes);
 
 // ✅ Applications Route (One unified route for Agents, Owners, and Buyers)
 app.use("/api/applications", applicationRoutes); 
@@ -380,6 +390,9 @@ pool.connect()
     client.release();
     server.listen(PORT, () => {
       console.log(`🚀 Server + Socket.IO running on http://localhost:${PORT}`);
+      startScheduler({ io });
+      startListingProcessingEvents(io);
+      startJobWorker();
     });
   })
   .catch((err) => {
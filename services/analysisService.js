@@ -1,5 +1,6 @@
 import { pool } from "../db.js";
 import { analyzeListingPhotos, analyzeTextQuality } from "./aiService.js";
+import { findDuplicatePhotoListings } from "./photoHashService.js";
 
 export const performFullAnalysis = async (listingId) => {
   const report = {
@@ -8,6 +9,8 @@ export const performFullAnalysis = async (listingId) => {
     flags: [],
     textCheck: "pending",
     imageCheck: "pending",
+    duplicatePhotoCheck: "pending",
+    duplicatePhotoListings: [],
     locationCheck: "pending",
     agentConsistency: "pending",
     verdict: "Manual Review",
@@ -56,6 +59,28 @@ export const performFullAnalysis = async (listingId) => {
         report.imageCheck = "passed";
     }
 
+    // =========================================================
+    // 🧬 STEP 3b: DUPLICATE PHOTOS (Other agents' listings)
+    // =========================================================
+    try {
+        const duplicates = await findDuplicatePhotoListings(listingId);
+        report.duplicatePhotoListings = duplicates.map(d => ({
+            product_id: d.product_id,
+            matched_photos: d.matched_photos,
+            closest_distance: d.closest_distance,
+        }));
+        if (duplicates.length > 0) {
+            report.duplicatePhotoCheck = "failed";
+            report.score -= 40;
+            report.flags.push(`Photos match other agents' listing(s): ${duplicates.map(d => d.product_id).join(", ")}.`);
+        } else {
+            report.duplicatePhotoCheck = "passed";
+        }
+    } catch (e) {
+        console.error("Duplicate photo check failed:", e.message);
+        report.duplicatePhotoCheck = "error";
+    }
+
     // =========================================================
     // 👤 STEP 4: CONSISTENCY CHECK (Smart Role Logic)
     // =========================================================
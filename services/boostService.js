@@ -0,0 +1,227 @@
+import { pool } from "../db.js";
+import { PUBLIC_STATES } from "./listingLifecycle.js";
+
+/* ============================================================
+   FEATURED / BOOSTED LISTINGS
+   Agents buy a plan (wallet or direct payment) that pins their
+   listing in the "Featured" slots above the normal results for
+   its city/category. Each city/category has FEATURED_SLOTS slots;
+   a boost bought while they are all taken is queued to start as
+   soon as one frees up, so a paid boost is never refused.
+============================================================ */
+export const FEATURED_SLOTS = parseInt(process.env.FEATURED_SLOTS, 10) || 3;
+export const FEATURED_LABEL = "Featured";
+
+// Purchases that would only start further out than this are refused up front
+const MAX_QUEUE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BOOST_PLANS = {
+  "7d": { days: 7, price_usd: 10 },
+  "14d": { days: 14, price_usd: 18 },
+  "30d": { days: 30, price_usd: 35 },
+};
+
+export class BoostError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const getBoostPlan = (planId) => {
+  const plan = BOOST_PLANS[planId];
+  if (!plan) throw new BoostError(`Unknown boost plan. Choose one of: ${Object.keys(BOOST_PLANS).join(", ")}`);
+  return { id: planId, ...plan };
+};
+
+const slotOf = (listing) => ({
+  city: String(listing.city || "").trim().toLowerCase(),
+  category: String(listing.category || "").trim().toLowerCase(),
+});
+
+// SQL predicate: listing `l` has a boost running right now
+export const ACTIVE_BOOST_SQL = `EXISTS (
+  SELECT 1 FROM listing_boosts b
+  WHERE b.product_id = l.product_id AND b.status = 'active'
+    AND b.starts_at <= NOW() AND b.ends_at > NOW()
+)`;
+
+/**
+ * Earliest start >= now at which a boost of `durationMs` never shares
+ * the slot with `cap` or more other boosts. Concurrency only rises at a
+ * boost's start, so checking `start` and every start inside the window
+ * is enough.
+ */
+export const findSlotStart = (windows, cap, durationMs, now = new Date()) => {
+  const spans = windows.map((w) => ({ start: new Date(w.starts_at).getTime(), end: new Date(w.ends_at).getTime() }));
+  const candidates = [now.getTime(), ...spans.map((s) => s.end)]
+    .filter((t) => t >= now.getTime())
+    .sort((a, b) => a - b);
+
+  const busyAt = (t) => spans.filter((s) => s.start <= t && s.end > t).length;
+
+  for (const t of candidates) {
+    const end = t + durationMs;
+    const checkpoints = [t, ...spans.map((s) => s.start).filter((s) => s > t && s < end)];
+    if (checkpoints.every((p) => busyAt(p) < cap)) return new Date(t);
+  }
+  return new Date(candidates[candidates.length - 1]);
+};
+
+const loadSlotWindows = async (db, slot) => {
+  const result = await db.query(
+    `SELECT starts_at, ends_at FROM listing_boosts
+     WHERE slot_city = $1 AND slot_category = $2 AND status = 'active' AND ends_at > NOW()`,
+    [slot.city, slot.category]
+  );
+  return result.rows;
+};
+
+/**
+ * Featured pick for a search: live boosts in the slot(s) the query is
+ * scoped to. A boost is sold for one city/category, so it is only shown
+ * to searches for that city (and that category, when one is given).
+ * Returns null when the query names no city.
+ */
+export const buildFeaturedSlotSql = (query = {}, params = []) => {
+  const slot = slotOf(query);
+  if (!slot.city || slot.city === "undefined") return null;
+  params.push(slot.city);
+  let clause = `b.slot_city = $${params.length}`;
+  if (slot.category && slot.category !== "undefined") {
+    params.push(slot.category);
+    clause += ` AND b.slot_category = $${params.length}`;
+  }
+  return `EXISTS (
+  SELECT 1 FROM listing_boosts b
+  WHERE b.product_id = l.product_id AND b.status = 'active'
+    AND b.starts_at <= NOW() AND b.ends_at > NOW()
+    AND ${clause}
+)`;
+};
+
+// Archived and expired listings can't go live again without a new
+// activation, so a boost paid for them is never booked
+export const isBoostLapsed = (listing) =>
+  listing.status === "archived" ||
+  listing.status === "expired" ||
+  (!!listing.expires_at && new Date(listing.expires_at) <= new Date());
+
+// Boosts only make sense for listings buyers can actually see
+const assertBoostable = (listing) => {
+  if (!listing) throw new BoostError("Listing not found", 404);
+  if (!PUBLIC_STATES.includes(listing.status) || !listing.is_active) {
+    throw new BoostError("Only approved, active listings can be featured");
+  }
+};
+
+/* ------------------------------------------------------------
+   QUOTE — when would a boost start, and what does it cost
+------------------------------------------------------------ */
+export const quoteBoost = async (listing, planId) => {
+  assertBoostable(listing);
+  const plan = getBoostPlan(planId);
+  const slot = slotOf(listing);
+  const windows = await loadSlotWindows(pool, slot);
+  const startsAt = findSlotStart(windows, FEATURED_SLOTS, plan.days * DAY_MS);
+
+  return {
+    plan: plan.id,
+    days: plan.days,
+    price_usd: plan.price_usd,
+    city: listing.city,
+    category: listing.category,
+    starts_at: startsAt,
+    ends_at: new Date(startsAt.getTime() + plan.days * DAY_MS),
+    queued: startsAt.getTime() > Date.now() + 60 * 1000,
+    available: startsAt.getTime() <= Date.now() + MAX_QUEUE_DAYS * DAY_MS,
+  };
+};
+
+/**
+ * Books a paid boost inside the caller's transaction. Purchases for the
+ * same city/category are serialized with an advisory lock so two buyers
+ * can't both take the last slot. `prepaid` (verified direct payments)
+ * skips the queue-length check and lets a pending or paused listing book
+ * (it shows once the listing is live); archived or expired listings are
+ * still refused, and the caller refunds the payment.
+ */
+export const bookBoost = async (client, {
+  listing, planId, agentId, method, txRef = null, amountUsd, prepaid = false
+}) => {
+  if (!prepaid) assertBoostable(listing);
+  else if (isBoostLapsed(listing)) throw new BoostError("Archived or expired listings can't be featured", 409);
+  const plan = getBoostPlan(planId);
+  const slot = slotOf(listing);
+
+  await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`boost:${slot.city}|${slot.category}`]);
+
+  const windows = await loadSlotWindows(client, slot);
+  const startsAt = findSlotStart(windows, FEATURED_SLOTS, plan.days * DAY_MS);
+  if (!prepaid && startsAt.getTime() > Date.now() + MAX_QUEUE_DAYS * DAY_MS) {
+    throw new BoostError(`All featured slots in ${listing.city || "this area"} are booked for the next ${MAX_QUEUE_DAYS} days`, 409);
+  }
+
+  const result = await client.query(
+    `INSERT INTO listing_boosts
+       (product_id, agent_unique_id, slot_city, slot_category, plan, starts_at, ends_at, amount_usd, payment_method, tx_ref)
+     VALUES ($1, $2, $3, $4, $5, $6, $6::timestamptz + make_interval(days => $7), $8, $9, $10)
+     RETURNING *`,
+    [listing.product_id, agentId, slot.city, slot.category, plan.id, startsAt, plan.days, amountUsd ?? plan.price_usd, method, txRef]
+  );
+  return result.rows[0];
+};
+
+/* ------------------------------------------------------------
+   READS
+------------------------------------------------------------ */
+export const getAgentBoosts = async (agentId) => {
+  const result = await pool.query(
+    `SELECT b.*, l.title, l.city, l.category,
+            (b.status = 'active' AND b.starts_at <= NOW() AND b.ends_at > NOW()) as is_live
+     FROM listing_boosts b
+     LEFT JOIN listings l ON l.product_id = b.product_id
+     WHERE b.agent_unique_id = $1
+     ORDER BY b.starts_at DESC`,
+    [agentId]
+  );
+  return result.rows;
+};
+
+/**
+ * Admin overview: running and queued boosts plus revenue totals
+ * (all time, last 30 days, per plan).
+ */
+export const getBoostsOverview = async () => {
+  const [boosts, revenue, byPlan] = await Promise.all([
+    pool.query(
+      `SELECT b.*, l.title, p.full_name as agent_name,
+              (b.starts_at <= NOW()) as is_live
+       FROM listing_boosts b
+       LEFT JOIN listings l ON l.product_id = b.product_id
+       LEFT JOIN profiles p ON p.unique_id = b.agent_unique_id
+       WHERE b.status = 'active' AND b.ends_at > NOW()
+       ORDER BY b.slot_city, b.slot_category, b.starts_at`
+    ),
+    pool.query(
+      `SELECT COALESCE(SUM(amount_usd), 0)::float8 as total_usd,
+              COALESCE(SUM(amount_usd) FILTER (WHERE created_at > NOW() - INTERVAL '30 days'), 0)::float8 as last_30_days_usd,
+              COUNT(*)::int as boosts_sold
+       FROM listing_boosts`
+    ),
+    pool.query(
+      `SELECT plan, payment_method, COUNT(*)::int as boosts_sold, SUM(amount_usd)::float8 as revenue_usd
+       FROM listing_boosts
+       GROUP BY plan, payment_method
+       ORDER BY plan, payment_method`
+    ),
+  ]);
+
+  return {
+    slots_per_city_category: FEATURED_SLOTS,
+    active: boosts.rows.filter((b) => b.is_live),
+    queued: boosts.rows.filter((b) => !b.is_live),
+    revenue: { ...revenue.rows[0], by_plan: byPlan.rows },
+  };
+};
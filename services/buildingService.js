@@ -0,0 +1,326 @@
+import crypto from "crypto";
+import { pool } from "../db.js";
+import { presentPhoto } from "./imageDerivatives.js";
+import { isValidCoordinate } from "./geocodingService.js";
+import { PUBLIC_STATES, actorFor, transitionListingStatus } from "./listingLifecycle.js";
+
+/* ============================================================
+   BUILDINGS (multi-unit properties)
+   A building holds what its units share: address, pin, amenities
+   and photos. Each unit is an ordinary listing with building_id
+   set and its own price, bedrooms, floor and available_from. The
+   shared address/pin is copied onto the units (syncBuildingUnits)
+   so search, maps and duplicate checks need no special cases; a
+   changed address sends live units back to review.
+============================================================ */
+
+// Listing columns owned by the building
+export const SHARED_UNIT_FIELDS = ["address", "city", "state", "country", "zip_code", "latitude", "longitude"];
+
+export class BuildingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const generateBuildingId = () => "BLD-" + crypto.randomUUID().split("-")[0].toUpperCase();
+
+const parseList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  let list = value;
+  if (typeof value === "string") {
+    try { list = JSON.parse(value); } catch { list = value.split(","); }
+  }
+  if (!Array.isArray(list) && typeof list === "object") list = Object.keys(list).filter((k) => list[k]);
+  return [...new Set((Array.isArray(list) ? list : []).map((a) => String(a).trim()).filter(Boolean))];
+};
+
+const toInt = (value, field) => {
+  if (value === undefined || value === null || value === "") return null;
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n) || n < 0) throw new BuildingError(`${field} must be a whole number`);
+  return n;
+};
+
+/**
+ * Building fields from a create/update body. On update, `existing` supplies
+ * anything not sent. Returns the columns plus `addressChanged` and `hasPin`.
+ */
+export const parseBuildingFields = (body = {}, existing = null) => {
+  const pick = (key, camel) => {
+    const v = body[key] ?? (camel ? body[camel] : undefined);
+    return v === undefined ? existing?.[key] ?? null : (v === "" ? null : v);
+  };
+
+  const fields = {
+    name: pick("name"),
+    description: pick("description"),
+    address: pick("address"),
+    city: pick("city"),
+    state: pick("state"),
+    country: pick("country"),
+    zip_code: pick("zip_code", "zipCode"),
+    year_built: toInt(pick("year_built", "yearBuilt"), "year_built"),
+    floors: toInt(pick("floors"), "floors"),
+    amenities: body.amenities !== undefined ? parseList(body.amenities) : parseList(existing?.amenities),
+  };
+  if (!fields.name || !fields.address) throw new BuildingError("A building needs a name and an address");
+
+  const addressChanged = !existing ||
+    ["address", "city", "state", "country", "zip_code"].some((k) => (fields[k] || null) !== (existing[k] || null));
+
+  // A pin dropped by the owner wins; a new address without one is re-geocoded
+  const hasPin = isValidCoordinate(body.latitude, body.longitude);
+  if (hasPin) {
+    fields.latitude = Number(body.latitude);
+    fields.longitude = Number(body.longitude);
+  } else if (!addressChanged) {
+    fields.latitude = existing?.latitude ?? null;
+    fields.longitude = existing?.longitude ?? null;
+  } else {
+    fields.latitude = null;
+    fields.longitude = null;
+  }
+
+  return { fields, addressChanged, hasPin };
+};
+
+export const loadOwnedBuilding = async (buildingId, user, { db = pool, lock = false, allowAdmin = true } = {}) => {
+  const found = await db.query(
+    `SELECT * FROM buildings WHERE building_id = $1 ${lock ? "FOR UPDATE" : ""}`,
+    [buildingId]
+  );
+  const building = found.rows[0];
+  if (!building) throw new BuildingError("Building not found", 404);
+  const isAdmin = user?.role === "admin" || user?.is_admin === true || user?.is_super_admin === true;
+  if (building.owner_unique_id !== user?.unique_id && !(allowAdmin && isAdmin)) {
+    throw new BuildingError("Forbidden", 403);
+  }
+  return building;
+};
+
+/**
+ * Unit columns for a listing create/update:
+ * { building, building_id, unit_number, floor, available_from }.
+ * building_id "" detaches the unit; not sending it keeps the current one.
+ * The building must belong to the listing's owner.
+ */
+export const parseUnitFields = async (body = {}, user, existing = null) => {
+  const keep = (key, camel) => {
+    const v = body[key] ?? (camel ? body[camel] : undefined);
+    return v === undefined ? existing?.[key] ?? null : (v === "" ? null : v);
+  };
+
+  const buildingId = keep("building_id", "buildingId");
+  const building = buildingId ? await loadOwnedBuilding(buildingId, user, { allowAdmin: false }) : null;
+
+  const unitNumber = keep("unit_number", "unitNumber");
+  if (unitNumber !== null && String(unitNumber).trim().length > 20) {
+    throw new BuildingError("unit_number can be at most 20 characters");
+  }
+
+  let floor = keep("floor");
+  if (floor !== null) {
+    floor = Number(floor);
+    if (!Number.isInteger(floor)) throw new BuildingError("floor must be a whole number");
+  }
+
+  let availableFrom = keep("available_from", "availableFrom");
+  if (availableFrom instanceof Date) {
+    // pg reads DATE columns as local midnight
+    const pad = (n) => String(n).padStart(2, "0");
+    availableFrom = `${availableFrom.getFullYear()}-${pad(availableFrom.getMonth() + 1)}-${pad(availableFrom.getDate())}`;
+  }
+  if (availableFrom !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(availableFrom) || Number.isNaN(Date.parse(availableFrom)))) {
+    throw new BuildingError("available_from must be a date (YYYY-MM-DD)");
+  }
+
+  return {
+    building,
+    building_id: building?.building_id ?? null,
+    unit_number: unitNumber !== null ? String(unitNumber).trim() : null,
+    floor,
+    available_from: availableFrom,
+  };
+};
+
+// Copies the building's address and pin onto all of its units
+export const syncBuildingUnits = (db, building) =>
+  db.query(
+    `UPDATE listings
+     SET ${SHARED_UNIT_FIELDS.map((f, i) => `${f} = $${i + 2}`).join(", ")}, updated_at = NOW()
+     WHERE building_id = $1`,
+    [building.building_id, ...SHARED_UNIT_FIELDS.map((f) => building[f] ?? null)]
+  );
+
+/**
+ * Applies a changed address/pin to the units inside the caller's
+ * transaction. Units that passed review (approved / under offer) go
+ * back to 'pending': what the moderator approved was the old address.
+ * Returns { before, after } rows of every unit, for revisions.
+ */
+export const moveBuildingUnits = async (db, building, user) => {
+  const units = await db.query(
+    `SELECT * FROM listings WHERE building_id = $1 AND status <> 'archived' ORDER BY product_id FOR UPDATE`,
+    [building.building_id]
+  );
+  for (const unit of units.rows) {
+    if (!PUBLIC_STATES.includes(unit.status)) continue;
+    await transitionListingStatus({
+      productId: unit.product_id, to: "pending", actor: actorFor(user, unit), actorId: user.unique_id,
+      reason: "building address changed", set: { is_active: false }, db
+    });
+  }
+  await syncBuildingUnits(db, building);
+
+  const after = await db.query(
+    `SELECT * FROM listings WHERE product_id = ANY($1)`,
+    [units.rows.map((u) => u.product_id)]
+  );
+  const afterById = new Map(after.rows.map((u) => [u.product_id, u]));
+  return units.rows.map((before) => ({ before, after: afterById.get(before.product_id) }));
+};
+
+export const presentBuilding = (row) => {
+  if (!row) return null;
+  let photos = row.photos || [];
+  if (typeof photos === "string") {
+    try { photos = JSON.parse(photos); } catch { photos = []; }
+  }
+  return {
+    ...row,
+    latitude: row.latitude !== null && row.latitude !== undefined ? parseFloat(row.latitude) : null,
+    longitude: row.longitude !== null && row.longitude !== undefined ? parseFloat(row.longitude) : null,
+    amenities: parseList(row.amenities),
+    photos: photos.map(presentPhoto),
+  };
+};
+
+/**
+ * A building with its units. Everyone sees the units on the market;
+ * the owner (includeAll) sees every unit that isn't archived.
+ */
+export const getBuildingWithUnits = async (buildingId, { includeAll = false } = {}) => {
+  const found = await pool.query(`SELECT * FROM buildings WHERE building_id = $1`, [buildingId]);
+  if (!found.rows.length) return null;
+
+  const units = await pool.query(
+    `SELECT product_id, title, unit_number, floor, price, price_currency, price_period,
+            listing_type, bedrooms, bathrooms, square_footage, available_from, status, is_active,
+            COALESCE(available_from > CURRENT_DATE, false) as available_later, photos
+     FROM listings
+     WHERE building_id = $1
+       AND status <> 'archived'
+       AND ($2::boolean OR (status = ANY($3) AND is_active = true AND (expires_at IS NULL OR expires_at > NOW())))
+     ORDER BY floor ASC NULLS LAST, unit_number ASC NULLS LAST, product_id`,
+    [buildingId, includeAll, PUBLIC_STATES]
+  );
+
+  return {
+    ...presentBuilding(found.rows[0]),
+    units: units.rows.map(({ photos, available_later, ...u }) => {
+      let list = photos || [];
+      if (typeof list === "string") {
+        try { list = JSON.parse(list); } catch { list = []; }
+      }
+      return {
+        ...u,
+        photo: list.length ? presentPhoto(list[0]) : null,
+        ...(includeAll && { occupancy: unitOccupancy({ ...u, available_later }) }),
+      };
+    }),
+  };
+};
+
+/* ------------------------------------------------------------
+   OCCUPANCY (per unit)
+   occupied  rented, or listed but the current tenant stays
+             until available_from
+   vacant    on the market and available now
+   off market anything else (draft, pending, expired, ...)
+   A listing outside any building counts as a one-unit property.
+------------------------------------------------------------ */
+// unit: { status, is_active, available_later } (available_later = available_from > today)
+export const unitOccupancy = (unit) => {
+  if (unit.status === "rented") return "occupied";
+  if (PUBLIC_STATES.includes(unit.status) && unit.is_active) return unit.available_later ? "occupied" : "vacant";
+  return "off_market";
+};
+
+const tally = (units) => {
+  const counts = { units: units.length, occupied: 0, vacant: 0, off_market: 0 };
+  for (const u of units) counts[unitOccupancy(u)]++;
+  const tracked = counts.occupied + counts.vacant;
+  counts.occupancy_rate = tracked ? Math.round((counts.occupied / tracked) * 1000) / 10 : null;
+  return counts;
+};
+
+export const getOwnerOccupancy = async (ownerId) => {
+  const [unitsRes, buildingsRes] = await Promise.all([
+    pool.query(
+      `SELECT product_id, building_id, status, is_active,
+              COALESCE(available_from > CURRENT_DATE, false) as available_later
+       FROM listings
+       WHERE agent_unique_id = $1 AND status <> 'archived'`,
+      [ownerId]
+    ),
+    pool.query(`SELECT building_id, name FROM buildings WHERE owner_unique_id = $1 ORDER BY name`, [ownerId]),
+  ]);
+
+  const units = unitsRes.rows;
+  const byBuilding = buildingsRes.rows.map((b) => ({
+    building_id: b.building_id,
+    name: b.name,
+    ...tally(units.filter((u) => u.building_id === b.building_id)),
+  }));
+
+  return {
+    ...tally(units),
+    properties: buildingsRes.rows.length + units.filter((u) => !u.building_id).length,
+    by_building: byBuilding,
+  };
+};
+
+/* ------------------------------------------------------------
+   SEARCH GROUPING
+   For a page of results grouped by building: how many units of
+   each building match the same filters, their price/bedroom
+   ranges and a short list of them. `where`/`params` come from
+   buildPublicListingWhere so the counts match the results.
+------------------------------------------------------------ */
+const MAX_GROUP_UNITS = 20;
+
+export const getBuildingGroups = async (buildingIds, where, params) => {
+  if (!buildingIds.length) return new Map();
+  const groupParams = [...params, buildingIds];
+  const result = await pool.query(
+    `SELECT b.building_id, b.name, b.address, b.city, b.amenities, b.photos,
+            COUNT(l.product_id)::int as matching_units,
+            MIN(l.price) as price_min, MAX(l.price) as price_max,
+            CASE WHEN COUNT(DISTINCT l.price_currency) = 1 THEN MIN(l.price_currency) END as price_currency,
+            MIN(l.bedrooms) as bedrooms_min, MAX(l.bedrooms) as bedrooms_max,
+            (json_agg(json_build_object(
+               'product_id', l.product_id, 'unit_number', l.unit_number, 'floor', l.floor,
+               'price', l.price, 'price_currency', l.price_currency, 'bedrooms', l.bedrooms,
+               'available_from', l.available_from
+             ) ORDER BY l.price ASC, l.product_id))::jsonb as units
+     FROM buildings b
+     JOIN listings l ON l.building_id = b.building_id AND ${where}
+     WHERE b.building_id = ANY($${groupParams.length})
+     GROUP BY b.id`,
+    groupParams
+  );
+
+  return new Map(result.rows.map((g) => {
+    const { photos, amenities, units, ...rest } = presentBuilding(g);
+    return [g.building_id, {
+      ...rest,
+      amenities,
+      photo: photos[0] || null,
+      price_min: g.price_min !== null ? Number(g.price_min) : null,
+      price_max: g.price_max !== null ? Number(g.price_max) : null,
+      units: (units || []).slice(0, MAX_GROUP_UNITS),
+    }];
+  }));
+};
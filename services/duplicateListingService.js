@@ -0,0 +1,214 @@
+import { pool } from "../db.js";
+
+/* ============================================================
+   DUPLICATE LISTING DETECTION
+   Compares a listing against existing ones on normalized address
+   (migrations/009_listing_duplicates.sql), distance, price,
+   bedrooms and title similarity. Pairs scoring DUPLICATE_THRESHOLD
+   or more are stored in listing_duplicate_flags for admins.
+   With BLOCK_DUPLICATE_LISTINGS=true an agent cannot create an
+   exact copy of one of their own listings.
+============================================================ */
+export const DUPLICATE_THRESHOLD = 50;
+const NEARBY_METERS = 200;
+const SAME_SPOT_METERS = 30;
+
+export const BLOCK_EXACT_DUPLICATES = process.env.BLOCK_DUPLICATE_LISTINGS === "true";
+
+const titleTokens = (title) =>
+  new Set(String(title || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").split(" ").filter((t) => t.length > 1));
+
+// Jaccard similarity of title words, 0..1
+export const titleSimilarity = (a, b) => {
+  const ta = titleTokens(a);
+  const tb = titleTokens(b);
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+};
+
+/**
+ * Scores one candidate against the listing. Returns { score, reasons }.
+ */
+export const scoreDuplicate = (listing, candidate) => {
+  let score = 0;
+  const reasons = [];
+
+  if (listing.normalized_address && listing.normalized_address === candidate.normalized_address) {
+    score += 40;
+    reasons.push("Same address");
+  }
+
+  if (candidate.distance_m !== null && candidate.distance_m !== undefined) {
+    const meters = Math.round(candidate.distance_m);
+    if (meters <= SAME_SPOT_METERS) {
+      score += 25;
+      reasons.push(`Same location (${meters} m apart)`);
+    } else if (meters <= NEARBY_METERS) {
+      score += 10;
+      reasons.push(`${meters} m apart`);
+    }
+  }
+
+  const price = Number(listing.price);
+  const otherPrice = Number(candidate.price);
+  if (price > 0 && otherPrice > 0 && listing.price_currency === candidate.price_currency) {
+    const diff = Math.abs(price - otherPrice) / Math.max(price, otherPrice);
+    if (diff <= 0.02) {
+      score += 15;
+      reasons.push("Same price");
+    } else if (diff <= 0.1) {
+      score += 8;
+      reasons.push(`Price within ${Math.ceil(diff * 100)}%`);
+    }
+  }
+
+  if (listing.bedrooms !== null && listing.bedrooms !== undefined && Number(listing.bedrooms) === Number(candidate.bedrooms)) {
+    score += 10;
+    reasons.push("Same bedroom count");
+  }
+
+  const similarity = titleSimilarity(listing.title, candidate.title);
+  if (similarity >= 0.3) {
+    score += Math.round(similarity * 10);
+    reasons.push(`Similar title (${Math.round(similarity * 100)}%)`);
+  }
+
+  // Units of one building share an address and pin by design
+  if (listing.building_id && listing.building_id === candidate.building_id &&
+      String(listing.unit_number || "").toLowerCase() !== String(candidate.unit_number || "").toLowerCase()) {
+    return { score: 0, reasons: [] };
+  }
+
+  // The same home offered for rent and for sale is two legitimate listings
+  if (listing.listing_type && candidate.listing_type && listing.listing_type !== candidate.listing_type) {
+    score -= 15;
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), reasons };
+};
+
+/* ------------------------------------------------------------
+   EXACT DUPLICATE (same agent) — checked before insert
+------------------------------------------------------------ */
+export const findExactAgentDuplicate = async ({
+  agentId, address, city, zip, listingType, price, bedrooms, unitNumber = null, excludeId = null
+}) => {
+  const result = await pool.query(
+    `SELECT product_id, title, status
+     FROM listings
+     WHERE agent_unique_id = $1
+       AND normalized_address = normalize_listing_address($2, $3, $4)
+       AND listing_type IS NOT DISTINCT FROM $5
+       AND price = $6
+       AND bedrooms IS NOT DISTINCT FROM $7
+       AND status NOT IN ('draft', 'archived')
+       AND ($8::text IS NULL OR product_id <> $8)
+       AND lower(unit_number) IS NOT DISTINCT FROM lower($9::text)
+     LIMIT 1`,
+    [agentId, address || null, city || null, zip || null, listingType || null, price, bedrooms ?? null, excludeId, unitNumber]
+  );
+  return result.rows[0] || null;
+};
+
+/* ------------------------------------------------------------
+   DETECTION — run after create/update (once geocoding is done)
+------------------------------------------------------------ */
+export const detectDuplicateListings = async (productId) => {
+  const targetRes = await pool.query(`SELECT * FROM listings WHERE product_id = $1`, [productId]);
+  const listing = targetRes.rows[0];
+  if (!listing) return [];
+
+  // Candidates: same address, nearby, or same city/type/bedrooms at a similar price
+  const candidates = await pool.query(
+    `SELECT c.product_id, c.agent_unique_id, c.title, c.price, c.price_currency, c.bedrooms,
+            c.listing_type, c.normalized_address, c.building_id, c.unit_number,
+            CASE WHEN t.location IS NOT NULL AND c.location IS NOT NULL
+                  AND NOT (t.latitude::numeric = 0 AND t.longitude::numeric = 0)
+                 THEN ST_Distance(t.location::geography, c.location::geography)::float8
+            END as distance_m
+     FROM listings t
+     JOIN listings c ON c.product_id <> t.product_id AND c.status NOT IN ('draft', 'archived')
+     WHERE t.product_id = $1
+       AND (
+         c.normalized_address = t.normalized_address
+         OR (
+           t.location IS NOT NULL AND c.location IS NOT NULL
+           AND NOT (t.latitude::numeric = 0 AND t.longitude::numeric = 0)
+           AND ST_DWithin(t.location::geography, c.location::geography, $2)
+         )
+         OR (
+           lower(c.city) = lower(t.city)
+           AND c.listing_type IS NOT DISTINCT FROM t.listing_type
+           AND c.bedrooms IS NOT DISTINCT FROM t.bedrooms
+           AND c.price BETWEEN t.price * 0.9 AND t.price * 1.1
+         )
+       )
+     LIMIT 100`,
+    [productId, NEARBY_METERS]
+  );
+
+  const matches = candidates.rows
+    .map((c) => ({ ...c, ...scoreDuplicate(listing, c) }))
+    .filter((c) => c.score >= DUPLICATE_THRESHOLD);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Drop open flags that no longer match (e.g. the address was fixed)
+    await client.query(
+      `DELETE FROM listing_duplicate_flags
+       WHERE product_id = $1 AND dismissed_at IS NULL AND NOT (duplicate_of = ANY($2))`,
+      [productId, matches.map((m) => m.product_id)]
+    );
+    for (const m of matches) {
+      await client.query(
+        `INSERT INTO listing_duplicate_flags (product_id, duplicate_of, score, reasons, same_agent)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (product_id, duplicate_of)
+         DO UPDATE SET score = EXCLUDED.score, reasons = EXCLUDED.reasons, updated_at = NOW()`,
+        [productId, m.product_id, m.score, JSON.stringify(m.reasons), m.agent_unique_id === listing.agent_unique_id]
+      );
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (matches.length) {
+    console.warn(`🚩 Listing ${productId} looks like a duplicate of ${matches.map((m) => m.product_id).join(", ")}`);
+  }
+  return matches.map(({ product_id, score, reasons }) => ({ product_id, score, reasons }));
+};
+
+/* ------------------------------------------------------------
+   ADMIN
+------------------------------------------------------------ */
+export const getDuplicateFlags = async (productId, { includeDismissed = false } = {}) => {
+  const result = await pool.query(
+    `SELECT f.id, f.duplicate_of, f.score, f.reasons, f.same_agent,
+            f.dismissed_at, f.dismissed_by, f.created_at, f.updated_at,
+            l.title, l.status, l.agent_unique_id, l.price, l.price_currency, l.address, l.city
+     FROM listing_duplicate_flags f
+     LEFT JOIN listings l ON l.product_id = f.duplicate_of
+     WHERE f.product_id = $1 AND ($2::boolean OR f.dismissed_at IS NULL)
+     ORDER BY f.score DESC`,
+    [productId, includeDismissed]
+  );
+  return result.rows;
+};
+
+export const dismissDuplicateFlag = async (flagId, adminId) => {
+  const result = await pool.query(
+    `UPDATE listing_duplicate_flags
+     SET dismissed_at = NOW(), dismissed_by = $2, updated_at = NOW()
+     WHERE id = $1 AND dismissed_at IS NULL
+     RETURNING *`,
+    [flagId, adminId]
+  );
+  return result.rows[0] || null;
+};
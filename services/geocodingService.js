@@ -0,0 +1,205 @@
+import axios from "axios";
+import { Country, State, City } from "country-state-city";
+import { pool } from "../db.js";
+import { COUNTRY_ISO_MAP } from "../utils/countryMap.js";
+
+/* ============================================================
+   GEOCODING
+   geocodeAddress() walks the providers in GEOCODER_PROVIDERS
+   (default "nominatim,offline") and caches the answer in
+   geocode_cache, keyed by the normalized address.
+   - Every result carries a precision level (address, street,
+     neighbourhood, postcode, city, region, country).
+   - "offline" resolves city/state/country centroids from the
+     bundled country-state-city data, so there is almost always
+     an answer, just a coarser one.
+   - Returns null when nothing matched, throws when providers
+     were unreachable. Never returns 0,0.
+============================================================ */
+const NOT_FOUND_TTL_DAYS = 7;
+const FALLBACK_TTL_DAYS = 30; // Offline answers get re-tried online later
+
+// ✅ Real coordinates only: in range and not the 0,0 "null island"
+export const isValidCoordinate = (lat, lng) => {
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln)) return false;
+  if (Math.abs(la) > 90 || Math.abs(ln) > 180) return false;
+  return !(la === 0 && ln === 0);
+};
+
+const normalizePart = (value) =>
+  String(value || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+
+export const geocodeCacheKey = ({ address, city, state, zip, country }) =>
+  [address, city, state, zip, country].map(normalizePart).join("|");
+
+/* ------------------------------------------------------------
+   PROVIDERS
+   geocode(query) -> { lat, lng, precision, display_name } | null
+   Throw for outages (the caller falls through to the next
+   provider and skips caching); return null for "no match".
+------------------------------------------------------------ */
+const NOMINATIM_PRECISION = {
+  house: "address", building: "address",
+  road: "street",
+  suburb: "neighbourhood", neighbourhood: "neighbourhood", quarter: "neighbourhood",
+  postcode: "postcode",
+  city: "city", town: "city", village: "city", hamlet: "city", municipality: "city",
+  county: "region", state: "region", region: "region",
+  country: "country",
+};
+
+// Nominatim's usage policy allows one request per second
+let nominatimNextSlot = 0;
+const nominatimThrottle = async () => {
+  const now = Date.now();
+  const wait = Math.max(0, nominatimNextSlot - now);
+  nominatimNextSlot = Math.max(now, nominatimNextSlot) + 1000;
+  if (wait) await new Promise((r) => setTimeout(r, wait));
+};
+
+const nominatimProvider = {
+  name: "nominatim",
+  async geocode({ address, city, state, zip, country }) {
+    const query = [address, city, state, zip, country].filter(Boolean).join(", ");
+    if (!query) return null;
+
+    await nominatimThrottle();
+    const res = await axios.get("https://nominatim.openstreetmap.org/search", {
+      params: { format: "jsonv2", q: query, addressdetails: 1, limit: 1 },
+      headers: { "User-Agent": "KeyviaApp/1.0" },
+      timeout: 10000,
+    });
+
+    const result = res.data?.[0];
+    if (!result) return null;
+    return {
+      lat: parseFloat(result.lat),
+      lng: parseFloat(result.lon),
+      precision: NOMINATIM_PRECISION[result.addresstype] || NOMINATIM_PRECISION[result.type] || "street",
+      display_name: result.display_name,
+    };
+  },
+};
+
+const sameName = (a, b) => normalizePart(a) === normalizePart(b);
+
+const findCountry = (country) => {
+  if (!country) return null;
+  const iso = COUNTRY_ISO_MAP[country] || (String(country).length === 2 ? String(country).toUpperCase() : null);
+  return (iso && Country.getCountryByCode(iso)) ||
+    Country.getAllCountries().find((c) => sameName(c.name, country)) || null;
+};
+
+const centroid = (place, precision) => {
+  if (!place || !isValidCoordinate(place.latitude, place.longitude)) return null;
+  return {
+    lat: parseFloat(place.latitude),
+    lng: parseFloat(place.longitude),
+    precision,
+    display_name: place.name,
+  };
+};
+
+const offlineProvider = {
+  name: "offline",
+  async geocode({ city, state, country }) {
+    const c = findCountry(country);
+    if (!c) return null;
+
+    const states = State.getStatesOfCountry(c.isoCode);
+    const s = state ? states.find((st) => sameName(st.name, state) || sameName(st.isoCode, state)) : null;
+
+    if (city) {
+      const cities = s ? City.getCitiesOfState(c.isoCode, s.isoCode) : City.getCitiesOfCountry(c.isoCode);
+      const match = centroid(cities.find((ct) => sameName(ct.name, city)), "city");
+      if (match) return match;
+    }
+    return centroid(s, "region") || centroid(c, "country");
+  },
+};
+
+const PROVIDERS = { nominatim: nominatimProvider, offline: offlineProvider };
+
+const activeProviders = () =>
+  (process.env.GEOCODER_PROVIDERS || "nominatim,offline")
+    .split(",")
+    .map((p) => p.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      if (!PROVIDERS[name]) throw new Error(`Unknown geocoder provider "${name}"`);
+      return PROVIDERS[name];
+    });
+
+/* ------------------------------------------------------------
+   CACHE
+------------------------------------------------------------ */
+const readCache = async (key) => {
+  const result = await pool.query(
+    `UPDATE geocode_cache SET hits = hits + 1
+     WHERE query_key = $1 AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING provider, lat, lng, precision, display_name`,
+    [key]
+  );
+  return result.rows[0] || null;
+};
+
+const writeCache = async (key, provider, found, ttlDays = null) => {
+  await pool.query(
+    `INSERT INTO geocode_cache (query_key, provider, lat, lng, precision, display_name, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7::int IS NULL THEN NULL ELSE NOW() + $7::int * INTERVAL '1 day' END)
+     ON CONFLICT (query_key) DO UPDATE
+     SET provider = EXCLUDED.provider, lat = EXCLUDED.lat, lng = EXCLUDED.lng,
+         precision = EXCLUDED.precision, display_name = EXCLUDED.display_name,
+         expires_at = EXCLUDED.expires_at, updated_at = NOW()`,
+    [key, provider, found?.lat ?? null, found?.lng ?? null, found?.precision ?? null, found?.display_name ?? null, ttlDays]
+  );
+};
+
+/* ------------------------------------------------------------
+   ENTRY POINT
+   -> { lat, lng, precision, provider, cached } | null
+------------------------------------------------------------ */
+export const geocodeAddress = async ({ address, city, state, country, zip } = {}) => {
+  const query = { address, city, state, country, zip };
+  const key = geocodeCacheKey(query);
+  if (!key.replace(/\|/g, "")) return null;
+
+  const cached = await readCache(key).catch((e) => {
+    console.warn("⚠ Geocode cache read failed:", e.message);
+    return null;
+  });
+  if (cached) {
+    if (!isValidCoordinate(cached.lat, cached.lng)) return null;
+    return { lat: cached.lat, lng: cached.lng, precision: cached.precision, provider: cached.provider, cached: true };
+  }
+
+  let outage = false;
+  for (const provider of activeProviders()) {
+    let found;
+    try {
+      found = await provider.geocode(query);
+    } catch (err) {
+      outage = true;
+      console.error(`❌ Geocoding via ${provider.name} failed:`, err.message);
+      continue;
+    }
+    if (!found || !isValidCoordinate(found.lat, found.lng)) continue;
+
+    console.log(`✅ Location found via ${provider.name} (${found.precision}):`, found.display_name);
+    // Don't pin a coarse fallback forever just because the online provider was down
+    if (!outage) {
+      await writeCache(key, provider.name, found, provider === offlineProvider ? FALLBACK_TTL_DAYS : null)
+        .catch((e) => console.warn("⚠ Geocode cache write failed:", e.message));
+    }
+    return { lat: found.lat, lng: found.lng, precision: found.precision, provider: provider.name, cached: false };
+  }
+
+  // Nothing matched only because providers were down -> let the job retry
+  if (outage) throw new Error("Geocoding providers are unavailable");
+
+  await writeCache(key, "none", null, NOT_FOUND_TTL_DAYS)
+    .catch((e) => console.warn("⚠ Geocode cache write failed:", e.message));
+  return null;
+};
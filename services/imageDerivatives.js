@@ -0,0 +1,107 @@
+import sharp from "sharp";
+
+/* ============================================================
+   IMAGE DERIVATIVES
+   Every listing photo is re-encoded into fixed sizes, each in
+   WebP and JPEG. The original is never stored: re-encoding drops
+   EXIF/GPS/XMP metadata (after applying the EXIF rotation), so an
+   owner's phone location never leaks through a listing photo.
+============================================================ */
+export const PHOTO_VARIANTS = {
+  thumbnail: 320,
+  card: 800,
+  full: 1920,
+};
+
+export const PHOTO_FORMATS = {
+  webp: { mimetype: "image/webp", encode: (img) => img.webp({ quality: 80 }) },
+  jpeg: { mimetype: "image/jpeg", encode: (img) => img.jpeg({ quality: 82, mozjpeg: true }) },
+};
+
+// Thrown for files sharp cannot decode; retrying will not help
+const notAnImage = (err) => {
+  const wrapped = new Error(`Unsupported or corrupt image: ${err.message}`);
+  wrapped.permanent = true;
+  return wrapped;
+};
+
+/**
+ * Builds all size/format combinations for one uploaded photo.
+ * Returns [{ variant, format, mimetype, buffer, width, height }].
+ */
+export const buildPhotoDerivatives = async (buffer) => {
+  let base;
+  try {
+    // rotate() with no args bakes in the EXIF orientation before it is dropped
+    base = await sharp(buffer, { failOn: "error" }).rotate().toBuffer();
+  } catch (err) {
+    throw notAnImage(err);
+  }
+
+  const outputs = [];
+  for (const [variant, width] of Object.entries(PHOTO_VARIANTS)) {
+    for (const [format, spec] of Object.entries(PHOTO_FORMATS)) {
+      const resized = sharp(base).resize({ width, height: width, fit: "inside", withoutEnlargement: true });
+      const { data, info } = await spec.encode(resized).toBuffer({ resolveWithObject: true });
+      outputs.push({ variant, format, mimetype: spec.mimetype, buffer: data, width: info.width, height: info.height });
+    }
+  }
+  return outputs;
+};
+
+// Every stored public_id behind a photo object (legacy photos have one)
+export const photoAssetIds = (photo) => {
+  if (!photo) return [];
+  const ids = new Set(photo.public_id ? [photo.public_id] : []);
+  for (const sizes of Object.values(photo.variants || {})) {
+    for (const format of Object.keys(PHOTO_FORMATS)) {
+      if (sizes?.[format]?.public_id) ids.add(sizes[format].public_id);
+    }
+  }
+  return [...ids];
+};
+
+/**
+ * Public shape of a stored photo:
+ * { url, type, width, height, variants: { thumbnail: { width, height, webp, jpeg }, card, full } }
+ * Photos uploaded before derivatives existed get every variant pointing
+ * at the original URL, so clients can always read variants.card.webp.
+ */
+export const presentPhoto = (photo) => {
+  const url = photo?.url || photo;
+  const variants = {};
+  for (const name of Object.keys(PHOTO_VARIANTS)) {
+    const stored = photo?.variants?.[name];
+    variants[name] = {
+      width: stored?.width ?? null,
+      height: stored?.height ?? null,
+      webp: stored?.webp?.url || url,
+      jpeg: stored?.jpeg?.url || url,
+    };
+  }
+  return { url, type: "image", width: photo?.width ?? null, height: photo?.height ?? null, variants };
+};
+
+/**
+ * 64-bit difference hash (dHash) as 16 hex chars. Survives resizing,
+ * re-compression and small colour edits, so a re-uploaded copy of a
+ * photo lands within a few bits of the original.
+ */
+export const photoHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, "0");
+};
@@ -0,0 +1,351 @@
+import os from "os";
+import { EventEmitter } from "events";
+import { pool } from "../db.js";
+
+/* ============================================================
+   JOB QUEUE (Postgres-backed)
+   Durable background work that survives restarts and crashes.
+   - Jobs are rows in `jobs`; uploaded files ride along in
+     `job_files` until the job completes.
+   - Workers claim with FOR UPDATE SKIP LOCKED, so several
+     processes can share the queue. Jobs for the same listing
+     run one at a time, oldest first.
+   - Failures retry with exponential backoff; after max_attempts
+     (or a `permanent` error) the job is parked as 'dead'.
+   - Handlers must be idempotent. ctx.step() checkpoints each
+     unit of work so a retry skips what already succeeded.
+   Statuses: queued -> running -> completed | queued (retry) | dead
+   Lifecycle events are published on `jobEvents`:
+     step        (job, key, value)   a ctx.step() finished
+     step_failed (job, key, err)     a ctx.step() threw
+     completed   (job, result)
+     failed      (job, err, { dead, retryAt })
+============================================================ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = 2000;
+const CONCURRENCY = 2;
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_AFTER = "2 minutes"; // No heartbeat for this long -> worker died
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+export const DEFAULT_MAX_ATTEMPTS = 5;
+
+const handlers = new Map();
+
+export const jobEvents = new EventEmitter();
+
+// Listener errors must never take down the worker
+const publish = (event, ...args) => {
+  try {
+    jobEvents.emit(event, ...args);
+  } catch (err) {
+    console.error(`❌ Job event listener (${event}) failed:`, err.message);
+  }
+};
+
+/* ------------------------------------------------------------
+   REGISTRATION
+   handler: { run(ctx), onDead?(job, err) }
+------------------------------------------------------------ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/* ------------------------------------------------------------
+   ENQUEUE
+   `files` takes multer's req.files shape ({ photos: [file, ...] }).
+   Pass `client` to enqueue inside the caller's transaction.
+   With an idempotencyKey, enqueueing twice returns the first job.
+------------------------------------------------------------ */
+export const enqueueJob = async (type, {
+  listingId = null,
+  payload = {},
+  files = null,
+  idempotencyKey = null,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  runAt = null,
+  client = null,
+} = {}) => {
+  const db = client || await pool.connect();
+  const ownsClient = !client;
+
+  try {
+    if (ownsClient) await db.query("BEGIN");
+
+    const inserted = await db.query(
+      `INSERT INTO jobs (type, listing_id, payload, idempotency_key, max_attempts, run_at)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamptz, NOW()))
+       ON CONFLICT (idempotency_key) DO NOTHING
+       RETURNING *`,
+      [type, listingId, JSON.stringify(payload), idempotencyKey, maxAttempts, runAt]
+    );
+
+    let job = inserted.rows[0];
+    if (!job) {
+      const existing = await db.query(`SELECT * FROM jobs WHERE idempotency_key = $1`, [idempotencyKey]);
+      job = existing.rows[0];
+    } else if (files) {
+      for (const [field, list] of Object.entries(files)) {
+        for (let i = 0; i < (list || []).length; i++) {
+          const f = list[i];
+          await db.query(
+            `INSERT INTO job_files (job_id, field, position, original_name, mime_type, size, data)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [job.id, field, i, f.originalname, f.mimetype, f.size, f.buffer]
+          );
+        }
+      }
+    }
+
+    if (ownsClient) await db.query("COMMIT");
+    return job;
+  } catch (err) {
+    if (ownsClient) await db.query("ROLLBACK");
+    throw err;
+  } finally {
+    if (ownsClient) db.release();
+  }
+};
+
+// Rebuilds the multer-style { field: [file, ...] } object for a job
+const loadJobFiles = async (jobId) => {
+  const result = await pool.query(
+    `SELECT field, original_name, mime_type, size, data FROM job_files WHERE job_id = $1 ORDER BY field, position`,
+    [jobId]
+  );
+  const files = {};
+  for (const row of result.rows) {
+    if (!files[row.field]) files[row.field] = [];
+    files[row.field].push({
+      fieldname: row.field,
+      originalname: row.original_name,
+      mimetype: row.mime_type,
+      size: row.size,
+      buffer: row.data,
+    });
+  }
+  return files;
+};
+
+/* ------------------------------------------------------------
+   QUERIES
+------------------------------------------------------------ */
+const JOB_COLUMNS = `id, type, listing_id, status, attempts, max_attempts, run_at,
+  last_error, progress, step_errors, result, created_at, updated_at, completed_at`;
+
+export const getListingJobs = async (listingId) => {
+  const result = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM jobs WHERE listing_id = $1 ORDER BY created_at DESC`,
+    [listingId]
+  );
+  return result.rows;
+};
+
+export const getJobs = async ({ status = null, limit = 100 } = {}) => {
+  const result = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM jobs
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  return result.rows;
+};
+
+// Puts a dead job back in the queue with a fresh set of attempts
+export const retryJob = async (jobId) => {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'queued', attempts = 0, run_at = NOW(), last_error = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'dead'
+     RETURNING ${JOB_COLUMNS}`,
+    [jobId]
+  );
+  return result.rows[0] || null;
+};
+
+/* ------------------------------------------------------------
+   WORKER
+------------------------------------------------------------ */
+const backoffMs = (attempts) => {
+  const base = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(base * (0.8 + Math.random() * 0.4)); // ±20% jitter
+};
+
+const claimJob = async () => {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_by = $1, locked_at = NOW(), updated_at = NOW()
+     WHERE id = (
+       SELECT j.id FROM jobs j
+       WHERE j.status = 'queued' AND j.run_at <= NOW()
+         AND (j.listing_id IS NULL OR NOT EXISTS (
+           SELECT 1 FROM jobs e
+           WHERE e.listing_id = j.listing_id AND e.id < j.id AND e.status IN ('queued', 'running')
+         ))
+         AND (j.listing_id IS NULL OR NOT EXISTS (
+           SELECT 1 FROM jobs r WHERE r.listing_id = j.listing_id AND r.status = 'running'
+         ))
+       ORDER BY j.run_at, j.id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [WORKER_ID]
+  );
+  return result.rows[0] || null;
+};
+
+// Records a failed attempt: back in the queue with backoff, or 'dead'
+// (then the handler's onDead runs) once attempts are used up
+const failJob = async (job, handler, err) => {
+  const dead = err.permanent || job.attempts >= job.max_attempts;
+  console.error(`❌ Job #${job.id} (${job.type}) attempt ${job.attempts} failed:`, err.message);
+
+  const updated = await pool.query(
+    `UPDATE jobs
+     SET status = $1, last_error = $2, locked_by = NULL, locked_at = NULL,
+         run_at = NOW() + ($3::int * INTERVAL '1 millisecond'), updated_at = NOW()
+     WHERE id = $4
+     RETURNING run_at`,
+    [dead ? "dead" : "queued", err.message, dead ? 0 : backoffMs(job.attempts), job.id]
+  );
+  publish("failed", job, err, { dead, retryAt: dead ? null : updated.rows[0]?.run_at || null });
+
+  if (dead && handler?.onDead) {
+    try {
+      await handler.onDead(job, err);
+    } catch (hookErr) {
+      console.error(`❌ onDead hook for job #${job.id} failed:`, hookErr.message);
+    }
+  }
+};
+
+// Jobs whose worker stopped heart-beating go back in the queue; a job
+// that already used its last attempt (e.g. it crashed the worker every
+// time) is failed like any other, so it ends up dead instead of looping
+const recoverStaleJobs = async () => {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'queued', locked_by = NULL, locked_at = NULL, run_at = NOW(),
+         last_error = 'Worker stopped before finishing', updated_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - INTERVAL '${STALE_AFTER}'
+       AND attempts < max_attempts
+     RETURNING id`
+  );
+  if (result.rows.length) console.warn(`♻️ Re-queued ${result.rows.length} stale jobs`);
+
+  // Re-lock exhausted ones first so only one worker fails each of them
+  const exhausted = await pool.query(
+    `UPDATE jobs SET locked_by = $1, locked_at = NOW(), updated_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - INTERVAL '${STALE_AFTER}'
+       AND attempts >= max_attempts
+     RETURNING *`,
+    [WORKER_ID]
+  );
+  for (const job of exhausted.rows) {
+    await failJob(job, handlers.get(job.type), new Error("Worker stopped before finishing"));
+  }
+};
+
+const makeContext = (job) => {
+  const progress = { ...(job.progress || {}) };
+  return {
+    job,
+    payload: job.payload || {},
+    files: () => loadJobFiles(job.id),
+    progress,
+    // Runs fn once per key across attempts; the result is persisted.
+    // A failure is recorded in step_errors and rethrown.
+    step: async (key, fn) => {
+      if (Object.prototype.hasOwnProperty.call(progress, key)) return progress[key];
+      let value;
+      try {
+        value = (await fn()) ?? null;
+      } catch (err) {
+        await pool.query(
+          `UPDATE jobs SET step_errors = step_errors || jsonb_build_object($1::text, $2::text), updated_at = NOW() WHERE id = $3`,
+          [key, err.message, job.id]
+        ).catch(() => {});
+        publish("step_failed", job, key, err);
+        throw err;
+      }
+      progress[key] = value;
+      await pool.query(
+        `UPDATE jobs
+         SET progress = progress || jsonb_build_object($1::text, $2::jsonb),
+             step_errors = step_errors - $1::text, updated_at = NOW()
+         WHERE id = $3`,
+        [key, JSON.stringify(value), job.id]
+      );
+      publish("step", job, key, value);
+      return value;
+    },
+  };
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  const heartbeat = setInterval(() => {
+    pool.query(`UPDATE jobs SET locked_at = NOW() WHERE id = $1 AND locked_by = $2`, [job.id, WORKER_ID]).catch(() => {});
+  }, HEARTBEAT_MS);
+
+  try {
+    if (!handler) {
+      const err = new Error(`No handler registered for job type "${job.type}"`);
+      err.permanent = true;
+      throw err;
+    }
+
+    const result = await handler.run(makeContext(job));
+
+    await pool.query(
+      `UPDATE jobs
+       SET status = 'completed', result = $1, locked_by = NULL, locked_at = NULL,
+           completed_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [JSON.stringify(result ?? null), job.id]
+    );
+    await pool.query(`DELETE FROM job_files WHERE job_id = $1`, [job.id]);
+    console.log(`✅ Job #${job.id} (${job.type}) completed`);
+    publish("completed", job, result ?? null);
+  } catch (err) {
+    await failJob(job, handler, err);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+let active = 0;
+let polling = false;
+let started = false;
+
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+  try {
+    await recoverStaleJobs();
+    while (active < CONCURRENCY) {
+      const job = await claimJob();
+      if (!job) break;
+      active++;
+      runJob(job).finally(() => {
+        active--;
+        setImmediate(poll); // A slot freed up -> look for more work now
+      });
+    }
+  } catch (err) {
+    console.error("❌ Job worker poll failed:", err.message);
+  } finally {
+    polling = false;
+  }
+};
+
+export const startJobWorker = () => {
+  if (started) return;
+  started = true;
+  setInterval(poll, POLL_INTERVAL_MS).unref();
+  poll();
+  console.log(`🛠️ Job worker ${WORKER_ID} started`);
+};
@@ -0,0 +1,164 @@
+import { pool } from "../db.js";
+import { enqueueJob } from "./jobQueue.js";
+import { LISTING_JOBS } from "./listingJobs.js";
+import { photoAssetIds } from "./imageDerivatives.js";
+import { deleteListingPhotoHashes } from "./photoHashService.js";
+import { attachmentAssets } from "./listingAttachmentService.js";
+import { PUBLIC_STATES, ListingStatusError, transitionListingStatus } from "./listingLifecycle.js";
+
+/* ============================================================
+   ARCHIVE / RESTORE (soft delete)
+   Deleting a listing archives it: it leaves search and the
+   dashboards, but the row stays so favorites and applications
+   still resolve. Owners can restore it for RESTORE_WINDOW_DAYS
+   (admins until the purge runs); a scheduled task then deletes
+   its media and keeps the row as a tombstone.
+============================================================ */
+export const RESTORE_WINDOW_DAYS = parseInt(process.env.LISTING_RESTORE_DAYS, 10) || 30;
+const PURGE_BATCH = 100;
+
+// Every stored file of a listing row (photos with their derivatives, video, tour);
+// attachments live in listing_attachments
+export const listingMediaAssets = (listing) => {
+  let photos = [];
+  try {
+    photos = typeof listing.photos === "string" ? JSON.parse(listing.photos || "[]") : listing.photos || [];
+  } catch { photos = []; }
+
+  const assets = [];
+  photos.forEach((p) => {
+    photoAssetIds(p).forEach((public_id) => assets.push({ public_id, type: "image" }));
+  });
+  if (listing.video_public_id) assets.push({ public_id: listing.video_public_id, type: "video" });
+  if (listing.virtual_tour_public_id) assets.push({ public_id: listing.virtual_tour_public_id, type: "video" });
+  return assets;
+};
+
+/**
+ * Archives a listing from any state. Remembers where it came from
+ * (SET expressions see the row before the update) for restoreListing.
+ */
+export const archiveListing = ({ productId, actor, actorId, reason = null }) =>
+  transitionListingStatus({
+    productId,
+    to: (from) => {
+      if (from === "archived") throw new ListingStatusError("Listing is already archived", 409, "ALREADY_ARCHIVED");
+      return "archived";
+    },
+    actor, actorId, reason: reason || "deleted",
+    set: { is_active: false, archived_by: actorId },
+    setSql: `archived_from_status = status, archived_was_active = is_active, archived_at = NOW(),
+      purge_after = NOW() + make_interval(days => ${RESTORE_WINDOW_DAYS}), media_purged_at = NULL`,
+  });
+
+// State to restore into: where it was, unless its paid period ran out meanwhile
+const restoreTarget = (row) => {
+  const from = row.archived_from_status;
+  if (!from || from === "archived") return "pending";
+  if (from === "processing") return "draft"; // Its processing job may have been dropped; resubmit
+  if (PUBLIC_STATES.includes(from) && row.expires_at && new Date(row.expires_at) <= new Date()) return "expired";
+  return from;
+};
+
+/**
+ * Restores an archived listing. Owners only inside the restore
+ * window; admins any time before the media purge.
+ */
+export const restoreListing = async ({ productId, actor, actorId, isAdmin = false }) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const found = await client.query(
+      `SELECT status, archived_from_status, archived_was_active, expires_at, purge_after, media_purged_at
+       FROM listings WHERE product_id = $1 FOR UPDATE`,
+      [productId]
+    );
+    const row = found.rows[0];
+    if (!row) throw new ListingStatusError("Listing not found", 404, "LISTING_NOT_FOUND");
+    if (row.status !== "archived") throw new ListingStatusError("Listing is not archived", 409, "NOT_ARCHIVED");
+    if (row.media_purged_at) {
+      throw new ListingStatusError("This listing was permanently removed and can no longer be restored", 410, "LISTING_PURGED");
+    }
+    if (!isAdmin && row.purge_after && new Date(row.purge_after) <= new Date()) {
+      throw new ListingStatusError("The restore window for this listing has passed", 410, "RESTORE_WINDOW_CLOSED");
+    }
+
+    const target = restoreTarget(row);
+    const listing = await transitionListingStatus({
+      productId, to: target, actor, actorId, reason: "restored",
+      set: { is_active: PUBLIC_STATES.includes(target) && row.archived_was_active === true },
+      setSql: `archived_at = NULL, archived_by = NULL, archived_from_status = NULL,
+        archived_was_active = NULL, purge_after = NULL`,
+      db: client,
+    });
+    await client.query("COMMIT");
+    return listing;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Scheduled: deletes the media of listings whose restore window has
+ * passed. Each listing is re-checked under lock, so a restore that
+ * races the purge wins or loses cleanly.
+ */
+export const purgeArchivedListings = async () => {
+  const due = await pool.query(
+    `SELECT product_id FROM listings
+     WHERE status = 'archived' AND media_purged_at IS NULL AND purge_after <= NOW()
+     ORDER BY purge_after ASC
+     LIMIT ${PURGE_BATCH}`
+  );
+
+  let purged = 0;
+  for (const { product_id } of due.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const locked = await client.query(
+        `SELECT product_id, photos, video_public_id, virtual_tour_public_id
+         FROM listings
+         WHERE product_id = $1 AND status = 'archived' AND media_purged_at IS NULL AND purge_after <= NOW()
+         FOR UPDATE`,
+        [product_id]
+      );
+      if (!locked.rows.length) {
+        await client.query("ROLLBACK");
+        continue;
+      }
+
+      const attachments = await client.query(
+        `DELETE FROM listing_attachments WHERE product_id = $1 RETURNING public_id, resource_type`,
+        [product_id]
+      );
+      const assets = [...listingMediaAssets(locked.rows[0]), ...attachmentAssets(attachments.rows)];
+      // Cleanup job is queued in the same transaction: no orphaned files on a crash
+      if (assets.length) {
+        await enqueueJob(LISTING_JOBS.CLEANUP_MEDIA, { listingId: product_id, payload: { assets }, client });
+      }
+      await deleteListingPhotoHashes(product_id, client);
+      await client.query("DELETE FROM listing_duplicate_flags WHERE product_id=$1 OR duplicate_of=$1", [product_id]);
+      await client.query("DELETE FROM listing_photo_flags WHERE product_id=$1 OR duplicate_of=$1", [product_id]);
+      await client.query(
+        `UPDATE listings
+         SET photos = '[]', video_url = NULL, video_public_id = NULL,
+             virtual_tour_url = NULL, virtual_tour_public_id = NULL, media_purged_at = NOW()
+         WHERE product_id = $1`,
+        [product_id]
+      );
+      await client.query("COMMIT");
+      purged++;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(`❌ Purge of archived listing ${product_id} failed:`, err.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  return purged;
+};
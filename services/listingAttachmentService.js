@@ -0,0 +1,288 @@
+import { pool } from "../db.js";
+import { deliverListingAsset, makeListingAssetPrivate, deleteListingAsset } from "./mediaService.js";
+
+/* ============================================================
+   LISTING ATTACHMENTS
+   Typed documents on a listing (floor plan, survey, brochure,
+   title document), uploaded through listing create/update and
+   stored by the processing jobs. Each one has a visibility:
+     public               everyone
+     logged_in            any signed-in user
+     approved_applicants  users whose application was approved
+   The owner and admins always see everything. Viewers who may
+   not open an attachment get it listed as locked, without url.
+   Files sit in private storage; `url` is the API endpoint that
+   re-checks visibility on every open, so a changed visibility
+   applies at once.
+============================================================ */
+export const ATTACHMENT_KINDS = ["floor_plan", "survey", "brochure", "title_document"];
+export const ATTACHMENT_VISIBILITIES = ["public", "logged_in", "approved_applicants"];
+export const ATTACHMENT_MIME_TYPES = ["application/pdf", "image/jpeg", "image/png", "image/webp"];
+export const MAX_LISTING_ATTACHMENTS = 10;
+const MAX_TITLE_LENGTH = 120;
+const PRIVATIZE_BATCH = 50;
+
+// Title documents are private unless the owner says otherwise
+const DEFAULT_VISIBILITY = { title_document: "approved_applicants" };
+
+export class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const parseJson = (value, field) => {
+  if (value === undefined || value === null || value === "") return [];
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new AttachmentError(`${field} must be JSON`);
+  }
+};
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+const cleanTitle = (title) => {
+  if (title === undefined || title === null || title === "") return null;
+  const t = String(title).trim();
+  if (t.length > MAX_TITLE_LENGTH) throw new AttachmentError(`Attachment titles can be at most ${MAX_TITLE_LENGTH} characters`);
+  return t || null;
+};
+
+const checkKind = (kind) => {
+  if (!ATTACHMENT_KINDS.includes(kind)) {
+    throw new AttachmentError(`Attachment kind must be one of: ${ATTACHMENT_KINDS.join(", ")}`);
+  }
+  return kind;
+};
+
+const checkVisibility = (visibility) => {
+  if (!ATTACHMENT_VISIBILITIES.includes(visibility)) {
+    throw new AttachmentError(`Attachment visibility must be one of: ${ATTACHMENT_VISIBILITIES.join(", ")}`);
+  }
+  return visibility;
+};
+
+/**
+ * Metadata for the uploaded `attachments` files, from `attachments_meta`
+ * (a JSON array in file order: [{ kind, title?, visibility? }]).
+ * Returns one { kind, title, visibility } per file.
+ */
+export const parseNewAttachments = (body = {}, files = {}) => {
+  const uploads = files?.attachments || [];
+  const meta = asList(parseJson(body.attachments_meta ?? body.attachmentsMeta, "attachments_meta"));
+  if (!uploads.length) {
+    if (meta.length) throw new AttachmentError("attachments_meta was sent without attachment files");
+    return [];
+  }
+  if (uploads.length > MAX_LISTING_ATTACHMENTS) {
+    throw new AttachmentError(`A listing can have at most ${MAX_LISTING_ATTACHMENTS} attachments`);
+  }
+  if (meta.length !== uploads.length) {
+    throw new AttachmentError("Send one attachments_meta entry per attachment file");
+  }
+
+  return uploads.map((file, i) => {
+    if (!ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+      throw new AttachmentError(`"${file.originalname}" is not a PDF or image`);
+    }
+    const kind = checkKind(meta[i]?.kind);
+    return {
+      kind,
+      title: cleanTitle(meta[i]?.title),
+      visibility: checkVisibility(meta[i]?.visibility || DEFAULT_VISIBILITY[kind] || "public"),
+    };
+  });
+};
+
+/**
+ * Changes to existing attachments on update:
+ *   removeAttachments  [id, ...]
+ *   attachmentUpdates  [{ id, kind?, title?, visibility? }, ...]
+ */
+export const parseAttachmentChanges = (body = {}) => {
+  const remove = asList(parseJson(body.removeAttachments ?? body.remove_attachments, "removeAttachments"))
+    .map((id) => parseInt(id, 10));
+  if (remove.some((id) => !Number.isInteger(id))) throw new AttachmentError("removeAttachments must be attachment ids");
+
+  const updates = asList(parseJson(body.attachmentUpdates ?? body.attachment_updates, "attachmentUpdates"))
+    .map((u) => {
+      const id = parseInt(u?.id, 10);
+      if (!Number.isInteger(id)) throw new AttachmentError("Every attachment update needs an id");
+      return {
+        id,
+        ...(u.kind !== undefined && { kind: checkKind(u.kind) }),
+        ...(u.title !== undefined && { title: cleanTitle(u.title) }),
+        ...(u.visibility !== undefined && { visibility: checkVisibility(u.visibility) }),
+      };
+    });
+
+  return { remove, updates };
+};
+
+/**
+ * Applies removals/updates inside the caller's transaction and checks the
+ * per-listing limit with `adding` new files. Returns the removed rows; their
+ * files are deleted from storage by the update job.
+ */
+export const applyAttachmentChanges = async (db, productId, { remove = [], updates = [] }, adding = 0) => {
+  const current = await db.query(
+    `SELECT id, public_id, resource_type FROM listing_attachments WHERE product_id = $1 FOR UPDATE`,
+    [productId]
+  );
+  const ids = new Set(current.rows.map((a) => a.id));
+  const unknown = [...remove, ...updates.map((u) => u.id)].filter((id) => !ids.has(id));
+  if (unknown.length) throw new AttachmentError(`Unknown attachment id(s): ${[...new Set(unknown)].join(", ")}`, 404);
+
+  const removed = current.rows.filter((a) => remove.includes(a.id));
+  if (current.rows.length - removed.length + adding > MAX_LISTING_ATTACHMENTS) {
+    throw new AttachmentError(`A listing can have at most ${MAX_LISTING_ATTACHMENTS} attachments`);
+  }
+
+  if (removed.length) {
+    await db.query(`DELETE FROM listing_attachments WHERE id = ANY($1)`, [removed.map((a) => a.id)]);
+  }
+  for (const { id, ...fields } of updates) {
+    const keys = Object.keys(fields);
+    if (!keys.length || remove.includes(id)) continue;
+    await db.query(
+      `UPDATE listing_attachments
+       SET ${keys.map((k, i) => `${k} = $${i + 2}`).join(", ")}, updated_at = NOW()
+       WHERE id = $1`,
+      [id, ...keys.map((k) => fields[k])]
+    );
+  }
+  return removed;
+};
+
+// Stores uploaded attachments; rows already saved by an earlier job attempt are skipped
+export const saveListingAttachments = async (productId, uploaded, uploadedBy = null) => {
+  if (!uploaded.length) return;
+  const start = await pool.query(
+    `SELECT COALESCE(MAX(position) + 1, 0)::int as next FROM listing_attachments WHERE product_id = $1`,
+    [productId]
+  );
+  for (let i = 0; i < uploaded.length; i++) {
+    const a = uploaded[i];
+    await pool.query(
+      `INSERT INTO listing_attachments
+         (product_id, kind, title, visibility, url, public_id, resource_type, mime_type, original_name, size_bytes, position, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (public_id) DO NOTHING`,
+      [productId, a.kind, a.title, a.visibility, a.url, a.public_id, a.resource_type,
+       a.mime_type, a.original_name, a.size_bytes, start.rows[0].next + i, uploadedBy]
+    );
+  }
+};
+
+// Storage assets of a listing's attachments, in the CLEANUP_MEDIA shape
+export const attachmentAssets = (rows) =>
+  rows.map((a) => ({ public_id: a.public_id, type: a.resource_type }));
+
+// Endpoint that serves one attachment (see getAttachmentDelivery)
+export const attachmentPath = (productId, id) =>
+  `/api/listings/${encodeURIComponent(productId)}/attachments/${id}`;
+
+// Visibility check for `user` over a listing's attachment rows;
+// the approved-application lookup only runs when one needs it
+const accessChecker = async (productId, rows, { user, privileged }) => {
+  let approved = privileged;
+  if (!approved && user?.unique_id && rows.some((a) => a.visibility === "approved_applicants")) {
+    const app = await pool.query(
+      `SELECT 1 FROM applications WHERE listing_id = $1 AND buyer_id = $2 AND status = 'approved' LIMIT 1`,
+      [productId, user.unique_id]
+    );
+    approved = app.rows.length > 0;
+  }
+
+  return (visibility) =>
+    privileged ||
+    visibility === "public" ||
+    (visibility === "logged_in" && !!user?.unique_id) ||
+    (visibility === "approved_applicants" && approved);
+};
+
+/**
+ * A listing's attachments as `user` may see them. `privileged` is the
+ * owner/admin check done by the caller.
+ */
+export const getListingAttachments = async (productId, { user = null, privileged = false } = {}) => {
+  const result = await pool.query(
+    `SELECT id, kind, title, visibility, mime_type, original_name, size_bytes, created_at
+     FROM listing_attachments
+     WHERE product_id = $1
+     ORDER BY position, id`,
+    [productId]
+  );
+  if (!result.rows.length) return [];
+
+  const canOpen = await accessChecker(productId, result.rows, { user, privileged });
+  return result.rows.map(({ original_name, size_bytes, ...a }) =>
+    canOpen(a.visibility)
+      ? { ...a, url: attachmentPath(productId, a.id), original_name, size_bytes, locked: false }
+      : { ...a, url: null, locked: true }
+  );
+};
+
+/**
+ * How to serve one attachment to `user`: { redirect } (short-lived signed
+ * URL) or { file } (local path), plus the attachment row. The caller checks
+ * that the listing itself is visible to the user.
+ */
+export const getAttachmentDelivery = async (productId, attachmentId, { user = null, privileged = false } = {}) => {
+  const id = parseInt(attachmentId, 10);
+  const result = Number.isInteger(id)
+    ? await pool.query(
+        `SELECT id, visibility, url, public_id, resource_type, mime_type, original_name
+         FROM listing_attachments WHERE product_id = $1 AND id = $2`,
+        [productId, id]
+      )
+    : { rows: [] };
+  const attachment = result.rows[0];
+  if (!attachment) throw new AttachmentError("Attachment not found", 404);
+
+  const canOpen = await accessChecker(productId, [attachment], { user, privileged });
+  if (!canOpen(attachment.visibility)) {
+    throw user?.unique_id
+      ? new AttachmentError("You don't have access to this document", 403)
+      : new AttachmentError("Sign in to open this document", 401);
+  }
+
+  // Uploaded before private storage; privatizeLegacyAttachments moves it
+  if (attachment.url) return { redirect: attachment.url, attachment };
+
+  const delivery = await deliverListingAsset(attachment.public_id, {
+    resourceType: attachment.resource_type, mimeType: attachment.mime_type
+  });
+  return { ...delivery, attachment };
+};
+
+/**
+ * Scheduled: moves attachments uploaded to public storage (rows that still
+ * have a url) into private storage, a batch at a time.
+ */
+export const privatizeLegacyAttachments = async () => {
+  const legacy = await pool.query(
+    `SELECT id, public_id, resource_type FROM listing_attachments WHERE url IS NOT NULL ORDER BY id LIMIT $1`,
+    [PRIVATIZE_BATCH]
+  );
+
+  let moved = 0;
+  for (const a of legacy.rows) {
+    try {
+      const publicId = await makeListingAssetPrivate(a.public_id, a.resource_type);
+      const updated = await pool.query(
+        `UPDATE listing_attachments SET public_id = $2, url = NULL, updated_at = NOW() WHERE id = $1`,
+        [a.id, publicId]
+      );
+      // Removed meanwhile: its cleanup job looked for the old id
+      if (!updated.rowCount) await deleteListingAsset(publicId, a.resource_type);
+      moved++;
+    } catch (err) {
+      console.error(`❌ Moving attachment ${a.id} to private storage failed:`, err.message);
+    }
+  }
+  return moved;
+};
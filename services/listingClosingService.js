@@ -0,0 +1,188 @@
+import { pool } from "../db.js";
+import { getRate } from "../utils/exchangeRates.js";
+import { createNotification } from "./notificationService.js";
+import { presentPhoto } from "./imageDerivatives.js";
+import { ACTORS, transitionListingStatus } from "./listingLifecycle.js";
+
+/* ============================================================
+   CLOSING A LISTING (sold / rented)
+   The owner records the final price, currency, date and
+   optionally the buyer's/tenant's account. The listing moves to
+   'sold'/'rented' (out of search) and a listing_closings row is
+   kept for the agent's track record and market statistics.
+============================================================ */
+export const CLOSING_OUTCOMES = ["sold", "rented"];
+
+export class ClosingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const isoDate = (d) => d.toISOString().slice(0, 10);
+
+/**
+ * Validates the request body against the listing.
+ * Returns { outcome, price, currency, closedOn }.
+ */
+export const parseClosing = (body = {}, listing) => {
+  const outcome = String(body.outcome || body.status || "").toLowerCase();
+  if (!CLOSING_OUTCOMES.includes(outcome)) {
+    throw new ClosingError(`outcome must be one of: ${CLOSING_OUTCOMES.join(", ")}`);
+  }
+
+  const price = Number(body.price ?? body.closing_price);
+  if (!Number.isFinite(price) || price <= 0) throw new ClosingError("A final price greater than 0 is required");
+
+  const currency = String(body.currency || body.closing_currency || listing.price_currency || "USD").trim().toUpperCase();
+  // getRate falls back to 1 for currencies it doesn't know
+  if (currency !== "USD" && getRate(currency) === 1) throw new ClosingError(`Unsupported currency "${currency}"`);
+
+  const today = isoDate(new Date());
+  const closedOn = body.closed_on || body.date || today;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(closedOn) || Number.isNaN(Date.parse(closedOn))) {
+    throw new ClosingError("closed_on must be a date (YYYY-MM-DD)");
+  }
+  if (closedOn > today) throw new ClosingError("closed_on cannot be in the future");
+  if (listing.created_at && closedOn < isoDate(new Date(listing.created_at))) {
+    throw new ClosingError("closed_on cannot be before the listing was created");
+  }
+
+  return { outcome, price, currency, closedOn };
+};
+
+// Users with a real tie to the listing: they applied for it, or wrote to
+// its agent in a chat opened from the listing (conversation_listings)
+const CANDIDATES_SQL = `
+  SELECT a.buyer_id as unique_id FROM applications a WHERE a.listing_id = $1
+  UNION
+  SELECT CASE WHEN c.user1_id = $2 THEN c.user2_id ELSE c.user1_id END
+  FROM conversation_listings cl
+  JOIN conversations c ON c.conversation_id::text = cl.conversation_id
+  WHERE cl.product_id = $1 AND (c.user1_id = $2 OR c.user2_id = $2)
+    AND EXISTS (
+      SELECT 1 FROM messages m WHERE m.conversation_id = c.conversation_id AND m.sender_id <> $2
+    )
+`;
+
+/**
+ * Who the owner can pick as buyer/tenant, by name.
+ * The agent is never a candidate.
+ */
+export const getClosingCandidates = async (listing) => {
+  const result = await pool.query(
+    `SELECT p.unique_id, p.username, p.full_name, p.avatar_url
+     FROM (${CANDIDATES_SQL}) c
+     JOIN profiles p ON p.unique_id = c.unique_id
+     WHERE p.unique_id <> $2
+     ORDER BY p.full_name NULLS LAST, p.unique_id`,
+    [listing.product_id, listing.agent_unique_id]
+  );
+  return result.rows;
+};
+
+/**
+ * Buyer/tenant by unique_id or username, among the listing's closing
+ * candidates only; null when not given. Anyone else gets the same error
+ * whether or not the account exists.
+ */
+export const resolveCounterparty = async (value, listing) => {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const key = String(value).trim();
+  const result = await pool.query(
+    `SELECT p.unique_id
+     FROM (${CANDIDATES_SQL}) c
+     JOIN profiles p ON p.unique_id = c.unique_id
+     WHERE p.unique_id <> $2 AND (p.unique_id = $3 OR lower(p.username) = lower($3))
+     LIMIT 1`,
+    [listing.product_id, listing.agent_unique_id, key]
+  );
+  const found = result.rows[0];
+  if (!found) {
+    throw new ClosingError("The buyer/tenant must be someone who applied for or messaged you about this listing");
+  }
+  return found.unique_id;
+};
+
+/**
+ * Records the closing and moves the listing to sold/rented in one transaction,
+ * then tells the buyer/tenant (if any). Returns { listing, closing }.
+ */
+export const closeListing = async ({ listing, closing, counterpartyId = null, actor = ACTORS.OWNER, actorId, io = null }) => {
+  const client = await pool.connect();
+  let updated, record;
+  try {
+    await client.query("BEGIN");
+    updated = await transitionListingStatus({
+      productId: listing.product_id, to: closing.outcome, actor, actorId,
+      reason: `${closing.outcome} for ${closing.currency} ${closing.price} on ${closing.closedOn}`,
+      set: { is_active: false },
+      db: client
+    });
+
+    const inserted = await client.query(
+      `INSERT INTO listing_closings (
+         product_id, agent_unique_id, outcome, closing_price, closing_currency, closed_on, counterparty_id,
+         city, country, category, property_type, bedrooms, square_footage, list_price, list_currency, listed_at
+       )
+       SELECT l.product_id, l.agent_unique_id, $2, $3, $4, $5, $6,
+              l.city, l.country, l.category, l.property_type, l.bedrooms, l.square_footage,
+              l.price, l.price_currency, COALESCE(l.activated_at, l.created_at)
+       FROM listings l WHERE l.product_id = $1
+       RETURNING *`,
+      [listing.product_id, closing.outcome, closing.price, closing.currency, closing.closedOn, counterpartyId]
+    );
+    record = inserted.rows[0];
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (counterpartyId) {
+    await createNotification(io, {
+      receiverId: counterpartyId,
+      productId: listing.product_id,
+      type: "listing_closed",
+      title: closing.outcome === "sold" ? "Purchase recorded" : "Tenancy recorded",
+      message: `You were recorded as the ${closing.outcome === "sold" ? "buyer" : "tenant"} of "${listing.title}".`,
+      link: `/listing/${listing.product_id}`,
+    }).catch((e) => console.warn("⚠ Closing notification failed:", e.message));
+  }
+
+  return { listing: updated, closing: record };
+};
+
+/**
+ * An agent's "recently sold/rented" track record for their public profile.
+ * Only the latest closing per listing, and only while it is still sold/rented.
+ */
+export const getRecentClosings = async (agentId, { months = 12, limit = 20 } = {}) => {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (c.product_id)
+            c.product_id, c.outcome, c.closing_price, c.closing_currency, c.closed_on,
+            l.title, l.city, l.country, l.property_type, l.bedrooms, l.bathrooms, l.photos
+     FROM listing_closings c
+     JOIN listings l ON l.product_id = c.product_id AND l.status = c.outcome
+     WHERE c.agent_unique_id = $1 AND c.closed_on >= (CURRENT_DATE - make_interval(months => $2))
+     ORDER BY c.product_id, c.closed_on DESC, c.id DESC`,
+    [agentId, months]
+  );
+
+  return result.rows
+    .sort((a, b) => new Date(b.closed_on) - new Date(a.closed_on))
+    .slice(0, limit)
+    .map(({ photos, ...c }) => {
+      let list = [];
+      try { list = typeof photos === "string" ? JSON.parse(photos || "[]") : photos || []; } catch {}
+      return {
+        ...c,
+        closing_price: Number(c.closing_price),
+        photo: list.length ? presentPhoto(list[0]) : null,
+        label: c.outcome === "sold" ? "Recently sold" : "Recently rented",
+      };
+    });
+};
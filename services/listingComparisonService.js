@@ -0,0 +1,114 @@
+import { convertFromUSD, convertToUSD, getRate } from "../utils/exchangeRates.js";
+import { presentPhoto } from "./imageDerivatives.js";
+
+/* ============================================================
+   LISTING COMPARISON
+   Turns up to MAX_COMPARE listing rows into one side-by-side
+   table: prices in a single currency, price per sq ft, and a
+   feature matrix (every feature any of them has, present or not).
+============================================================ */
+export const MAX_COMPARE = 4;
+
+export class ComparisonError extends Error {}
+
+// "a,b,c" or ["a","b"] -> unique ids, in the order given
+export const parseCompareIds = (value) => {
+  const raw = Array.isArray(value) ? value : String(value || "").split(",");
+  const ids = [...new Set(raw.map((id) => String(id).trim()).filter(Boolean))];
+  if (ids.length < 2) throw new ComparisonError("Pick at least two listings to compare");
+  if (ids.length > MAX_COMPARE) throw new ComparisonError(`You can compare up to ${MAX_COMPARE} listings`);
+  return ids;
+};
+
+export const parseCompareCurrency = (value) => {
+  const currency = String(value || "USD").trim().toUpperCase();
+  // getRate falls back to 1 for currencies it doesn't know
+  if (currency !== "USD" && getRate(currency) === 1) {
+    throw new ComparisonError(`Unsupported currency "${currency}"`);
+  }
+  return currency;
+};
+
+const parseList = (value) => {
+  try {
+    const list = typeof value === "string" ? JSON.parse(value || "[]") : value || [];
+    return Array.isArray(list) ? list : Object.keys(list).filter((k) => list[k]);
+  } catch {
+    return [];
+  }
+};
+
+const toNumber = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+
+const convertPrice = (amount, from, to) => {
+  if (amount === null) return null;
+  if ((from || "USD") === to) return amount;
+  return Number(convertFromUSD(Number(convertToUSD(amount, from || "USD")), to));
+};
+
+/**
+ * rows: listing rows joined with the agent profile (full_name, username,
+ * avatar_url, agency_name, agent_role), in the order to show them.
+ */
+export const buildComparison = (rows, currency) => {
+  const featureNames = new Map(); // lowercase key -> display name (first spelling wins)
+  const featureSets = rows.map((row) => {
+    const keys = new Set();
+    for (const feature of parseList(row.features)) {
+      const name = String(feature).trim();
+      if (!name) continue;
+      const key = name.toLowerCase();
+      if (!featureNames.has(key)) featureNames.set(key, name);
+      keys.add(key);
+    }
+    return keys;
+  });
+
+  const listings = rows.map((row, i) => {
+    const price = toNumber(row.price);
+    const sqft = toNumber(row.square_footage);
+    const converted = convertPrice(price, row.price_currency, currency);
+    const photos = parseList(row.photos);
+
+    return {
+      product_id: row.product_id,
+      title: row.title,
+      is_archived: row.status === "archived",
+      photo: photos.length ? presentPhoto(photos[0]) : null,
+      listing_type: row.listing_type,
+      property_type: row.property_type,
+      city: row.city,
+      country: row.country,
+      price: {
+        amount: price,
+        currency: row.price_currency || "USD",
+        period: row.price_period || null,
+        converted,
+        converted_currency: currency,
+        per_sqft: converted !== null && sqft > 0 ? Math.round((converted / sqft) * 100) / 100 : null,
+      },
+      bedrooms: toNumber(row.bedrooms),
+      bathrooms: toNumber(row.bathrooms),
+      square_footage: sqft,
+      year_built: toNumber(row.year_built),
+      feature_count: featureSets[i].size,
+      agent: {
+        unique_id: row.agent_unique_id,
+        full_name: row.full_name,
+        username: row.username,
+        avatar_url: row.avatar_url,
+        agency_name: row.agency_name,
+        role: row.agent_role,
+      },
+    };
+  });
+
+  const features = [...featureNames.entries()]
+    .sort(([, a], [, b]) => a.localeCompare(b))
+    .map(([key, name]) => ({
+      name,
+      present: featureSets.map((set) => set.has(key)), // aligned with `listings`
+    }));
+
+  return { currency, listings, features };
+};
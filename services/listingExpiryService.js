@@ -0,0 +1,151 @@
+import { pool } from "../db.js";
+import { createNotification } from "./notificationService.js";
+import { sendListingExpiryEmail } from "../utils/emailService.js";
+import { ACTORS, transitionListingStatus } from "./listingLifecycle.js";
+
+/* ============================================================
+   LISTING EXPIRY
+   Every paid activation (wallet, direct payment) sets
+   expires_at = now + the listing's active period; paying again
+   while still live extends from the current expiry. The price
+   scales with the period (activationPriceUSD).
+   Scheduled tasks send "expiring soon" reminders and move
+   expired listings to 'expired' (inactive, unpaid); paying again
+   renews them back to 'approved'.
+============================================================ */
+export const DEFAULT_ACTIVE_DAYS = parseInt(process.env.LISTING_ACTIVE_DAYS, 10) || 60;
+export const MIN_ACTIVE_DAYS = 7;
+export const MAX_ACTIVE_DAYS = 365;
+
+// Days before expiry for reminder stage 1 and 2
+const REMINDERS = [
+  { stage: 1, daysLeft: 7 },
+  { stage: 2, daysLeft: 1 },
+];
+
+// Parses an agent-supplied active period; undefined when not given
+export const parseActiveDays = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const days = parseInt(value, 10);
+  if (!Number.isInteger(days) || days < MIN_ACTIVE_DAYS || days > MAX_ACTIVE_DAYS) {
+    throw new RangeError(`active_days must be between ${MIN_ACTIVE_DAYS} and ${MAX_ACTIVE_DAYS}`);
+  }
+  return days;
+};
+
+/**
+ * Price of one active period. A base fee buys DEFAULT_ACTIVE_DAYS;
+ * shorter and longer periods pay pro rata.
+ */
+export const activationPriceUSD = (baseUsd, activeDays) =>
+  Math.round(baseUsd * ((activeDays || DEFAULT_ACTIVE_DAYS) / DEFAULT_ACTIVE_DAYS) * 100) / 100;
+
+/**
+ * SET-clause fragment for any UPDATE that (re)activates a paid listing.
+ * Early renewals stack on top of the remaining time.
+ */
+export const ACTIVATION_EXPIRY_SQL = `
+  expires_at = GREATEST(COALESCE(expires_at, NOW()), NOW()) + make_interval(days => COALESCE(active_days, ${DEFAULT_ACTIVE_DAYS})),
+  expired_at = NULL,
+  expiry_reminder_stage = 0`;
+
+/* ------------------------------------------------------------
+   REMINDERS (scheduled)
+------------------------------------------------------------ */
+export const sendExpiryReminders = async ({ io } = {}) => {
+  let sent = 0;
+
+  // Latest stage first so a listing found 12h before expiry gets one reminder, not two
+  for (const { stage, daysLeft } of [...REMINDERS].reverse()) {
+    const due = await pool.query(
+      `WITH due AS (
+         UPDATE listings
+         SET expiry_reminder_stage = $1
+         WHERE is_active = true
+           AND expires_at > NOW()
+           AND expires_at <= NOW() + make_interval(days => $2)
+           AND expiry_reminder_stage < $1
+         RETURNING product_id, title, agent_unique_id, expires_at
+       )
+       SELECT due.*, p.email, p.full_name
+       FROM due LEFT JOIN profiles p ON p.unique_id = due.agent_unique_id`,
+      [stage, daysLeft]
+    );
+
+    for (const listing of due.rows) {
+      const when = daysLeft === 1 ? "within a day" : `in ${daysLeft} days`;
+      await createNotification(io, {
+        receiverId: listing.agent_unique_id,
+        productId: listing.product_id,
+        type: "listing_expiring",
+        title: "Listing expiring soon",
+        message: `"${listing.title}" expires ${when}. Renew it to keep it live.`,
+        link: `/listing/${listing.product_id}`,
+      }).catch(e => console.warn("⚠ Expiry notification failed:", e.message));
+
+      if (listing.email) await sendListingExpiryEmail(listing.email, listing.full_name, listing, { expired: false });
+      sent++;
+    }
+  }
+
+  return sent;
+};
+
+/* ------------------------------------------------------------
+   DEACTIVATION SWEEP (scheduled)
+------------------------------------------------------------ */
+// Listings still in review/processing expire once they are approved
+const EXPIRABLE_STATES = ["approved", "under_offer"];
+
+export const deactivateExpiredListings = async ({ io } = {}) => {
+  const due = await pool.query(
+    `SELECT l.product_id, p.email, p.full_name
+     FROM listings l LEFT JOIN profiles p ON p.unique_id = l.agent_unique_id
+     WHERE l.is_active = true AND l.expires_at <= NOW() AND l.status = ANY($1)`,
+    [EXPIRABLE_STATES]
+  );
+
+  const expired = [];
+  for (const { product_id, email, full_name } of due.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // Re-check under the lock: a renewal may have landed since the SELECT
+      const still = await client.query(
+        `SELECT 1 FROM listings WHERE product_id = $1 AND is_active = true AND expires_at <= NOW() FOR UPDATE`,
+        [product_id]
+      );
+      const row = still.rows.length
+        ? await transitionListingStatus({
+            productId: product_id, to: "expired", actor: ACTORS.SYSTEM, reason: "paid period ended",
+            onlyFrom: EXPIRABLE_STATES,
+            set: { is_active: false, payment_status: "unpaid" },
+            setSql: "expired_at = NOW()",
+            db: client
+          })
+        : null;
+      await client.query("COMMIT");
+      if (row) expired.push({ ...row, email, full_name });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      console.error(`❌ Expiring ${product_id} failed:`, e.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  for (const listing of expired) {
+    await createNotification(io, {
+      receiverId: listing.agent_unique_id,
+      productId: listing.product_id,
+      type: "listing_expired",
+      title: "Listing expired",
+      message: `"${listing.title}" has expired and is no longer visible. Renew it to put it back online.`,
+      link: `/listing/${listing.product_id}`,
+    }).catch(e => console.warn("⚠ Expiry notification failed:", e.message));
+
+    if (listing.email) await sendListingExpiryEmail(listing.email, listing.full_name, listing, { expired: true });
+  }
+
+  return expired.length;
+};
@@ -0,0 +1,357 @@
+import { pool } from "../db.js";
+import { registerJobHandler } from "./jobQueue.js";
+import { geocodeAddress, isValidCoordinate } from "./geocodingService.js";
+import {
+  uploadListingImage,
+  uploadListingVideo,
+  uploadListingDocument,
+  deleteListingAsset,
+  deleteListingPhoto
+} from "./mediaService.js";
+import { attachRevisionMedia } from "./listingRevisionService.js";
+import { syncListingPhotoHashes, findDuplicatePhotoListings, recordPhotoDuplicateFlags } from "./photoHashService.js";
+import { detectDuplicateListings } from "./duplicateListingService.js";
+import { ACTORS, ListingStatusError, transitionListingStatus } from "./listingLifecycle.js";
+import { syncBuildingUnits } from "./buildingService.js";
+import { saveListingAttachments } from "./listingAttachmentService.js";
+
+/* ============================================================
+   LISTING PROCESSING JOBS
+   Media uploads, geocoding and media cleanup for listings (and
+   the buildings that group unit listings), run by the job queue. Every upload/delete is a ctx.step(), so a
+   retried job never uploads the same file twice.
+============================================================ */
+export const LISTING_JOBS = {
+  PROCESS_CREATE: "listing.process_create",
+  PROCESS_UPDATE: "listing.process_update",
+  CLEANUP_MEDIA: "listing.cleanup_media",
+  PROCESS_BUILDING: "building.process_media",
+};
+
+const PHOTO_BATCH_SIZE = 3;
+
+// Files that can never succeed (not an image, video too long) are
+// recorded as skipped instead of failing the whole job
+const uploadOrSkip = async (ctx, key, upload) => {
+  const result = await ctx.step(key, async () => {
+    try {
+      return await upload();
+    } catch (err) {
+      if (!err.permanent) throw err;
+      console.error(`${key} upload skipped:`, err.message);
+      return { skipped: true, error: err.message };
+    }
+  });
+  return result?.skipped ? null : result;
+};
+
+// Uploads photos 3 at a time, one checkpoint per file
+const uploadPhotos = async (ctx, photoFiles) => {
+  const uploaded = [];
+  for (let i = 0; i < photoFiles.length; i += PHOTO_BATCH_SIZE) {
+    const chunk = photoFiles.slice(i, i + PHOTO_BATCH_SIZE);
+    const results = await Promise.all(
+      chunk.map((file, j) => uploadOrSkip(ctx, `photo:${i + j}`, () => uploadListingImage(file)))
+    );
+    uploaded.push(...results.filter(Boolean));
+  }
+  return uploaded;
+};
+
+const uploadVideo = async (ctx, key, file) => {
+  if (!file) return null;
+  return uploadOrSkip(ctx, key, () => uploadListingVideo(file));
+};
+
+// Uploads attachment files and stores them with their metadata
+// (payload.attachments, one { kind, title, visibility } per file)
+const uploadAttachments = async (ctx, listingId, files, meta = []) => {
+  const uploaded = [];
+  for (let i = 0; i < files.length; i++) {
+    const stored = await uploadOrSkip(ctx, `attachment:${i}`, () => uploadListingDocument(files[i]));
+    if (stored && meta[i]) uploaded.push({ ...meta[i], ...stored });
+  }
+  await saveListingAttachments(listingId, uploaded, ctx.payload.uploadedBy || null);
+  return uploaded;
+};
+
+const parsePhotos = (photos) => {
+  if (!photos) return [];
+  if (typeof photos !== "string") return photos;
+  try { return JSON.parse(photos); } catch { return []; }
+};
+
+// Indexes photo hashes and flags photos already used by another agent for
+// admins. Returns only the count: job results are visible to the agent.
+const checkPhotoDuplicates = async (listing) => {
+  await syncListingPhotoHashes(listing.product_id, listing.agent_unique_id, parsePhotos(listing.photos));
+  const duplicates = await findDuplicatePhotoListings(listing.product_id);
+  await recordPhotoDuplicateFlags(listing.product_id, duplicates);
+  if (duplicates.length) {
+    console.warn(`🚩 Listing ${listing.product_id} shares photos with ${duplicates.map(d => d.product_id).join(", ")}`);
+  }
+  return duplicates.length;
+};
+
+/* ------------------------------------------------------------
+   CREATE: upload everything, geocode, then hand to review
+------------------------------------------------------------ */
+registerJobHandler(LISTING_JOBS.PROCESS_CREATE, {
+  async run(ctx) {
+    const listingId = ctx.job.listing_id;
+    const { addressData = {}, revisionId = null } = ctx.payload;
+    console.log(`⚙️ Background processing started for ${listingId}...`);
+
+    const files = await ctx.files();
+
+    // 1. Photos, video, virtual tour
+    const uploadedPhotos = await uploadPhotos(ctx, files.photos || []);
+    const video = await uploadVideo(ctx, "video", files.video_file?.[0]);
+    const tour = await uploadVideo(ctx, "virtual_tour", files.virtual_file?.[0]);
+    const attachments = await uploadAttachments(ctx, listingId, files.attachments || [], ctx.payload.attachments);
+
+    // 2. Geocoding (a pin dropped by the agent wins)
+    let coords = isValidCoordinate(addressData.lat, addressData.lng)
+      ? { lat: Number(addressData.lat), lng: Number(addressData.lng), precision: "manual", provider: "agent" }
+      : await ctx.step("geocode", () => geocodeAddress(addressData));
+
+    // 3. Update DB -> Set Status to 'Pending' (Ready for Admin).
+    // A listing the owner archived meanwhile keeps its status but still gets its media.
+    const done = await transitionListingStatus({
+      productId: listingId,
+      to: (from) => (from === "processing" ? "pending" : from),
+      actor: ACTORS.SYSTEM, reason: "processing complete",
+      set: {
+        photos: JSON.stringify(uploadedPhotos),
+        latitude: coords?.lat ?? null, longitude: coords?.lng ?? null,
+        video_url: video?.url || null, video_public_id: video?.public_id || null,
+        virtual_tour_url: tour?.url || null, virtual_tour_public_id: tour?.public_id || null,
+        geo_precision: coords?.precision || null, geo_source: coords?.provider || null,
+      }
+    }).catch((err) => {
+      if (err instanceof ListingStatusError && err.status === 404) return null; // Deleted meanwhile
+      throw err;
+    });
+
+    // 4. Record uploaded media on the "create" revision
+    const added = [...uploadedPhotos];
+    if (video) added.push({ ...video, type: "video" });
+    if (tour) added.push({ ...tour, type: "virtual_tour" });
+    let duplicatePhotoMatches = 0;
+    let possibleDuplicates = [];
+    if (done) {
+      await attachRevisionMedia(revisionId, done, added)
+        .catch(e => console.warn("⚠ Revision media update failed:", e.message));
+      duplicatePhotoMatches = await checkPhotoDuplicates(done)
+        .catch(e => { console.warn("⚠ Duplicate photo check failed:", e.message); return 0; });
+      possibleDuplicates = (await detectDuplicateListings(listingId)
+        .catch(e => { console.warn("⚠ Duplicate listing check failed:", e.message); return []; }))
+        .map(d => d.product_id);
+    }
+
+    console.log(`✅ Listing ${listingId} processing complete & ready for review.`);
+    return {
+      photos: uploadedPhotos.length,
+      video: !!video,
+      virtual_tour: !!tour,
+      attachments: attachments.length,
+      duplicate_photo_matches: duplicatePhotoMatches,
+      possible_duplicate_of: possibleDuplicates
+    };
+  },
+
+  // Out of retries: don't leave the listing stuck in 'processing'
+  async onDead(job, err) {
+    await transitionListingStatus({
+      productId: job.listing_id, to: "draft", actor: ACTORS.SYSTEM, reason: "processing failed",
+      onlyFrom: ["processing"],
+      set: { admin_notes: `System Error: Upload failed. Please try again. (${err.message})` }
+    }).catch((e) => {
+      if (!(e instanceof ListingStatusError)) throw e;
+    });
+  },
+});
+
+/* ------------------------------------------------------------
+   UPDATE: delete removed media, upload new media, re-geocode
+------------------------------------------------------------ */
+registerJobHandler(LISTING_JOBS.PROCESS_UPDATE, {
+  async run(ctx) {
+    const listingId = ctx.job.listing_id;
+    const { addressData = {}, addressChanged = false, revisionId = null, removeAttachments = [] } = ctx.payload;
+    const removePhotos = ctx.payload.removePhotos || (ctx.payload.removeList || []).map(public_id => ({ public_id }));
+    console.log(`⚙️ Background Update started for ${listingId}...`);
+
+    const files = await ctx.files();
+
+    // 1. Storage deletions
+    await Promise.all(removePhotos.map(photo =>
+      ctx.step(`delete:${photo.public_id}`, async () => { await deleteListingPhoto(photo); return true; })
+    ));
+    await Promise.all(removeAttachments.map(asset =>
+      ctx.step(`delete:${asset.public_id}`, async () => { await deleteListingAsset(asset.public_id, asset.type); return true; })
+    ));
+
+    // 2. Upload New Photos / Video / Virtual Tour / Attachments
+    const uploadedPhotos = await uploadPhotos(ctx, files.photos || []);
+    const video = await uploadVideo(ctx, "video", files.video_file?.[0]);
+    const tour = await uploadVideo(ctx, "virtual_tour", files.virtual_file?.[0]);
+    const attachments = await uploadAttachments(ctx, listingId, files.attachments || [], ctx.payload.attachments);
+
+    // 3. Geocoding (Only if address changed)
+    let coords = null;
+    if (addressChanged) {
+      console.log("📍 Address changed, recalculating coordinates...");
+      coords = await ctx.step("geocode", () => geocodeAddress(addressData));
+    }
+
+    // 4. Final DB Update. Append new photos to the current set, skipping
+    //    any already appended by an earlier attempt.
+    const currentRes = await pool.query("SELECT photos FROM listings WHERE product_id=$1", [listingId]);
+    if (!currentRes.rows.length) return { skipped: "listing deleted" };
+    const currentPhotos = parsePhotos(currentRes.rows[0].photos);
+    const known = new Set(currentPhotos.map(p => p.public_id).filter(Boolean));
+    const finalPhotos = [...currentPhotos, ...uploadedPhotos.filter(p => !known.has(p.public_id))];
+
+    let fields = ["photos=$1", "updated_at=NOW()"];
+    let values = [JSON.stringify(finalPhotos)];
+    let idx = 2;
+
+    // The old pin is wrong for a new address, so an unlocatable address clears it
+    if (addressChanged) {
+      fields.push(`latitude=$${idx++}`, `longitude=$${idx++}`, `geo_precision=$${idx++}`, `geo_source=$${idx++}`);
+      values.push(coords?.lat ?? null, coords?.lng ?? null, coords?.precision || null, coords?.provider || null);
+    }
+    if (video) {
+      fields.push(`video_url=$${idx++}`, `video_public_id=$${idx++}`);
+      values.push(video.url, video.public_id);
+    }
+    if (tour) {
+      fields.push(`virtual_tour_url=$${idx++}`, `virtual_tour_public_id=$${idx++}`);
+      values.push(tour.url, tour.public_id);
+    }
+
+    values.push(listingId);
+
+    // We explicitly DO NOT set status='approved' here. It stays 'pending' from the main controller.
+    const done = await pool.query(`UPDATE listings SET ${fields.join(", ")} WHERE product_id=$${idx} RETURNING *`, values);
+
+    // Record uploaded media on the revision that triggered this update
+    const added = [...uploadedPhotos];
+    if (video) added.push({ ...video, type: "video" });
+    if (tour) added.push({ ...tour, type: "virtual_tour" });
+    let duplicatePhotoMatches = 0;
+    let possibleDuplicates = [];
+    if (done.rows[0]) {
+      await attachRevisionMedia(revisionId, done.rows[0], added)
+        .catch(e => console.warn("⚠ Revision media update failed:", e.message));
+      duplicatePhotoMatches = await checkPhotoDuplicates(done.rows[0])
+        .catch(e => { console.warn("⚠ Duplicate photo check failed:", e.message); return 0; });
+      possibleDuplicates = (await detectDuplicateListings(listingId)
+        .catch(e => { console.warn("⚠ Duplicate listing check failed:", e.message); return []; }))
+        .map(d => d.product_id);
+    }
+
+    console.log(`✅ Listing ${listingId} background update complete.`);
+    return {
+      photos_added: uploadedPhotos.length,
+      photos_removed: removePhotos.length,
+      attachments_added: attachments.length,
+      attachments_removed: removeAttachments.length,
+      geocoded: !!coords,
+      duplicate_photo_matches: duplicatePhotoMatches,
+      possible_duplicate_of: possibleDuplicates
+    };
+  },
+});
+
+/* ------------------------------------------------------------
+   CLEANUP: remove a deleted listing's media from storage
+------------------------------------------------------------ */
+registerJobHandler(LISTING_JOBS.CLEANUP_MEDIA, {
+  async run(ctx) {
+    const { assets = [] } = ctx.payload;
+    console.log(`🗑️ Starting background cleanup for ${assets.length} assets...`);
+
+    await Promise.all(assets.filter(a => a.public_id).map(asset =>
+      ctx.step(`delete:${asset.public_id}`, async () => {
+        await deleteListingAsset(asset.public_id, asset.type);
+        return true;
+      })
+    ));
+
+    console.log("✅ Background cleanup complete.");
+    return { deleted: assets.length };
+  },
+});
+
+/* ------------------------------------------------------------
+   BUILDING: shared photos and pin for a building's units
+   payload: { buildingId, removePhotos, addressData, geocode }
+------------------------------------------------------------ */
+registerJobHandler(LISTING_JOBS.PROCESS_BUILDING, {
+  async run(ctx) {
+    const { buildingId, removePhotos = [], addressData = {}, geocode = false } = ctx.payload;
+    console.log(`⚙️ Building media processing started for ${buildingId}...`);
+
+    const files = await ctx.files();
+
+    await Promise.all(removePhotos.map(photo =>
+      ctx.step(`delete:${photo.public_id}`, async () => { await deleteListingPhoto(photo); return true; })
+    ));
+    const uploadedPhotos = await uploadPhotos(ctx, files.photos || []);
+    const coords = geocode ? await ctx.step("geocode", () => geocodeAddress(addressData)) : null;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const currentRes = await client.query(
+        "SELECT photos FROM buildings WHERE building_id=$1 FOR UPDATE", [buildingId]
+      );
+      if (!currentRes.rows.length) {
+        await client.query("ROLLBACK");
+        // Deleted meanwhile: nothing will reference the new uploads
+        await Promise.all(uploadedPhotos.map(photo => deleteListingPhoto(photo).catch(() => {})));
+        return { skipped: "building deleted" };
+      }
+
+      // Append, skipping photos an earlier attempt already appended
+      const currentPhotos = parsePhotos(currentRes.rows[0].photos);
+      const known = new Set(currentPhotos.map(p => p.public_id).filter(Boolean));
+      const finalPhotos = [...currentPhotos, ...uploadedPhotos.filter(p => !known.has(p.public_id))];
+
+      const fields = ["photos=$1", "updated_at=NOW()"];
+      const values = [JSON.stringify(finalPhotos)];
+      if (geocode) {
+        fields.push("latitude=$2", "longitude=$3", "geo_precision=$4", "geo_source=$5");
+        values.push(coords?.lat ?? null, coords?.lng ?? null, coords?.precision || null, coords?.provider || null);
+      }
+      values.push(buildingId);
+      const updated = await client.query(
+        `UPDATE buildings SET ${fields.join(", ")} WHERE building_id=$${values.length} RETURNING *`,
+        values
+      );
+      if (geocode) await syncBuildingUnits(client, updated.rows[0]);
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // Units moved with the building: check them against their new neighbours
+    if (geocode) {
+      const units = await pool.query(
+        `SELECT product_id FROM listings WHERE building_id = $1 AND status <> 'archived'`, [buildingId]
+      );
+      for (const unit of units.rows) {
+        await detectDuplicateListings(unit.product_id)
+          .catch(e => console.warn(`⚠ Duplicate listing check for ${unit.product_id} failed:`, e.message));
+      }
+    }
+
+    console.log(`✅ Building ${buildingId} media processing complete.`);
+    return { photos_added: uploadedPhotos.length, photos_removed: removePhotos.length, geocoded: !!coords };
+  },
+});
@@ -0,0 +1,164 @@
+import { pool } from "../db.js";
+
+/* ============================================================
+   LISTING LIFECYCLE
+   The only place that writes listings.status. Each state lists
+   the states it may move to and which actors may move it there:
+     system  background jobs, payments, scheduled tasks
+     owner   the listing's agent/owner
+     admin   moderators
+   transitionListingStatus() locks the row, rejects illegal moves,
+   applies the change and records it in listing_status_history.
+============================================================ */
+export const LISTING_STATES = [
+  "processing", // media/geo work running after create
+  "draft",      // processing failed; owner must fix and resubmit
+  "pending",    // waiting for review
+  "approved",   // passed review (public once paid/active)
+  "rejected",
+  "under_offer",
+  "sold",
+  "rented",
+  "expired",    // paid period ran out; renew to go back to approved
+  "archived",   // soft-deleted by owner or admin
+];
+
+export const ACTORS = { SYSTEM: "system", OWNER: "owner", ADMIN: "admin" };
+const { SYSTEM: S, OWNER: O, ADMIN: A } = ACTORS;
+
+// States buyers can see (given the listing is also active)
+export const PUBLIC_STATES = ["approved", "under_offer"];
+
+// from -> { to: [actors allowed] }
+export const LISTING_TRANSITIONS = {
+  processing:  { pending: [S], draft: [S], archived: [O, A] },
+  draft:       { processing: [O, A], pending: [O], archived: [O, A] },
+  pending:     { approved: [A, S], rejected: [A, S], archived: [O, A] },
+  approved:    { pending: [O, A], under_offer: [O], sold: [O, A], rented: [O, A], expired: [S], rejected: [A], archived: [O, A] },
+  under_offer: { approved: [O, A], pending: [O, A], sold: [O, A], rented: [O, A], expired: [S], rejected: [A], archived: [O, A] },
+  rejected:    { pending: [O, A], approved: [A], archived: [O, A] },
+  expired:     { approved: [S], pending: [O], sold: [O, A], rented: [O, A], rejected: [A], archived: [O, A] },
+  sold:        { pending: [O, A], archived: [O, A] },
+  rented:      { approved: [O, A], pending: [O, A], archived: [O, A] },
+  archived:    {
+    draft: [O, A], pending: [O, A], approved: [O, A], rejected: [O, A],
+    under_offer: [O, A], sold: [O, A], rented: [O, A], expired: [O, A],
+  },
+};
+
+export class ListingStatusError extends Error {
+  constructor(message, status = 409, code = "ILLEGAL_STATUS_TRANSITION") {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const isListingState = (value) => LISTING_STATES.includes(value);
+
+export const canTransition = (from, to, actor) =>
+  !!LISTING_TRANSITIONS[from]?.[to]?.includes(actor);
+
+// Actor for a request: admins act as admin, the listing's agent as owner
+export const actorFor = (user, listing) => {
+  if (user?.role === "admin" || user?.is_admin === true || user?.is_super_admin === true) return A;
+  if (user?.unique_id && user.unique_id === listing?.agent_unique_id) return O;
+  return null;
+};
+
+export const assertTransition = (from, to, actor) => {
+  if (!isListingState(to)) {
+    throw new ListingStatusError(`Unknown listing status "${to}"`, 400, "UNKNOWN_STATUS");
+  }
+  if (from === to) return;
+  const allowed = LISTING_TRANSITIONS[from]?.[to];
+  if (!allowed) {
+    throw new ListingStatusError(`A listing cannot go from "${from}" to "${to}"`);
+  }
+  if (!allowed.includes(actor)) {
+    throw new ListingStatusError(`Only ${allowed.join(" or ")} can move a listing from "${from}" to "${to}"`, 403, "STATUS_NOT_PERMITTED");
+  }
+};
+
+const COLUMN = /^[a-z_]+$/;
+
+const recordHistory = (db, { productId, from, to, actor, actorId, reason }) =>
+  db.query(
+    `INSERT INTO listing_status_history (product_id, from_status, to_status, actor, actor_id, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [productId, from, to, actor, actorId, reason]
+  );
+
+/**
+ * Moves a listing to a new status.
+ *  - to:       target state, or (from) => state to decide under the row lock
+ *  - onlyFrom: skip (return null) unless the current state is one of these
+ *  - set:      other columns to update in the same statement { column: value }
+ *  - setSql:   trusted SQL assignments appended to SET (e.g. ACTIVATION_EXPIRY_SQL)
+ *  - db:       a client inside the caller's transaction; otherwise one is opened
+ * Same-state moves only apply `set`/`setSql` and are not recorded.
+ * Returns the updated listing row (with `previous_status`), or null when skipped.
+ */
+export const transitionListingStatus = async ({
+  productId, to, actor, actorId = null, reason = null, onlyFrom = null, set = {}, setSql = null, db = null
+}) => {
+  if (!db) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const row = await transitionListingStatus({ productId, to, actor, actorId, reason, onlyFrom, set, setSql, db: client });
+      await client.query("COMMIT");
+      return row;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  const current = await db.query(`SELECT status FROM listings WHERE product_id = $1 FOR UPDATE`, [productId]);
+  if (!current.rows.length) throw new ListingStatusError("Listing not found", 404, "LISTING_NOT_FOUND");
+
+  const from = current.rows[0].status;
+  if (onlyFrom && !onlyFrom.includes(from)) return null;
+
+  const target = typeof to === "function" ? to(from) : to;
+  assertTransition(from, target, actor);
+
+  const params = [productId, target];
+  const assignments = ["status = $2", "updated_at = NOW()"];
+  for (const [column, value] of Object.entries(set)) {
+    if (!COLUMN.test(column)) throw new Error(`Invalid column name "${column}"`);
+    params.push(value);
+    assignments.push(`${column} = $${params.length}`);
+  }
+  if (setSql) assignments.push(setSql);
+
+  const result = await db.query(
+    `UPDATE listings SET ${assignments.join(", ")} WHERE product_id = $1 RETURNING *`,
+    params
+  );
+
+  if (from !== target) {
+    await recordHistory(db, { productId, from, to: target, actor, actorId, reason });
+  }
+  return { ...result.rows[0], previous_status: from };
+};
+
+// First history entry for a newly inserted listing
+export const recordInitialStatus = (productId, status, { actor, actorId = null, db = pool } = {}) =>
+  recordHistory(db, { productId, from: null, to: status, actor, actorId, reason: "created" });
+
+export const getStatusHistory = async (productId) => {
+  const result = await pool.query(
+    `SELECT h.from_status, h.to_status, h.actor, h.actor_id, h.reason, h.created_at,
+            p.full_name as actor_name
+     FROM listing_status_history h
+     LEFT JOIN profiles p ON p.unique_id = h.actor_id
+     WHERE h.product_id = $1
+     ORDER BY h.created_at ASC, h.id ASC`,
+    [productId]
+  );
+  return result.rows;
+};
@@ -0,0 +1,142 @@
+import { pool } from "../db.js";
+import { jobEvents } from "./jobQueue.js";
+import { LISTING_JOBS } from "./listingJobs.js";
+
+/* ============================================================
+   LISTING PROCESSING STATUS
+   Per-step view of a listing's media/geocoding job, plus live
+   Socket.IO events to the owner's room:
+     listing_processing_progress   a step finished or failed
+     listing_processing_completed  all steps done
+     listing_processing_failed     the job failed (retrying or dead)
+   Steps are planned when the job is enqueued (payload.steps) so
+   pending ones can be shown before the worker reaches them.
+============================================================ */
+const PROCESSING_JOBS = [LISTING_JOBS.PROCESS_CREATE, LISTING_JOBS.PROCESS_UPDATE];
+
+// Step keys match the ctx.step() keys used in services/listingJobs.js
+export const planProcessingSteps = ({ files = {}, removeList = [], geocode = false } = {}) => {
+  const steps = removeList.map((pid) => `delete:${pid}`);
+  (files?.photos || []).forEach((_, i) => steps.push(`photo:${i}`));
+  if (files?.video_file?.length) steps.push("video");
+  if (files?.virtual_file?.length) steps.push("virtual_tour");
+  (files?.attachments || []).forEach((_, i) => steps.push(`attachment:${i}`));
+  if (geocode) steps.push("geocode");
+  return steps;
+};
+
+const describeStep = (key) => {
+  const [kind, ref] = key.split(":");
+  if (kind === "photo" || kind === "attachment") return { kind, index: Number(ref) };
+  if (kind === "delete") return { kind, public_id: ref };
+  return { kind };
+};
+
+// Turns one checkpoint (or its absence) into { status, error, result }
+const stepState = (job, key) => {
+  const progress = job.progress || {};
+  const errors = job.step_errors || {};
+
+  if (Object.prototype.hasOwnProperty.call(progress, key)) {
+    const value = progress[key];
+    if (key === "geocode" && !value) {
+      return { status: "failed", error: "Address could not be located. Check the address or set the pin manually." };
+    }
+    if (value?.skipped) return { status: "skipped", error: value.error };
+    return { status: "completed", result: value };
+  }
+  if (errors[key]) return { status: "failed", error: errors[key] };
+  return { status: job.status === "dead" ? "cancelled" : "pending" };
+};
+
+const jobState = (job) => {
+  if (job.status === "queued") return job.attempts > 0 ? "retrying" : "queued";
+  if (job.status === "running") return "processing";
+  if (job.status === "dead") return "failed";
+  return job.status;
+};
+
+const summarize = (job) => {
+  const keys = job.payload?.steps || Object.keys(job.progress || {});
+  const steps = keys.map((key) => ({ key, ...describeStep(key), ...stepState(job, key) }));
+  return {
+    job_id: job.id,
+    type: job.type,
+    state: jobState(job),
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    next_retry_at: job.status === "queued" && job.attempts > 0 ? job.run_at : null,
+    last_error: job.last_error,
+    completed_steps: steps.filter((s) => s.status === "completed" || s.status === "skipped").length,
+    total_steps: steps.length,
+    steps,
+    created_at: job.created_at,
+    completed_at: job.completed_at,
+  };
+};
+
+/* ------------------------------------------------------------
+   STATUS (GET /api/listings/:product_id/processing)
+   Latest processing job in full; earlier ones as history.
+------------------------------------------------------------ */
+export const getListingProcessingStatus = async (listing) => {
+  const result = await pool.query(
+    `SELECT * FROM jobs WHERE listing_id = $1 AND type = ANY($2) ORDER BY id DESC LIMIT 10`,
+    [listing.product_id, PROCESSING_JOBS]
+  );
+  const [latest, ...earlier] = result.rows;
+
+  return {
+    product_id: listing.product_id,
+    listing_status: listing.status,
+    state: latest ? jobState(latest) : "idle",
+    current: latest ? summarize(latest) : null,
+    history: earlier.map((job) => ({
+      job_id: job.id, type: job.type, state: jobState(job), last_error: job.last_error,
+      created_at: job.created_at, completed_at: job.completed_at,
+    })),
+  };
+};
+
+/* ------------------------------------------------------------
+   LIVE EVENTS
+------------------------------------------------------------ */
+const ownerOf = async (productId) => {
+  const result = await pool.query(`SELECT agent_unique_id FROM listings WHERE product_id = $1`, [productId]);
+  return result.rows[0]?.agent_unique_id || null;
+};
+
+// Re-reads the job so counts include checkpoints from earlier attempts
+const loadJob = async (jobId) => {
+  const result = await pool.query(`SELECT * FROM jobs WHERE id = $1`, [jobId]);
+  return result.rows[0] || null;
+};
+
+export const startListingProcessingEvents = (io) => {
+  const send = (job, event, build) => {
+    if (!PROCESSING_JOBS.includes(job.type) || !job.listing_id) return;
+    (async () => {
+      const [ownerId, fresh] = await Promise.all([ownerOf(job.listing_id), loadJob(job.id)]);
+      if (!ownerId || !fresh) return;
+      io.to(ownerId).emit(event, { product_id: job.listing_id, job_id: job.id, ...build(summarize(fresh)) });
+    })().catch((err) => console.error(`❌ ${event} emit failed:`, err.message));
+  };
+
+  const stepPayload = (key) => (summary) => ({
+    step: summary.steps.find((s) => s.key === key) || { key, ...describeStep(key) },
+    completed_steps: summary.completed_steps,
+    total_steps: summary.total_steps,
+  });
+
+  jobEvents.on("step", (job, key) => send(job, "listing_processing_progress", stepPayload(key)));
+  jobEvents.on("step_failed", (job, key) => send(job, "listing_processing_progress", stepPayload(key)));
+  jobEvents.on("completed", (job) => send(job, "listing_processing_completed", (summary) => ({ status: summary })));
+  jobEvents.on("failed", (job, err, { dead, retryAt }) =>
+    send(job, "listing_processing_failed", (summary) => ({
+      error: err.message,
+      will_retry: !dead,
+      next_retry_at: retryAt,
+      status: summary,
+    }))
+  );
+};
@@ -0,0 +1,154 @@
+import { pool } from "../db.js";
+
+/* ============================================================
+   LISTING REVISIONS
+   Every create/update/revert stores a revision with a snapshot
+   of the editable fields, so history can be listed, any two
+   revisions diffed, and an old revision restored.
+============================================================ */
+
+// Editable listing fields tracked in snapshots (media is tracked separately)
+export const REVISION_FIELDS = [
+  "title", "description", "price", "price_currency", "price_period",
+  "category", "property_type", "listing_type",
+  "address", "city", "state", "country", "zip_code",
+  "bedrooms", "bathrooms", "parking", "year_built", "square_footage", "furnishing", "lot_size",
+  "features",
+  "contact_name", "contact_email", "contact_phone", "contact_method",
+];
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== "string") return value;
+  try { return JSON.parse(value); } catch { return fallback; }
+};
+
+// Normalizes a value so DB strings, numbers and JSON compare consistently
+const normalize = (field, value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (field === "features") return parseJson(value, []);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number") return String(value);
+  return value;
+};
+
+const mediaOf = (listing) => {
+  const photos = parseJson(listing.photos, []).map((p) =>
+    typeof p === "string" ? { url: p, public_id: null, type: "image" } : { url: p.url, public_id: p.public_id || null, type: p.type || "image" }
+  );
+  const media = [...photos];
+  if (listing.video_url) media.push({ url: listing.video_url, public_id: listing.video_public_id || null, type: "video" });
+  if (listing.virtual_tour_url) media.push({ url: listing.virtual_tour_url, public_id: listing.virtual_tour_public_id || null, type: "virtual_tour" });
+  return media;
+};
+
+export const snapshotListing = (listing) => {
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) snapshot[field] = normalize(field, listing[field]);
+  snapshot.media = mediaOf(listing);
+  return snapshot;
+};
+
+// Field-level changes between two snapshots: { field: { old, new } }
+export const diffSnapshots = (before, after) => {
+  const changes = {};
+  for (const field of REVISION_FIELDS) {
+    const oldVal = before?.[field] ?? null;
+    const newVal = after?.[field] ?? null;
+    if (JSON.stringify(oldVal) !== JSON.stringify(newVal)) {
+      changes[field] = { old: oldVal, new: newVal };
+    }
+  }
+  return changes;
+};
+
+const mediaKey = (m) => m.public_id || m.url;
+
+export const diffMedia = (before, after) => {
+  const beforeKeys = new Set((before?.media || []).map(mediaKey));
+  const afterKeys = new Set((after?.media || []).map(mediaKey));
+  return {
+    added: (after?.media || []).filter((m) => !beforeKeys.has(mediaKey(m))),
+    removed: (before?.media || []).filter((m) => !afterKeys.has(mediaKey(m))),
+  };
+};
+
+export const actorRoleFor = (user, listing) => {
+  if (!user) return "system";
+  if (user.unique_id === listing.agent_unique_id) return "owner";
+  if (user.is_admin || user.is_super_admin || user.role === "admin") return "admin";
+  return user.role || "user";
+};
+
+/* ------------------------------------------------------------
+   RECORDING
+   `before` is the row prior to the change (null on create) and
+   `after` the row once written. Listings edited before history
+   existed get a "baseline" revision first so diffs have a start.
+------------------------------------------------------------ */
+export const recordListingRevision = async ({ productId, action, user, before, after, revertedFrom = null }) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Serialize revision numbering per listing
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`listing_revision:${productId}`]);
+
+    const lastRes = await client.query(
+      `SELECT revision_number FROM listing_revisions WHERE product_id = $1 ORDER BY revision_number DESC LIMIT 1`,
+      [productId]
+    );
+    let next = (lastRes.rows[0]?.revision_number || 0) + 1;
+
+    const beforeSnap = before ? snapshotListing(before) : null;
+    const afterSnap = snapshotListing(after);
+
+    if (next === 1 && beforeSnap) {
+      await client.query(
+        `INSERT INTO listing_revisions (product_id, revision_number, action, actor_role, snapshot)
+         VALUES ($1, 1, 'baseline', 'system', $2)`,
+        [productId, JSON.stringify(beforeSnap)]
+      );
+      next = 2;
+    }
+
+    const media = diffMedia(beforeSnap, afterSnap);
+    const inserted = await client.query(
+      `INSERT INTO listing_revisions
+         (product_id, revision_number, action, actor_id, actor_role, changes, media_added, media_removed, snapshot, reverted_from)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        productId, next, action,
+        user?.unique_id || null, actorRoleFor(user, after),
+        JSON.stringify(diffSnapshots(beforeSnap, afterSnap)),
+        JSON.stringify(media.added),
+        JSON.stringify(media.removed),
+        JSON.stringify(afterSnap),
+        revertedFrom,
+      ]
+    );
+
+    await client.query("COMMIT");
+    return inserted.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/* ------------------------------------------------------------
+   BACKGROUND MEDIA
+   Uploads finish after the revision is written; fold the new
+   media into that revision's media_added and snapshot.
+------------------------------------------------------------ */
+export const attachRevisionMedia = async (revisionId, listing, added) => {
+  if (!revisionId || !added.length) return;
+  await pool.query(
+    `UPDATE listing_revisions
+     SET media_added = media_added || $1::jsonb, snapshot = $2
+     WHERE id = $3`,
+    [JSON.stringify(added), JSON.stringify(snapshotListing(listing)), revisionId]
+  );
+};
@@ -0,0 +1,261 @@
+import { PUBLIC_STATES } from "./listingLifecycle.js";
+
+/* ============================================================
+   LISTING SEARCH HELPERS
+   Shared SQL builders for the public listing search endpoints.
+   Every builder pushes its values onto the caller's `params`
+   array so placeholders stay in sync ($1, $2, ...).
+============================================================ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+const SEARCH_CONFIG = "english"; // Must match migrations/001_listing_search_vector.sql
+export const MAX_PAGE_SIZE = 500;
+
+// Thrown for bad client input (unknown sort, malformed cursor) -> 400
+export class SearchQueryError extends Error {}
+
+// Adds a value to the params array and returns its placeholder
+const bind = (params, value) => {
+  params.push(value);
+  return `$${params.length}`;
+};
+
+// Largest radius accepted by near=...&radius_km=
+export const MAX_RADIUS_KM = 500;
+
+// ✅ Parses "lat,lng" into numbers (null when malformed)
+export const parsePoint = (value) => {
+  if (!value || typeof value !== "string") return null;
+  const [lat, lng] = value.split(",").map((v) => Number(v.trim()));
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+};
+
+// Geography point for a parsed { lat, lng }
+const bindOrigin = (params, point) =>
+  `ST_SetSRID(ST_MakePoint(${bind(params, point.lng)}, ${bind(params, point.lat)}), 4326)::geography`;
+
+// Reads near=lat,lng, throwing when it is present but malformed
+const requireNear = (query) => {
+  const point = parsePoint(query.near);
+  if (!point) throw new SearchQueryError("near must be given as lat,lng");
+  return point;
+};
+
+/* ------------------------------------------------------------
+   FILTERS
+   Builds the WHERE clause for publicly visible listings from the
+   /api/listings/public query params. Polygon/viewport and the
+   near + radius_km circle can be combined with every other filter.
+------------------------------------------------------------ */
+export const buildPublicListingWhere = (query = {}, params = []) => {
+  const {
+    category, search, minLat, maxLat, minLng, maxLng,
+    type, minPrice, maxPrice, city, polygon, near, radius_km
+  } = query;
+
+  // expires_at check hides listings that lapsed before the hourly sweep switched them off
+  const clauses = [`l.status IN (${PUBLIC_STATES.map(st => `'${st}'`).join(", ")})`, "l.is_active = true", "(l.expires_at IS NULL OR l.expires_at > NOW())"];
+
+  // --- 1. POLYGON SEARCH ---
+  // GeoJSON expects [Longitude, Latitude]
+  if (polygon) {
+    try {
+      const geoJson = typeof polygon === "string" ? JSON.parse(polygon) : polygon;
+      clauses.push(`l.location IS NOT NULL`);
+      clauses.push(`ST_Intersects(ST_SetSRID(ST_GeomFromGeoJSON(${bind(params, JSON.stringify(geoJson))}), 4326), l.location)`);
+    } catch (e) {
+      console.error("❌ Invalid Polygon JSON received:", e.message);
+    }
+  }
+
+  // --- 2. STANDARD FILTERS ---
+  if (category && category !== "undefined") {
+    const p = bind(params, category);
+    clauses.push(`(l.category ILIKE ${p} OR l.listing_type ILIKE ${p})`);
+  }
+
+  if (type) {
+    clauses.push(`l.listing_type = ${bind(params, String(type).toLowerCase())}`);
+  }
+
+  if (city) {
+    clauses.push(`l.city ILIKE ${bind(params, `%${city}%`)}`);
+  }
+
+  if (minPrice) {
+    clauses.push(`l.price >= ${bind(params, minPrice)}`);
+  }
+
+  if (maxPrice) {
+    clauses.push(`l.price <= ${bind(params, maxPrice)}`);
+  }
+
+  // Full-text match, with the old partial location match kept so
+  // typing half a city or zip code still finds listings
+  if (search) {
+    const q = bind(params, search);
+    const p = bind(params, `%${search}%`);
+    clauses.push(`(
+      l.search_vector @@ websearch_to_tsquery('${SEARCH_CONFIG}', ${q}) OR
+      l.city ILIKE ${p} OR
+      l.address ILIKE ${p} OR
+      l.state ILIKE ${p} OR
+      l.country ILIKE ${p} OR
+      l.zip_code ILIKE ${p}
+    )`);
+  }
+
+  // --- 3. VIEWPORT (Fallback when no polygon is drawn) ---
+  if (!polygon && minLat && maxLat && minLng && maxLng && !isNaN(Number(minLat))) {
+    clauses.push(`l.latitude::numeric >= ${bind(params, minLat)}`);
+    clauses.push(`l.latitude::numeric <= ${bind(params, maxLat)}`);
+    clauses.push(`l.longitude::numeric >= ${bind(params, minLng)}`);
+    clauses.push(`l.longitude::numeric <= ${bind(params, maxLng)}`);
+  }
+
+  // --- 4. RADIUS ("within N km of here") ---
+  if (near && radius_km !== undefined && radius_km !== "") {
+    const point = requireNear(query);
+    const radiusKm = Number(radius_km);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      throw new SearchQueryError(`radius_km must be between 0 and ${MAX_RADIUS_KM}`);
+    }
+    clauses.push(`l.location IS NOT NULL`);
+    clauses.push(`ST_DWithin(l.location::geography, ${bindOrigin(params, point)}, ${bind(params, radiusKm * 1000)})`);
+  }
+
+  return clauses.join("\n      AND ");
+};
+
+/* ------------------------------------------------------------
+   RELEVANCE
+   Rank score and highlighted snippets for a text search. Snippets
+   are HTML: escaped listing text with <mark> around matches. Returns
+   extra SELECT columns (empty string when there is no search).
+------------------------------------------------------------ */
+const HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2";
+
+// Agent-written text is HTML-escaped before highlighting, so the only
+// markup in a snippet is the <mark> tags added here
+const escapeHtmlSql = (expr) =>
+  `replace(replace(replace(replace(replace(${expr}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+
+const searchRankExpr = (q) =>
+  `ts_rank_cd(l.search_vector, websearch_to_tsquery('${SEARCH_CONFIG}', ${q}), 32)::float8`;
+
+export const buildSearchSelect = (query = {}, params = []) => {
+  if (!query.search) return "";
+  const q = bind(params, query.search);
+  const tsq = `websearch_to_tsquery('${SEARCH_CONFIG}', ${q})`;
+  return `,
+        ${searchRankExpr(q)} as search_rank,
+        ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql("COALESCE(l.title, '')")}, ${tsq}, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') as title_highlight,
+        ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql("COALESCE(l.description, '')")}, ${tsq}, '${HEADLINE_OPTIONS}') as description_highlight`;
+};
+
+/* ------------------------------------------------------------
+   DISTANCE
+   Adds distance_km (from near=lat,lng) to each row. Null for
+   listings without a location.
+------------------------------------------------------------ */
+export const buildDistanceSelect = (query = {}, params = []) => {
+  if (!query.near) return "";
+  const origin = bindOrigin(params, requireNear(query));
+  return `,
+        ROUND((ST_Distance(l.location::geography, ${origin}) / 1000)::numeric, 2)::float8 as distance_km`;
+};
+
+/* ------------------------------------------------------------
+   MAP CLUSTERING
+   Listings are bucketed on a grid whose cells cover roughly
+   CLUSTER_RADIUS_PX screen pixels at the requested zoom (256px
+   web-mercator tiles). Above CLUSTER_MAX_ZOOM individual markers
+   are returned instead.
+------------------------------------------------------------ */
+export const CLUSTER_MAX_ZOOM = 14;
+export const MAX_MAP_MARKERS = 1000;
+const CLUSTER_RADIUS_PX = 60;
+
+export const parseZoom = (zoom) => {
+  const z = Number(zoom);
+  if (!Number.isInteger(z) || z < 0 || z > 22) {
+    throw new SearchQueryError("zoom must be an integer between 0 and 22");
+  }
+  return z;
+};
+
+export const clusterCellSize = (zoom) => (360 / (256 * 2 ** zoom)) * CLUSTER_RADIUS_PX;
+
+/* ------------------------------------------------------------
+   SORTING
+   Each mode resolves to a single sortable SQL expression. Listings
+   missing the value (no sqft, no location) sort last via Infinity.
+------------------------------------------------------------ */
+export const SORT_MODES = ["relevance", "newest", "price_asc", "price_desc", "price_per_sqft", "distance"];
+
+// Text searches rank by relevance unless another order is asked for
+export const defaultSort = (query = {}) => (query.search ? "relevance" : "newest");
+
+export const resolveSort = (sort = "newest", query = {}, params = []) => {
+  switch (sort) {
+    case "relevance":
+      if (!query.search) throw new SearchQueryError("Sorting by relevance requires a search term");
+      return { expr: searchRankExpr(bind(params, query.search)), type: "float8", dir: "DESC" };
+    case "price_asc":
+      return { expr: "COALESCE(l.price, 0)::numeric", type: "numeric", dir: "ASC" };
+    case "price_desc":
+      return { expr: "COALESCE(l.price, 0)::numeric", type: "numeric", dir: "DESC" };
+    case "price_per_sqft":
+      return {
+        expr: "COALESCE(l.price::float8 / NULLIF(l.square_footage, 0)::float8, 'Infinity'::float8)",
+        type: "float8",
+        dir: "ASC",
+      };
+    case "distance": {
+      if (!query.near) throw new SearchQueryError("Sorting by distance requires near=lat,lng");
+      const origin = bindOrigin(params, requireNear(query));
+      return {
+        expr: `COALESCE(ST_Distance(l.location::geography, ${origin}), 'Infinity'::float8)`,
+        type: "float8",
+        dir: "ASC",
+      };
+    }
+    case "newest":
+      return { expr: "COALESCE(l.activated_at, l.created_at)", type: "timestamptz", dir: "DESC" };
+    default:
+      throw new SearchQueryError(`Unknown sort "${sort}". Use one of: ${SORT_MODES.join(", ")}`);
+  }
+};
+
+/* ------------------------------------------------------------
+   CURSORS
+   Opaque base64url token holding the sort mode and the last row's
+   (sort value, product_id). Sort values travel as Postgres text so
+   timestamps keep their microseconds.
+------------------------------------------------------------ */
+export const encodeCursor = (sort, sortKey, productId) =>
+  Buffer.from(JSON.stringify({ s: sort, k: sortKey, id: productId })).toString("base64url");
+
+export const decodeCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (decoded.s !== sort || decoded.k === undefined || !decoded.id) throw new Error("mismatch");
+    return decoded;
+  } catch {
+    throw new SearchQueryError("Invalid or expired cursor");
+  }
+};
+
+// Keyset condition: rows strictly after the cursor in the current order
+export const buildCursorClause = (cursor, sortSpec, params) => {
+  const op = sortSpec.dir === "DESC" ? "<" : ">";
+  return `(${sortSpec.expr}, l.product_id) ${op} (${bind(params, cursor.k)}::${sortSpec.type}, ${bind(params, cursor.id)})`;
+};
+
+export const parsePageSize = (limit) => {
+  const n = parseInt(limit, 10);
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(n, MAX_PAGE_SIZE);
+};
@@ -0,0 +1,188 @@
+import { pool } from "../db.js";
+import { convertFromUSD, convertToUSD, getRate } from "../utils/exchangeRates.js";
+import { PUBLIC_STATES } from "./listingLifecycle.js";
+import { CLOSING_OUTCOMES } from "./listingClosingService.js";
+
+/* ============================================================
+   MARKET STATISTICS
+   Built from listing_closings (sold/rented deals) for an area:
+   closing counts, median price and price per sq ft in one
+   currency, days on market, closing-to-list ratio and a monthly
+   series, plus how many comparable listings are live right now.
+============================================================ */
+export const DEFAULT_STATS_MONTHS = 12;
+export const MAX_STATS_MONTHS = 36;
+const MAX_CLOSINGS = 5000;
+
+export class MarketStatsError extends Error {}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const round = (n, places = 2) => (n === null ? null : Math.round(n * 10 ** places) / 10 ** places);
+
+const convert = (amount, from, to) => {
+  if ((from || "USD") === to) return amount;
+  return Number(convertFromUSD(Number(convertToUSD(amount, from || "USD")), to));
+};
+
+/**
+ * Validates the query string. Returns { city, country, propertyType,
+ * category, bedrooms, outcome, currency, months }.
+ */
+export const parseMarketStatsQuery = (query = {}) => {
+  const city = query.city ? String(query.city).trim() : null;
+  const country = query.country ? String(query.country).trim() : null;
+  if (!city && !country) throw new MarketStatsError("city or country is required");
+
+  const outcome = query.outcome ? String(query.outcome).toLowerCase() : null;
+  if (outcome && !CLOSING_OUTCOMES.includes(outcome)) {
+    throw new MarketStatsError(`outcome must be one of: ${CLOSING_OUTCOMES.join(", ")}`);
+  }
+
+  const currency = String(query.currency || "USD").trim().toUpperCase();
+  // getRate falls back to 1 for currencies it doesn't know
+  if (currency !== "USD" && getRate(currency) === 1) throw new MarketStatsError(`Unsupported currency "${currency}"`);
+
+  let bedrooms = null;
+  if (query.bedrooms !== undefined && query.bedrooms !== "") {
+    bedrooms = parseInt(query.bedrooms, 10);
+    if (!Number.isInteger(bedrooms) || bedrooms < 0) throw new MarketStatsError("bedrooms must be a whole number");
+  }
+
+  const months = Math.min(Math.max(parseInt(query.months, 10) || DEFAULT_STATS_MONTHS, 1), MAX_STATS_MONTHS);
+
+  return {
+    city,
+    country,
+    propertyType: query.property_type ? String(query.property_type).trim() : null,
+    category: query.category ? String(query.category).trim() : null,
+    bedrooms,
+    outcome,
+    currency,
+    months,
+  };
+};
+
+// Shared area filter for closings (alias c) and live listings (alias l)
+const areaClauses = (alias, filters, params) => {
+  const clauses = [];
+  const add = (sql, value) => {
+    params.push(value);
+    clauses.push(sql.replace("?", `$${params.length}`));
+  };
+  if (filters.city) add(`lower(${alias}.city) = lower(?)`, filters.city);
+  if (filters.country) add(`lower(${alias}.country) = lower(?)`, filters.country);
+  if (filters.propertyType) add(`lower(${alias}.property_type) = lower(?)`, filters.propertyType);
+  if (filters.category) add(`lower(${alias}.category) = lower(?)`, filters.category);
+  if (filters.bedrooms !== null) add(`${alias}.bedrooms = ?`, filters.bedrooms);
+  return clauses;
+};
+
+const summarize = (rows, currency) => {
+  const prices = [];
+  const perSqft = [];
+  const days = [];
+  const ratios = [];
+
+  for (const r of rows) {
+    const price = convert(Number(r.closing_price), r.closing_currency, currency);
+    prices.push(price);
+
+    const sqft = Number(r.square_footage);
+    if (sqft > 0) perSqft.push(price / sqft);
+
+    if (r.listed_at) {
+      const onMarket = (new Date(r.closed_on) - new Date(r.listed_at)) / DAY_MS;
+      if (onMarket >= 0) days.push(onMarket);
+    }
+
+    const listPrice = Number(r.list_price);
+    if (listPrice > 0) ratios.push(price / convert(listPrice, r.list_currency, currency));
+  }
+
+  return {
+    closings: rows.length,
+    median_price: round(median(prices)),
+    median_price_per_sqft: round(median(perSqft)),
+    avg_days_on_market: days.length ? Math.round(days.reduce((a, b) => a + b, 0) / days.length) : null,
+    median_closing_to_list_ratio: round(median(ratios), 3),
+  };
+};
+
+export const getMarketStats = async (filters) => {
+  const params = [filters.months];
+  const where = [
+    "c.closed_on >= (CURRENT_DATE - make_interval(months => $1))",
+    ...areaClauses("c", filters, params),
+  ];
+  if (filters.outcome) {
+    params.push(filters.outcome);
+    where.push(`c.outcome = $${params.length}`);
+  }
+
+  // Every deal counts: a home let twice in the window is two rentals
+  const closingsQ = await pool.query(
+    `SELECT c.outcome, c.closing_price, c.closing_currency, c.closed_on,
+            to_char(c.closed_on, 'YYYY-MM') as month,
+            c.square_footage, c.list_price, c.list_currency, c.listed_at
+     FROM listing_closings c
+     WHERE ${where.join(" AND ")}
+     ORDER BY c.closed_on DESC
+     LIMIT ${MAX_CLOSINGS}`,
+    params
+  );
+  const rows = closingsQ.rows;
+
+  const liveParams = [PUBLIC_STATES];
+  const liveWhere = [
+    "l.status = ANY($1)", "l.is_active = true", "(l.expires_at IS NULL OR l.expires_at > NOW())",
+    ...areaClauses("l", filters, liveParams),
+  ];
+  const liveQ = await pool.query(
+    `SELECT COUNT(*)::int as count FROM listings l WHERE ${liveWhere.join(" AND ")}`,
+    liveParams
+  );
+
+  // Sale prices and rents are never mixed: every figure is per outcome
+  const byOutcome = {};
+  for (const outcome of CLOSING_OUTCOMES) {
+    const subset = rows.filter((r) => r.outcome === outcome);
+    if (!subset.length) continue;
+
+    const byMonth = new Map();
+    for (const r of subset) {
+      if (!byMonth.has(r.month)) byMonth.set(r.month, []);
+      byMonth.get(r.month).push(r);
+    }
+    const monthly = [...byMonth.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, list]) => {
+        const { closings, median_price } = summarize(list, filters.currency);
+        return { month, closings, median_price };
+      });
+
+    byOutcome[outcome] = { ...summarize(subset, filters.currency), monthly };
+  }
+
+  return {
+    area: { city: filters.city, country: filters.country },
+    filters: {
+      property_type: filters.propertyType,
+      category: filters.category,
+      bedrooms: filters.bedrooms,
+      outcome: filters.outcome,
+    },
+    currency: filters.currency,
+    months: filters.months,
+    closings: rows.length,
+    by_outcome: byOutcome,
+    active_listings: liveQ.rows[0].count,
+  };
+};
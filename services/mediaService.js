@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import { mediaStorage, storageFor } from "./mediaStorage.js";
+import { buildPhotoDerivatives, photoAssetIds, photoHash } from "./imageDerivatives.js";
+
+/* ============================================================
+   LISTING MEDIA
+   Upload/delete helpers used by the listing processing jobs,
+   on top of the configured storage driver (see mediaStorage.js).
+   Errors that retrying cannot fix are flagged `permanent` so the
+   job queue does not retry them.
+============================================================ */
+const MAX_VIDEO_SECONDS = 90;
+const LISTING_FOLDER = "listings";
+const DOCUMENT_FOLDER = "listing-documents";
+
+function genAssetId(prefix = "asset") {
+  return `${prefix}_${crypto.randomUUID().split("-")[0]}`;
+}
+
+/**
+ * Stores the thumbnail/card/full derivatives of one photo (WebP + JPEG).
+ * url/public_id point at the full-size JPEG so older clients keep working;
+ * phash is used for duplicate photo detection (photoHashService.js).
+ */
+export const uploadListingImage = async (file) => {
+  const derivatives = await buildPhotoDerivatives(file.buffer);
+  const phash = await photoHash(file.buffer);
+  const baseId = genAssetId("img");
+  const stored = [];
+
+  try {
+    for (const d of derivatives) {
+      const { url, public_id } = await mediaStorage.upload(
+        { buffer: d.buffer, mimetype: d.mimetype, originalname: `${d.variant}.${d.format}` },
+        { folder: LISTING_FOLDER, publicId: `${baseId}_${d.variant}_${d.format}`, resourceType: "image" }
+      );
+      stored.push({ ...d, url, public_id });
+    }
+  } catch (err) {
+    // Don't leave half a set of derivatives behind; the retry starts over
+    await Promise.all(stored.map(s => mediaStorage.remove(s.public_id, "image").catch(() => {})));
+    throw err;
+  }
+
+  const variants = {};
+  for (const s of stored) {
+    variants[s.variant] = variants[s.variant] || { width: s.width, height: s.height };
+    variants[s.variant][s.format] = { url: s.url, public_id: s.public_id };
+  }
+
+  return {
+    url: variants.full.jpeg.url,
+    public_id: variants.full.jpeg.public_id,
+    type: "image",
+    width: variants.full.width,
+    height: variants.full.height,
+    variants,
+    phash,
+  };
+};
+
+export async function uploadListingVideo(file) {
+  const { url, public_id, duration } = await mediaStorage.upload(file, {
+    folder: LISTING_FOLDER, publicId: genAssetId("vid"), resourceType: "video"
+  });
+  if (duration && duration > MAX_VIDEO_SECONDS) {
+    await mediaStorage.remove(public_id, "video");
+    const tooLong = new Error(`Video too long. Max allowed is ${MAX_VIDEO_SECONDS} seconds.`);
+    tooLong.permanent = true;
+    throw tooLong;
+  }
+  return { url, public_id, type: "video" };
+}
+
+/**
+ * Stores a listing attachment (PDF or image) as-is, in private storage.
+ * It is only handed out through the attachment endpoint, after the
+ * visibility check (see deliverListingAsset).
+ */
+export async function uploadListingDocument(file) {
+  const resourceType = file.mimetype?.startsWith("image/") ? "image" : "raw";
+  const { url, public_id } = await mediaStorage.upload(file, {
+    folder: DOCUMENT_FOLDER, publicId: `doc_${crypto.randomUUID()}`, resourceType, isPrivate: true
+  });
+  return {
+    url,
+    public_id,
+    resource_type: resourceType,
+    mime_type: file.mimetype || null,
+    original_name: file.originalname || null,
+    size_bytes: file.size ?? file.buffer?.length ?? null,
+  };
+}
+
+// Throws on network/API errors so cleanup jobs can retry.
+// Deleting an asset that is already gone is not an error.
+export async function deleteListingAsset(public_id, type = "image") {
+  if (!public_id) return;
+  const resourceType = type === "image" || type === "raw" ? type : "video";
+  await storageFor(public_id).remove(public_id, resourceType);
+}
+
+// How to hand out a private asset: { redirect: signed URL } or { file: path }
+export const deliverListingAsset = (public_id, { resourceType, mimeType, expiresInSeconds = 300 }) =>
+  storageFor(public_id).deliver(public_id, { resourceType, mimeType, expiresInSeconds });
+
+// Moves an asset uploaded before private storage existed; returns its new public_id
+export const makeListingAssetPrivate = (public_id, resourceType) =>
+  storageFor(public_id).makePrivate(public_id, resourceType);
+
+// Removes a photo and all of its derivatives
+export async function deleteListingPhoto(photo) {
+  await Promise.all(photoAssetIds(photo).map(id => deleteListingAsset(id, "image")));
+}
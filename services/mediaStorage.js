@@ -0,0 +1,187 @@
+import fs from "fs/promises";
+import path from "path";
+import cloudinary from "../utils/cloudinary.js";
+
+/* ============================================================
+   MEDIA STORAGE
+   One interface, two drivers, picked with MEDIA_STORAGE:
+     cloudinary (default)  Cloudinary upload API
+     local                 files under uploads/, served by the
+                           /uploads static route in server.js
+   Every driver returns { url, public_id, type } so photo JSON and
+   the video_/virtual_tour_ columns look the same either way.
+   Local public_ids start with "local/", which is how delete()
+   finds the right driver even after MEDIA_STORAGE changes.
+
+   Private uploads (isPrivate) get no public URL: Cloudinary
+   stores them as "authenticated" under private/, local disk
+   under private_uploads/ (not served). deliver() hands one out
+   after the caller's access check: a short-lived signed URL or
+   a file path to stream.
+============================================================ */
+const LOCAL_PREFIX = "local/";
+const LOCAL_PRIVATE_PREFIX = "local-private/";
+const PRIVATE_FOLDER = "private";
+const UPLOADS_DIR = path.join(process.cwd(), "uploads");
+const PRIVATE_DIR = path.join(process.cwd(), "private_uploads");
+
+const isPrivateAsset = (publicId) => {
+  const id = String(publicId);
+  return id.startsWith(LOCAL_PRIVATE_PREFIX) || id.startsWith(`${PRIVATE_FOLDER}/`);
+};
+
+const MIME_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+  "video/mp4": ".mp4",
+  "video/quicktime": ".mov",
+  "video/webm": ".webm",
+  "application/pdf": ".pdf",
+};
+
+const extensionFor = (file) =>
+  MIME_EXTENSIONS[file.mimetype] || path.extname(file.originalname || "").toLowerCase() || "";
+
+/* ------------------------------------------------------------
+   CLOUDINARY
+------------------------------------------------------------ */
+const cloudinaryDriver = {
+  name: "cloudinary",
+
+  upload(file, { folder, publicId, resourceType, isPrivate = false }) {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          public_id: publicId,
+          folder: isPrivate ? `${PRIVATE_FOLDER}/${folder}` : folder,
+          resource_type: resourceType,
+          overwrite: false,
+          ...(isPrivate && { type: "authenticated" }),
+        },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({
+            url: isPrivate ? null : result.secure_url,
+            public_id: result.public_id,
+            type: resourceType,
+            duration: result.duration ?? null,
+          });
+        }
+      );
+      stream.end(file.buffer);
+    });
+  },
+
+  // Deleting an asset that is already gone is not an error
+  async remove(publicId, resourceType) {
+    await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      ...(isPrivateAsset(publicId) && { type: "authenticated" }),
+    });
+  },
+
+  deliver(publicId, { resourceType, mimeType, expiresInSeconds }) {
+    const format = (MIME_EXTENSIONS[mimeType] || "").slice(1);
+    return {
+      redirect: cloudinary.utils.private_download_url(publicId, format, {
+        resource_type: resourceType,
+        type: "authenticated",
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+      }),
+    };
+  },
+
+  // Moves a public asset into private storage; returns its new public_id
+  async makePrivate(publicId, resourceType) {
+    const target = `${PRIVATE_FOLDER}/${publicId}`;
+    try {
+      await cloudinary.uploader.rename(publicId, target, {
+        resource_type: resourceType, type: "upload", to_type: "authenticated"
+      });
+    } catch (err) {
+      // An earlier attempt may have moved it already
+      const moved = await cloudinary.api.resource(target, { resource_type: resourceType, type: "authenticated" })
+        .catch(() => null);
+      if (!moved) throw err;
+    }
+    return target;
+  },
+};
+
+/* ------------------------------------------------------------
+   LOCAL DISK
+   Public URLs are built from MEDIA_PUBLIC_URL (the API's own
+   origin, e.g. https://staging-api.example.com).
+------------------------------------------------------------ */
+const localPublicUrl = () =>
+  (process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, "");
+
+// Resolves a local public_id to a path inside uploads/ (or private_uploads/), refusing traversal
+const localPath = (publicId) => {
+  const isPrivate = publicId.startsWith(LOCAL_PRIVATE_PREFIX);
+  const root = isPrivate ? PRIVATE_DIR : UPLOADS_DIR;
+  const relative = publicId.slice((isPrivate ? LOCAL_PRIVATE_PREFIX : LOCAL_PREFIX).length);
+  const full = path.resolve(root, relative);
+  if (!full.startsWith(root + path.sep)) throw new Error(`Invalid media id: ${publicId}`);
+  return full;
+};
+
+const localDriver = {
+  name: "local",
+
+  async upload(file, { folder, publicId, resourceType, isPrivate = false }) {
+    const id = `${isPrivate ? LOCAL_PRIVATE_PREFIX : LOCAL_PREFIX}${folder}/${publicId}${extensionFor(file)}`;
+    const target = localPath(id);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.buffer, { flag: "wx" });
+    return {
+      url: isPrivate ? null : `${localPublicUrl()}/uploads/${id.slice(LOCAL_PREFIX.length)}`,
+      public_id: id,
+      type: resourceType,
+      duration: null, // Not probed locally
+    };
+  },
+
+  async remove(publicId) {
+    await fs.rm(localPath(publicId), { force: true });
+  },
+
+  deliver(publicId) {
+    return { file: localPath(publicId) };
+  },
+
+  async makePrivate(publicId) {
+    const target = `${LOCAL_PRIVATE_PREFIX}${publicId.slice(LOCAL_PREFIX.length)}`;
+    const to = localPath(target);
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    try {
+      await fs.rename(localPath(publicId), to);
+    } catch (err) {
+      // An earlier attempt may have moved it already
+      const moved = await fs.access(to).then(() => true, () => false);
+      if (err.code !== "ENOENT" || !moved) throw err;
+    }
+    return target;
+  },
+};
+
+/* ------------------------------------------------------------
+   SELECTION
+------------------------------------------------------------ */
+const DRIVERS = { cloudinary: cloudinaryDriver, local: localDriver };
+
+const configured = (process.env.MEDIA_STORAGE || "cloudinary").toLowerCase();
+if (!DRIVERS[configured]) {
+  throw new Error(`Unknown MEDIA_STORAGE "${configured}". Use one of: ${Object.keys(DRIVERS).join(", ")}`);
+}
+
+// Driver new uploads go to
+export const mediaStorage = DRIVERS[configured];
+
+// Driver that owns an existing asset
+export const storageFor = (publicId) => {
+  const id = String(publicId);
+  return id.startsWith(LOCAL_PREFIX) || id.startsWith(LOCAL_PRIVATE_PREFIX) ? localDriver : cloudinaryDriver;
+};
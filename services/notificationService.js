@@ -0,0 +1,28 @@
+import { pool } from "../db.js";
+
+/* ============================================================
+   IN-APP NOTIFICATIONS
+   Stores a row in `notifications` and pushes the same payload to
+   the receiver's Socket.IO room (joined on "user_online").
+============================================================ */
+export const createNotification = async (io, { receiverId, productId = null, type, title, message, link = null }) => {
+  const result = await pool.query(
+    `INSERT INTO notifications (receiver_id, product_id, type, title, message, link, is_read)
+     VALUES ($1, $2, $3, $4, $5, $6, FALSE)
+     RETURNING *`,
+    [receiverId, productId, type, title, message, link]
+  );
+
+  if (io) {
+    io.to(receiverId).emit("notification", {
+      type,
+      title,
+      message,
+      link,
+      product_id: productId,
+      created_at: result.rows[0]?.created_at || new Date(),
+    });
+  }
+
+  return result.rows[0];
+};
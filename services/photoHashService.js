@@ -0,0 +1,137 @@
+import { pool } from "../db.js";
+
+/* ============================================================
+   DUPLICATE PHOTO DETECTION
+   Photo hashes (see photoHash in imageDerivatives.js) are kept
+   in listing_photo_hashes and compared by Hamming distance.
+   Only matches on a *different* agent's listing count: agents
+   re-using their own photos across listings is normal.
+============================================================ */
+export const PHASH_MAX_DISTANCE = 6; // of 64 bits
+
+// Hex dHash -> signed 64-bit string for the BIGINT column
+const toBigintParam = (hex) => BigInt.asIntN(64, BigInt(`0x${hex}`)).toString();
+
+/**
+ * Makes listing_photo_hashes mirror the listing's current photos.
+ * Photos without a hash (uploaded before hashing existed) are skipped.
+ */
+export const syncListingPhotoHashes = async (productId, agentId, photos = []) => {
+  const hashed = photos.filter((p) => p?.public_id && p.phash);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `DELETE FROM listing_photo_hashes WHERE product_id = $1 AND NOT (public_id = ANY($2))`,
+      [productId, hashed.map((p) => p.public_id)]
+    );
+    for (const photo of hashed) {
+      await client.query(
+        `INSERT INTO listing_photo_hashes (product_id, agent_id, public_id, photo_url, phash)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (product_id, public_id) DO NOTHING`,
+        [productId, agentId, photo.public_id, photo.url, toBigintParam(photo.phash)]
+      );
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+export const deleteListingPhotoHashes = async (productId, db = pool) => {
+  await db.query(`DELETE FROM listing_photo_hashes WHERE product_id = $1`, [productId]);
+};
+
+/**
+ * Other agents' listings sharing near-identical photos with this one.
+ * Returns [{ product_id, agent_id, title, status, matched_photos, closest_distance, matches }]
+ * ordered by how many photos match.
+ */
+export const findDuplicatePhotoListings = async (productId) => {
+  const result = await pool.query(
+    `SELECT o.product_id, o.agent_id, l.title, l.status,
+            COUNT(DISTINCT m.public_id)::int as matched_photos,
+            MIN(bit_count((m.phash # o.phash)::bit(64)))::int as closest_distance,
+            json_agg(json_build_object(
+              'photo', m.photo_url,
+              'matches', o.photo_url,
+              'distance', bit_count((m.phash # o.phash)::bit(64))
+            )) as matches
+     FROM listing_photo_hashes m
+     JOIN listing_photo_hashes o
+       ON o.product_id <> m.product_id
+      AND o.agent_id <> m.agent_id
+      AND bit_count((m.phash # o.phash)::bit(64)) <= $2
+     LEFT JOIN listings l ON l.product_id = o.product_id
+     WHERE m.product_id = $1
+       AND l.status IS DISTINCT FROM 'archived'
+     GROUP BY o.product_id, o.agent_id, l.title, l.status
+     ORDER BY matched_photos DESC, closest_distance ASC
+     LIMIT 20`,
+    [productId, PHASH_MAX_DISTANCE]
+  );
+  return result.rows;
+};
+
+/* ------------------------------------------------------------
+   FLAGS (admin review)
+   The current matches of a listing, kept in listing_photo_flags.
+   Open flags that no longer match are dropped; dismissed ones
+   stay dismissed.
+------------------------------------------------------------ */
+export const recordPhotoDuplicateFlags = async (productId, duplicates = []) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `DELETE FROM listing_photo_flags
+       WHERE product_id = $1 AND dismissed_at IS NULL AND NOT (duplicate_of = ANY($2))`,
+      [productId, duplicates.map((d) => d.product_id)]
+    );
+    for (const d of duplicates) {
+      await client.query(
+        `INSERT INTO listing_photo_flags (product_id, duplicate_of, matched_photos, closest_distance, matches)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (product_id, duplicate_of)
+         DO UPDATE SET matched_photos = EXCLUDED.matched_photos, closest_distance = EXCLUDED.closest_distance,
+                       matches = EXCLUDED.matches, updated_at = NOW()`,
+        [productId, d.product_id, d.matched_photos, d.closest_distance, JSON.stringify(d.matches || [])]
+      );
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+export const getPhotoDuplicateFlags = async (productId, { includeDismissed = false } = {}) => {
+  const result = await pool.query(
+    `SELECT f.id, f.duplicate_of, f.matched_photos, f.closest_distance, f.matches,
+            f.dismissed_at, f.dismissed_by, f.created_at, f.updated_at,
+            l.title, l.status, l.agent_unique_id
+     FROM listing_photo_flags f
+     LEFT JOIN listings l ON l.product_id = f.duplicate_of
+     WHERE f.product_id = $1 AND ($2::boolean OR f.dismissed_at IS NULL)
+     ORDER BY f.matched_photos DESC, f.closest_distance ASC`,
+    [productId, includeDismissed]
+  );
+  return result.rows;
+};
+
+export const dismissPhotoDuplicateFlag = async (flagId, adminId) => {
+  const result = await pool.query(
+    `UPDATE listing_photo_flags
+     SET dismissed_at = NOW(), dismissed_by = $2, updated_at = NOW()
+     WHERE id = $1 AND dismissed_at IS NULL
+     RETURNING *`,
+    [flagId, adminId]
+  );
+  return result.rows[0] || null;
+};
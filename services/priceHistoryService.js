@@ -0,0 +1,127 @@
+import { pool } from "../db.js";
+import { createNotification } from "./notificationService.js";
+import { convertToUSD } from "../utils/exchangeRates.js";
+import { sendPriceDropEmail } from "../utils/emailService.js";
+import { PUBLIC_STATES } from "./listingLifecycle.js";
+
+/* ============================================================
+   PRICE HISTORY
+   Every price or currency change is stored in
+   listing_price_history. Edits send a listing back to review, so a
+   drop is announced when the listing goes live again: everyone who
+   favorited it gets an in-app notification and an email (once per
+   change: notified_at is claimed before sending).
+============================================================ */
+
+const toNumber = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+
+/**
+ * Records the change between two listing rows. `before` is null for a
+ * new listing. Returns the history row, or null when the price is unchanged.
+ */
+export const recordPriceChange = async ({ productId, before, after, source, changedBy = null }) => {
+  const oldPrice = before ? toNumber(before.price) : null;
+  const oldCurrency = before ? before.price_currency || "USD" : null;
+  const newPrice = toNumber(after?.price);
+  const newCurrency = after?.price_currency || "USD";
+
+  if (before && oldPrice === newPrice && oldCurrency === newCurrency) return null;
+
+  const result = await pool.query(
+    `INSERT INTO listing_price_history (product_id, old_price, old_currency, new_price, new_currency, source, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [productId, oldPrice, oldCurrency, newPrice, newCurrency, source, changedBy]
+  );
+  return result.rows[0];
+};
+
+// Drop in percent (compared in USD when the currency changed), or 0
+export const priceDropPercent = (change) => {
+  const oldPrice = toNumber(change?.old_price);
+  const newPrice = toNumber(change?.new_price);
+  if (!(oldPrice > 0) || !(newPrice > 0)) return 0;
+
+  const sameCurrency = change.old_currency === change.new_currency;
+  const oldValue = sameCurrency ? oldPrice : Number(convertToUSD(oldPrice, change.old_currency));
+  const newValue = sameCurrency ? newPrice : Number(convertToUSD(newPrice, change.new_currency));
+  if (!(newValue < oldValue)) return 0;
+  return Math.round(((oldValue - newValue) / oldValue) * 1000) / 10;
+};
+
+/**
+ * Alerts the listing's favoriters about a price drop, once the listing is
+ * live. Every change not yet announced is claimed together and compared
+ * as one move (price before the first, price after the last), so a drop
+ * made and undone while in review never sends anything. Safe to call
+ * whenever a listing goes live: rises and unchanged prices are ignored.
+ */
+export const notifyPriceDrops = async (productId, io) => {
+  const listingRes = await pool.query(
+    `SELECT product_id, title, city, agent_unique_id, status, is_active FROM listings WHERE product_id = $1`,
+    [productId]
+  );
+  const listing = listingRes.rows[0];
+  if (!listing || !PUBLIC_STATES.includes(listing.status) || !listing.is_active) return 0;
+
+  // Claim the changes so a retry or a second caller never double-sends
+  const claimed = await pool.query(
+    `UPDATE listing_price_history SET notified_at = NOW()
+     WHERE product_id = $1 AND notified_at IS NULL
+     RETURNING *`,
+    [productId]
+  );
+  if (!claimed.rows.length) return 0;
+
+  const changes = claimed.rows.sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at) || a.id - b.id);
+  const first = changes[0];
+  const change = { ...changes[changes.length - 1], old_price: first.old_price, old_currency: first.old_currency };
+  const percent = priceDropPercent(change);
+  if (!percent) return 0;
+
+  const fans = await pool.query(
+    `SELECT f.user_id, COALESCE(u.email, p.email) as email, COALESCE(u.name, p.full_name) as name
+     FROM favorites f
+     LEFT JOIN users u ON u.unique_id = f.user_id
+     LEFT JOIN profiles p ON p.unique_id = f.user_id
+     WHERE f.product_id = $1 AND f.user_id <> $2`,
+    [listing.product_id, listing.agent_unique_id]
+  );
+
+  const newPrice = `${change.new_currency} ${Number(change.new_price).toLocaleString()}`;
+  let sent = 0;
+  for (const fan of fans.rows) {
+    try {
+      await createNotification(io, {
+        receiverId: fan.user_id,
+        productId: listing.product_id,
+        type: "price_drop",
+        title: "Price drop on a saved home",
+        message: `"${listing.title}" dropped ${percent}% to ${newPrice}.`,
+        link: `/listing/${listing.product_id}`,
+      });
+      if (fan.email) await sendPriceDropEmail(fan.email, fan.name, listing, change, percent);
+      sent++;
+    } catch (err) {
+      console.error(`❌ Price drop alert to ${fan.user_id} failed:`, err.message);
+    }
+  }
+  return sent;
+};
+
+// Oldest first, ready for a chart on the listing page
+export const getPriceHistory = async (productId) => {
+  const result = await pool.query(
+    `SELECT old_price, old_currency, new_price, new_currency, source, changed_at
+     FROM listing_price_history
+     WHERE product_id = $1
+     ORDER BY changed_at ASC, id ASC`,
+    [productId]
+  );
+  return result.rows.map((r) => ({
+    ...r,
+    old_price: toNumber(r.old_price),
+    new_price: toNumber(r.new_price),
+    drop_percent: priceDropPercent(r) || null,
+  }));
+};
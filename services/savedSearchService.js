@@ -0,0 +1,203 @@
+import { pool } from "../db.js";
+import { buildPublicListingWhere, SearchQueryError } from "./listingSearchService.js";
+import { createNotification } from "./notificationService.js";
+import { sendSavedSearchDigestEmail } from "../utils/emailService.js";
+import { PUBLIC_STATES } from "./listingLifecycle.js";
+
+/* ============================================================
+   SAVED SEARCHES
+   A saved search stores the /api/listings/public filter params.
+   When a listing goes live we re-run each saved filter set
+   against that one listing and alert the owners that match.
+============================================================ */
+
+// Only filter params are stored; paging/sort params are not part of a search
+export const SAVED_SEARCH_FILTER_KEYS = [
+  "category", "type", "city", "minPrice", "maxPrice", "search",
+  "polygon", "minLat", "maxLat", "minLng", "maxLng", "near", "radius_km",
+];
+
+// ✅ Picks the known filter keys and checks they build valid SQL
+export const sanitizeSavedSearchFilters = (filters = {}) => {
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    throw new SearchQueryError("filters must be an object of search params");
+  }
+
+  const clean = {};
+  for (const key of SAVED_SEARCH_FILTER_KEYS) {
+    const value = filters[key];
+    if (value === undefined || value === null || value === "") continue;
+    clean[key] = key === "polygon" && typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  if (clean.polygon) {
+    try { JSON.parse(clean.polygon); } catch { throw new SearchQueryError("polygon must be valid GeoJSON"); }
+  }
+
+  // Throws SearchQueryError for malformed near/radius values
+  buildPublicListingWhere(clean, []);
+  return clean;
+};
+
+/* ------------------------------------------------------------
+   MATCHER
+   Called whenever a listing goes live (public state + active). Each new
+   match is recorded once, so re-activations don't re-alert.
+   Matching is set-based: one query drops the searches whose
+   type/city/category/price filters rule the listing out, then
+   the full filter SQL of the rest runs in batched UNION queries.
+------------------------------------------------------------ */
+const MATCH_BATCH_SIZE = 200;
+
+// Numeric filter values only; anything else is left to the full check
+const NUMERIC = `'^-?[0-9]+(\\.[0-9]+)?$'`;
+
+const findCandidateSearches = (listing) =>
+  pool.query(
+    `SELECT id, user_id, name, filters FROM saved_searches s
+     WHERE s.alerts_enabled = TRUE AND s.user_id <> $1
+       AND (s.filters->>'type' IS NULL OR lower(s.filters->>'type') = lower($2::text))
+       AND (s.filters->>'city' IS NULL OR $3::text ILIKE '%' || (s.filters->>'city') || '%')
+       AND (s.filters->>'category' IS NULL OR s.filters->>'category' = 'undefined'
+            OR $4::text ILIKE s.filters->>'category' OR $2::text ILIKE s.filters->>'category')
+       AND (s.filters->>'minPrice' IS NULL OR s.filters->>'minPrice' !~ ${NUMERIC}
+            OR $5::numeric >= (s.filters->>'minPrice')::numeric)
+       AND (s.filters->>'maxPrice' IS NULL OR s.filters->>'maxPrice' !~ ${NUMERIC}
+            OR $5::numeric <= (s.filters->>'maxPrice')::numeric)`,
+    [listing.agent_unique_id, listing.listing_type, listing.city, listing.category, listing.price]
+  );
+
+// Ids of the searches in `batch` whose full filter matches the listing
+const matchBatch = async (productId, batch) => {
+  const params = [productId];
+  const parts = [];
+  for (const search of batch) {
+    try {
+      const where = buildPublicListingWhere(search.filters || {}, params);
+      parts.push(`SELECT ${Number(search.id)} as id FROM listings l WHERE l.product_id = $1 AND ${where}`);
+    } catch (err) {
+      console.error(`❌ Saved search #${search.id} match failed:`, err.message);
+    }
+  }
+  if (!parts.length) return [];
+
+  try {
+    const hits = await pool.query(parts.join("\n UNION ALL \n"), params);
+    return hits.rows.map(r => r.id);
+  } catch (err) {
+    // One broken filter (e.g. bad GeoJSON) fails the batch: fall back to one query each
+    if (batch.length === 1) {
+      console.error(`❌ Saved search #${batch[0].id} match failed:`, err.message);
+      return [];
+    }
+    const ids = [];
+    for (const search of batch) ids.push(...await matchBatch(productId, [search]));
+    return ids;
+  }
+};
+
+export const notifySavedSearchMatches = async (productId, io) => {
+  const listingRes = await pool.query(
+    `SELECT product_id, title, city, category, listing_type, price, price_currency, agent_unique_id
+     FROM listings
+     WHERE product_id = $1 AND status = ANY($2) AND is_active = true
+       AND (expires_at IS NULL OR expires_at > NOW())`,
+    [productId, PUBLIC_STATES]
+  );
+  const listing = listingRes.rows[0];
+  if (!listing) return 0;
+
+  const candidates = (await findCandidateSearches(listing)).rows;
+  const matchedIds = new Set();
+  for (let i = 0; i < candidates.length; i += MATCH_BATCH_SIZE) {
+    (await matchBatch(productId, candidates.slice(i, i + MATCH_BATCH_SIZE))).forEach(id => matchedIds.add(id));
+  }
+  if (!matchedIds.size) return 0;
+
+  // Record all matches at once; only the new ones are alerted
+  const inserted = await pool.query(
+    `INSERT INTO saved_search_matches (saved_search_id, product_id)
+     SELECT unnest($1::int[]), $2
+     ON CONFLICT (saved_search_id, product_id) DO NOTHING
+     RETURNING saved_search_id`,
+    [[...matchedIds], productId]
+  );
+  const newIds = new Set(inserted.rows.map(r => r.saved_search_id));
+  const { category, listing_type, ...publicListing } = listing;
+
+  let matched = 0;
+  for (const search of candidates.filter(c => newIds.has(c.id))) {
+    try {
+      await createNotification(io, {
+        receiverId: search.user_id,
+        productId,
+        type: "saved_search_match",
+        title: "New home matches your search",
+        message: `"${listing.title}" in ${listing.city || "your area"} matches your saved search "${search.name}".`,
+        link: `/listing/${productId}`,
+      });
+
+      if (io) {
+        io.to(search.user_id).emit("saved_search_match", {
+          saved_search_id: search.id,
+          name: search.name,
+          listing: publicListing,
+        });
+      }
+      matched++;
+    } catch (err) {
+      console.error(`❌ Saved search #${search.id} alert failed:`, err.message);
+    }
+  }
+
+  if (matched) console.log(`🔔 Listing ${productId} matched ${matched} saved searches`);
+  return matched;
+};
+
+/* ------------------------------------------------------------
+   DAILY DIGEST
+   Emails each opted-in user their un-emailed matches, at most
+   once a day per search. Safe to run as often as you like.
+------------------------------------------------------------ */
+export const sendSavedSearchDigests = async () => {
+  const due = await pool.query(`
+    SELECT s.id, s.name, s.user_id, u.email, u.name as user_name,
+           json_agg(json_build_object(
+             'match_id', m.id,
+             'product_id', l.product_id,
+             'title', l.title,
+             'city', l.city,
+             'price', l.price,
+             'price_currency', l.price_currency
+           ) ORDER BY m.created_at) as listings
+    FROM saved_searches s
+    JOIN users u ON u.unique_id = s.user_id
+    JOIN saved_search_matches m ON m.saved_search_id = s.id AND m.emailed_at IS NULL
+    JOIN listings l ON l.product_id = m.product_id
+    WHERE s.email_digest = TRUE
+      AND (s.last_digest_at IS NULL OR s.last_digest_at <= NOW() - INTERVAL '1 day')
+    GROUP BY s.id, u.email, u.name
+  `);
+
+  // One email per user covering all of their due searches
+  const byUser = new Map();
+  for (const row of due.rows) {
+    if (!byUser.has(row.user_id)) byUser.set(row.user_id, { email: row.email, name: row.user_name, searches: [] });
+    byUser.get(row.user_id).searches.push(row);
+  }
+
+  let sent = 0;
+  for (const { email, name, searches } of byUser.values()) {
+    if (!email) continue;
+    const ok = await sendSavedSearchDigestEmail(email, name, searches);
+    if (!ok) continue;
+
+    const searchIds = searches.map(s => s.id);
+    const matchIds = searches.flatMap(s => s.listings.map(l => l.match_id));
+    await pool.query(`UPDATE saved_search_matches SET emailed_at = NOW() WHERE id = ANY($1)`, [matchIds]);
+    await pool.query(`UPDATE saved_searches SET last_digest_at = NOW() WHERE id = ANY($1)`, [searchIds]);
+    sent++;
+  }
+
+  return sent;
+};
@@ -0,0 +1,42 @@
+/* ============================================================
+   SCHEDULER
+   In-process periodic tasks, started once the server is listening.
+   Every task must be idempotent: it may run late, twice after a
+   restart, or on more than one instance. Tasks receive { io }.
+============================================================ */
+import { sendSavedSearchDigests } from "./savedSearchService.js";
+import { sendExpiryReminders, deactivateExpiredListings } from "./listingExpiryService.js";
+import { purgeArchivedListings } from "./listingArchiveService.js";
+import { privatizeLegacyAttachments } from "./listingAttachmentService.js";
+
+const HOUR = 60 * 60 * 1000;
+
+const TASKS = [
+  { name: "saved-search-digest", everyMs: HOUR, run: sendSavedSearchDigests },
+  { name: "listing-expiry-reminders", everyMs: HOUR, run: sendExpiryReminders },
+  { name: "listing-expiry-sweep", everyMs: HOUR, run: deactivateExpiredListings },
+  { name: "archived-listing-purge", everyMs: HOUR, run: purgeArchivedListings },
+  { name: "attachment-privatize", everyMs: HOUR, run: privatizeLegacyAttachments },
+];
+
+const running = new Set();
+
+const runTask = async (task, ctx) => {
+  if (running.has(task.name)) return; // Previous run still going
+  running.add(task.name);
+  try {
+    const result = await task.run(ctx);
+    if (result) console.log(`⏰ ${task.name}: ${result}`);
+  } catch (err) {
+    console.error(`❌ Scheduled task ${task.name} failed:`, err.message);
+  } finally {
+    running.delete(task.name);
+  }
+};
+
+export const startScheduler = ({ io } = {}) => {
+  for (const task of TASKS) {
+    setInterval(() => runTask(task, { io }), task.everyMs).unref();
+  }
+  console.log(`⏰ Scheduler started (${TASKS.map(t => t.name).join(", ")})`);
+};
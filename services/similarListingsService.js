@@ -0,0 +1,174 @@
+import { pool } from "../db.js";
+import { buildPublicListingWhere } from "./listingSearchService.js";
+import { presentPhoto } from "./imageDerivatives.js";
+import { convertToUSD } from "../utils/exchangeRates.js";
+
+/* ============================================================
+   SIMILAR HOMES
+   Candidates are live listings of the same listing type (rent vs
+   sale) near the source listing or in its city. Each is scored on
+   proximity, price band, property type, bedrooms and shared
+   features; the reasons behind the score are returned with it.
+============================================================ */
+export const DEFAULT_SIMILAR_LIMIT = 6;
+export const MAX_SIMILAR_LIMIT = 20;
+const CANDIDATE_RADIUS_METERS = 25000;
+const MIN_SIMILAR_SCORE = 20;
+// Closest candidates (then same-city ones by price gap) are scored in JS
+const MAX_CANDIDATES = 300;
+
+export const parseSimilarLimit = (limit) =>
+  Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SIMILAR_LIMIT, 1), MAX_SIMILAR_LIMIT);
+
+const parseList = (value) => {
+  try {
+    const list = typeof value === "string" ? JSON.parse(value || "[]") : value || [];
+    return Array.isArray(list) ? list : Object.keys(list).filter((k) => list[k]);
+  } catch {
+    return [];
+  }
+};
+
+const featureSet = (value) => {
+  const features = new Map();
+  for (const f of parseList(value)) {
+    const name = String(f).trim();
+    if (name) features.set(name.toLowerCase(), name);
+  }
+  return features;
+};
+
+const usdPrice = (row) => {
+  const price = Number(row.price);
+  return price > 0 ? Number(convertToUSD(price, row.price_currency || "USD")) : null;
+};
+
+/**
+ * Scores one candidate against the source listing. Returns { score, reasons }.
+ */
+export const scoreSimilar = (listing, candidate) => {
+  let score = 0;
+  const reasons = [];
+
+  if (candidate.distance_m !== null && candidate.distance_m !== undefined) {
+    const km = candidate.distance_m / 1000;
+    if (km <= 1) {
+      score += 30;
+      reasons.push("Less than 1 km away");
+    } else if (km <= 5) {
+      score += 20;
+      reasons.push(`${km.toFixed(1)} km away`);
+    } else if (km <= 15) {
+      score += 10;
+      reasons.push(`${Math.round(km)} km away`);
+    }
+  } else if (listing.city && String(listing.city).toLowerCase() === String(candidate.city || "").toLowerCase()) {
+    score += 10;
+    reasons.push(`Also in ${candidate.city}`);
+  }
+
+  const price = usdPrice(listing);
+  const otherPrice = usdPrice(candidate);
+  if (price && otherPrice) {
+    const diff = Math.abs(price - otherPrice) / price;
+    if (diff <= 0.1) {
+      score += 25;
+      reasons.push("Similar price");
+    } else if (diff <= 0.25) {
+      score += 15;
+      reasons.push(`Price within ${Math.ceil(diff * 100)}%`);
+    } else if (diff <= 0.5) {
+      score += 5;
+      reasons.push(otherPrice < price ? "Lower price" : "Higher price");
+    }
+  }
+
+  if (listing.property_type && candidate.property_type &&
+      String(listing.property_type).toLowerCase() === String(candidate.property_type).toLowerCase()) {
+    score += 15;
+    reasons.push(`Also a ${String(candidate.property_type).toLowerCase()}`);
+  }
+
+  if (listing.bedrooms !== null && listing.bedrooms !== undefined &&
+      candidate.bedrooms !== null && candidate.bedrooms !== undefined) {
+    const gap = Math.abs(Number(listing.bedrooms) - Number(candidate.bedrooms));
+    if (gap === 0) {
+      score += 15;
+      reasons.push(`Same number of bedrooms (${candidate.bedrooms})`);
+    } else if (gap === 1) {
+      score += 7;
+      reasons.push(`${candidate.bedrooms} bedrooms`);
+    }
+  }
+
+  const mine = featureSet(listing.features);
+  const theirs = featureSet(candidate.features);
+  const shared = [...mine.keys()].filter((k) => theirs.has(k));
+  if (shared.length) {
+    const union = new Set([...mine.keys(), ...theirs.keys()]).size;
+    score += Math.round((shared.length / union) * 15);
+    const names = shared.slice(0, 3).map((k) => theirs.get(k)).join(", ");
+    reasons.push(`Shares ${shared.length} feature${shared.length > 1 ? "s" : ""} (${names}${shared.length > 3 ? ", …" : ""})`);
+  }
+
+  return { score: Math.min(100, score), reasons };
+};
+
+/**
+ * Similar live listings for `listing`, best match first.
+ * Options: { limit, excludeAgent } — excludeAgent drops the same agent's listings.
+ */
+export const findSimilarListings = async (listing, { limit = DEFAULT_SIMILAR_LIMIT, excludeAgent = false } = {}) => {
+  const params = [];
+  const where = buildPublicListingWhere({}, params);
+
+  params.push(listing.product_id);
+  const idParam = `$${params.length}`;
+  params.push(CANDIDATE_RADIUS_METERS);
+  const radiusParam = `$${params.length}`;
+  params.push(excludeAgent);
+  const excludeParam = `$${params.length}`;
+
+  const candidates = await pool.query(
+    `SELECT l.product_id, l.title, l.price, l.price_currency, l.price_period,
+            l.listing_type, l.property_type, l.bedrooms, l.bathrooms, l.square_footage,
+            l.city, l.country, l.features, l.photos, l.agent_unique_id,
+            p.full_name as agent_name, p.username as agent_username, p.agency_name,
+            CASE WHEN t.location IS NOT NULL AND l.location IS NOT NULL
+                 THEN ST_Distance(t.location::geography, l.location::geography)::float8
+            END as distance_m
+     FROM listings l
+     JOIN listings t ON t.product_id = ${idParam}
+     LEFT JOIN profiles p ON p.unique_id = l.agent_unique_id
+     WHERE ${where}
+       AND l.product_id <> t.product_id
+       AND l.listing_type IS NOT DISTINCT FROM t.listing_type
+       AND NOT (${excludeParam}::boolean AND l.agent_unique_id = t.agent_unique_id)
+       AND (
+         (t.location IS NOT NULL AND l.location IS NOT NULL
+          AND ST_DWithin(t.location::geography, l.location::geography, ${radiusParam}))
+         OR lower(l.city) = lower(t.city)
+       )
+     ORDER BY distance_m ASC NULLS LAST,
+              (l.price_currency IS DISTINCT FROM t.price_currency),
+              ABS(l.price::numeric - t.price::numeric) ASC NULLS LAST,
+              l.product_id
+     LIMIT ${MAX_CANDIDATES}`,
+    params
+  );
+
+  return candidates.rows
+    .map((c) => ({ ...c, ...scoreSimilar(listing, c) }))
+    .filter((c) => c.score >= MIN_SIMILAR_SCORE)
+    .sort((a, b) => b.score - a.score || (a.distance_m ?? Infinity) - (b.distance_m ?? Infinity))
+    .slice(0, limit)
+    .map(({ features, photos, distance_m, agent_name, agent_username, agency_name, ...c }) => {
+      const photoList = parseList(photos);
+      return {
+        ...c,
+        photo: photoList.length ? presentPhoto(photoList[0]) : null,
+        distance_km: distance_m !== null && distance_m !== undefined ? Math.round(distance_m / 100) / 10 : null,
+        agent: { name: agent_name, username: agent_username, agency: agency_name },
+      };
+    });
+};
@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { pool } from "../db.js";
+
+/* ============================================================
+   LISTING VIEW TRACKING
+   Records a view when someone opens a listing's detail page.
+   - Logged-in viewers are keyed by unique_id, guests by the
+     X-Session-Id header (falling back to IP + user agent), hashed.
+   - The same viewer within DEDUPE_WINDOW counts once.
+   - The listing owner's own views are never counted.
+============================================================ */
+const DEDUPE_WINDOW = "30 minutes";
+
+const viewerKey = (req) => {
+  if (req.user?.unique_id) return `u:${req.user.unique_id}`;
+  const session = req.get("x-session-id") || `${req.ip}|${req.get("user-agent") || ""}`;
+  return `s:${crypto.createHash("sha256").update(session).digest("hex").slice(0, 32)}`;
+};
+
+// Referring site host (or ?ref= campaign tag); our own frontend counts as "internal"
+const referrerSource = (req) => {
+  if (req.query.ref) return String(req.query.ref).slice(0, 100).toLowerCase();
+  const referer = req.get("referer");
+  if (!referer) return "direct";
+  try {
+    const host = new URL(referer).hostname.replace(/^www\./, "");
+    const clientHost = process.env.CLIENT_URL ? new URL(process.env.CLIENT_URL).hostname : null;
+    return host === clientHost ? "internal" : host;
+  } catch {
+    return "direct";
+  }
+};
+
+export const recordListingView = async (req, listing) => {
+  const userId = req.user?.unique_id || null;
+  if (userId && userId === listing.agent_unique_id) return false;
+
+  const key = viewerKey(req);
+  const inserted = await pool.query(
+    `INSERT INTO listing_views (product_id, viewer_key, user_id, referrer)
+     SELECT $1, $2, $3, $4
+     WHERE NOT EXISTS (
+       SELECT 1 FROM listing_views
+       WHERE product_id = $1 AND viewer_key = $2
+         AND created_at > NOW() - INTERVAL '${DEDUPE_WINDOW}'
+     )
+     RETURNING id`,
+    [listing.product_id, key, userId, referrerSource(req)]
+  );
+
+  if (!inserted.rows.length) return false;
+  await pool.query(`UPDATE listings SET views = COALESCE(views, 0) + 1 WHERE product_id = $1`, [listing.product_id]);
+  return true;
+};
+
+/* ------------------------------------------------------------
+   ANALYTICS (owner dashboard)
+   Daily views & unique visitors for the last `days` days (empty
+   days included) and a referrer breakdown over the same range.
+------------------------------------------------------------ */
+export const getListingTraffic = async (productId, days) => {
+  const [dailyRes, totalsRes, refRes] = await Promise.all([
+    pool.query(
+      `SELECT d::date::text as date,
+              COUNT(v.id)::int as views,
+              COUNT(DISTINCT v.viewer_key)::int as unique_visitors
+       FROM generate_series(CURRENT_DATE - ($2::int - 1), CURRENT_DATE, INTERVAL '1 day') d
+       LEFT JOIN listing_views v
+         ON v.product_id = $1 AND v.created_at::date = d::date
+       GROUP BY d
+       ORDER BY d`,
+      [productId, days]
+    ),
+    pool.query(
+      `SELECT COUNT(*)::int as views, COUNT(DISTINCT viewer_key)::int as unique_visitors
+       FROM listing_views
+       WHERE product_id = $1 AND created_at >= CURRENT_DATE - ($2::int - 1)`,
+      [productId, days]
+    ),
+    pool.query(
+      `SELECT referrer as source, COUNT(*)::int as views, COUNT(DISTINCT viewer_key)::int as unique_visitors
+       FROM listing_views
+       WHERE product_id = $1 AND created_at >= CURRENT_DATE - ($2::int - 1)
+       GROUP BY referrer
+       ORDER BY views DESC`,
+      [productId, days]
+    ),
+  ]);
+
+  return {
+    days,
+    totals: totalsRes.rows[0],
+    daily: dailyRes.rows,
+    referrers: refRes.rows,
+  };
+};
@@ -104,4 +104,115 @@ export const sendEmailNotification = async (email, subject, message) => {
     // Return false instead of throwing error so the controller continues
     return false;
   }
-};
\ No newline at end of file
+};
+/* ======================================================
+   🏠 SAVED SEARCH DIGEST
+   Used by services/savedSearchService.js (daily)
+====================================================== */
+export const sendSavedSearchDigestEmail = async (email, name, searches) => {
+  try {
+    const sections = searches.map((search) => `
+      <p class="text" style="margin-bottom: 10px;"><strong>${search.name}</strong></p>
+      <ul style="text-align: left; color: #4a5568; margin-bottom: 25px;">
+        ${search.listings.map((l) => `
+          <li style="margin-bottom: 8px;">
+            <a href="${CLIENT_URL}/listing/${l.product_id}" style="color: ${BRAND_COLOR};">${l.title}</a>
+            ${l.city ? ` – ${l.city}` : ""} · ${l.price_currency || "USD"} ${Number(l.price).toLocaleString()}
+          </li>`).join("")}
+      </ul>`).join("");
+
+    const htmlContent = emailWrapper(
+      "New homes for your saved searches",
+      `<p class="text">Hi ${name || "there"}, these listings went live since your last update.</p>
+       ${sections}
+       <a href="${CLIENT_URL}/saved-searches" class="btn">Manage Saved Searches</a>`
+    );
+
+    const info = await transporter.sendMail({
+      from: `"Keyvia Notifications" <${EMAIL_USER}>`,
+      to: email,
+      subject: "New listings matching your saved searches",
+      html: htmlContent,
+    });
+
+    console.log(`✅ Saved search digest sent: ${info.messageId}`);
+    return true;
+
+  } catch (error) {
+    console.error("❌ Saved search digest failed to send:", error.message);
+    return false;
+  }
+};
+
+/* ======================================================
+   ⏳ LISTING EXPIRY (reminder + expired notice)
+   Used by services/listingExpiryService.js
+====================================================== */
+export const sendListingExpiryEmail = async (email, name, listing, { expired = false } = {}) => {
+  try {
+    const expiresOn = new Date(listing.expires_at).toLocaleDateString("en-US", {
+      year: "numeric", month: "long", day: "numeric",
+    });
+
+    const htmlContent = emailWrapper(
+      expired ? "Your listing has expired" : "Your listing expires soon",
+      `<p class="text">Hi ${name || "there"},</p>
+       <p class="text">
+         ${expired
+           ? `<strong>${listing.title}</strong> expired on ${expiresOn} and is no longer visible to buyers and renters.`
+           : `<strong>${listing.title}</strong> will expire on ${expiresOn}.`}
+         Renew it from your dashboard with your wallet balance or a direct payment to keep it live.
+       </p>
+       <a href="${CLIENT_URL}/dashboard/payments" class="btn">Renew Listing</a>`
+    );
+
+    const info = await transporter.sendMail({
+      from: `"Keyvia Notifications" <${EMAIL_USER}>`,
+      to: email,
+      subject: expired ? `Expired: ${listing.title}` : `Expiring soon: ${listing.title}`,
+      html: htmlContent,
+    });
+
+    console.log(`✅ Listing expiry email sent: ${info.messageId}`);
+    return true;
+
+  } catch (error) {
+    console.error("❌ Listing expiry email failed to send:", error.message);
+    return false;
+  }
+};
+
+/* ======================================================
+   📉 PRICE DROP (favorited listing)
+   Used by services/priceHistoryService.js
+====================================================== */
+export const sendPriceDropEmail = async (email, name, listing, change, percent) => {
+  try {
+    const format = (amount, currency) => `${currency || "USD"} ${Number(amount).toLocaleString()}`;
+
+    const htmlContent = emailWrapper(
+      "A home you saved just got cheaper",
+      `<p class="text">Hi ${name || "there"},</p>
+       <p class="text">
+         <strong>${listing.title}</strong>${listing.city ? ` in ${listing.city}` : ""} dropped ${percent}%:
+         <br/><span style="text-decoration: line-through;">${format(change.old_price, change.old_currency)}</span>
+         → <strong>${format(change.new_price, change.new_currency)}</strong>
+       </p>
+       <a href="${CLIENT_URL}/listing/${listing.product_id}" class="btn">View Listing</a>`
+    );
+
+    const info = await transporter.sendMail({
+      from: `"Keyvia Notifications" <${EMAIL_USER}>`,
+      to: email,
+      subject: `Price drop: ${listing.title}`,
+      html: htmlContent,
+    });
+
+    console.log(`✅ Price drop email sent: ${info.messageId}`);
+    return true;
+
+  } catch (error) {
+    console.error("❌ Price drop email failed to send:", error.message);
+    return false;
+  }
+};